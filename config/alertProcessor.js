@@ -1,9 +1,36 @@
 const Alert = require('../models/Alert.js');
+const alertEvents = require('../utils/alertEvents.js');
 const {
   CONFIDENCE_SCORING,
   CONFIDENCE_THRESHOLDS
 } = require('./constants.js');
 
+// Publisher names and domains per credibility tier, matched as whole words so e.g. "Metro"
+// doesn't pass for the Met Office. Checked in order; anything else is 'other_news'.
+const CREDIBILITY_PATTERNS = [
+  ['official', [
+    /\bbbc\b/,
+    /\bmet (office|police)\b/,
+    /\bmetropolitan police( service)?$/,
+    /\bmetoffice\.gov\.uk\b/,
+    /(^|[\s.\/])gov\.uk\b/,
+    /\bpolice\.uk\b/
+  ]],
+  ['major_news', [
+    /\bsky( news)?\b/,
+    /\breuters\b/,
+    /\b(the ?)?guardian\b/,
+    /\b(the )?independent\b/,
+    /\b(the )?telegraph\b/
+  ]],
+  ['social', [
+    /\btwitter\b/,
+    /^x$|\bx\.com\b/,
+    /\breddit\b/,
+    /\bforums?\b/
+  ]]
+];
+
 class AlertProcessor {
   constructor() {
     this.confidenceThreshold = CONFIDENCE_THRESHOLDS.APPROVE;
@@ -15,23 +42,44 @@ class AlertProcessor {
    * @returns {Array} Processed and clustered alerts
    */
   async processDisruptions(disruptions) {
+    const { alerts } = await this.processDisruptionsWithReport(disruptions);
+    return alerts;
+  }
+
+  /**
+   * Process disruptions and report what happened to each cluster (for ingestion run history)
+   * @param {Array} disruptions - Array of disruption objects from APIs
+   * @returns {Promise<Object>} - { alerts, clusters: [{ feeds, size, outcome, alertId, tipIds }] } where
+   *   outcome is 'created', 'updated', 'unchanged' (nothing new for an existing alert) or 'failed'
+   *   and tipIds lists the manual tips in the cluster
+   */
+  async processDisruptionsWithReport(disruptions) {
+    const alerts = [];
+    const clusters = [];
+
     try {
       const clusteredAlerts = this.clusterDisruptions(disruptions);
-      const processedAlerts = [];
 
       for (const cluster of clusteredAlerts) {
-        const alert = await this.createOrUpdateAlert(cluster);
+        const { alert, outcome } = await this.processCluster(cluster);
         if (alert) {
-          processedAlerts.push(alert);
+          alerts.push(alert);
         }
-      }
 
-      return processedAlerts;
+        clusters.push({
+          feeds: [...new Set(cluster.map(d => d.feed).filter(Boolean))],
+          size: cluster.length,
+          outcome,
+          alertId: alert?._id || null,
+          tipIds: cluster.map(d => d.tipId).filter(Boolean)
+        });
+      }
 
     } catch (error) {
       console.error('Error processing disruptions:', error);
-      return [];
     }
+
+    return { alerts, clusters };
   }
 
   /**
@@ -97,21 +145,33 @@ class AlertProcessor {
    * Create or update alert from disruption cluster
    */
   async createOrUpdateAlert(cluster) {
+    const { alert } = await this.processCluster(cluster);
+    return alert;
+  }
+
+  /**
+   * Create or update the alert for a cluster and say which happened
+   * @returns {Promise<Object>} - { alert, outcome: 'created' | 'updated' | 'unchanged' | 'failed' }
+   */
+  async processCluster(cluster) {
     try {
       // Find existing alert for this cluster
       const existingAlert = await this.findExistingAlert(cluster[0]);
 
       if (existingAlert) {
-        // Update existing alert
-        return await this.updateAlert(existingAlert, cluster);
-      } else {
-        // Create new alert
-        return await this.createNewAlert(cluster);
+        // Update existing alert (returned as is when the cluster adds nothing new)
+        const alert = await this.updateAlert(existingAlert, cluster);
+        const outcome = !alert ? 'failed' : alert === existingAlert ? 'unchanged' : 'updated';
+        return { alert, outcome };
       }
 
+      // Create new alert
+      const alert = await this.createNewAlert(cluster);
+      return { alert, outcome: alert ? 'created' : 'failed' };
+
     } catch (error) {
       console.error('Error creating/updating alert:', error);
-      return null;
+      return { alert: null, outcome: 'failed' };
     }
   }
 
@@ -158,8 +218,9 @@ class AlertProcessor {
     try {
       const representative = cluster[0]; // Use first disruption as representative
 
-      // Calculate confidence score
-      const confidenceData = this.calculateConfidence(cluster);
+      // Keep every distinct source as evidence and score confidence from all of them
+      const sources = this.mergeSources([], this.buildSources(cluster));
+      const confidenceData = this.calculateConfidence(sources);
 
       // Create alert data
       const alertData = {
@@ -172,6 +233,8 @@ class AlertProcessor {
         source: representative.source,
         url: representative.url,
         summary: representative.summary,
+        sources,
+        sourceBreakdown: confidenceData.sourceBreakdown,
         confidence: confidenceData.score,
         status: confidenceData.score >= this.confidenceThreshold ? 'approved' : 'pending'
       };
@@ -179,6 +242,7 @@ class AlertProcessor {
 
       const alert = new Alert(alertData);
       await alert.save();
+      await alertEvents.alertCreated(alert, { source: this.getClusterSource(cluster) });
 
       console.log(`Created new alert: ${alert.title} (confidence: ${confidenceData.score})`);
       return alert;
@@ -191,16 +255,23 @@ class AlertProcessor {
 
   /**
    * Update existing alert with new information
+   * New sources are added to the alert's evidence and confidence is recomputed from the full set.
    */
   async updateAlert(existingAlert, newCluster) {
     try {
-      // Recalculate confidence from new cluster
-      const confidenceData = this.calculateConfidence(newCluster);
+      const existingSources = this.getAlertSources(existingAlert);
+      const sources = this.mergeSources(existingSources, this.buildSources(newCluster));
+
+      // Nothing new - the same articles were fetched again
+      if (sources.length === existingSources.length && existingAlert.sources?.length > 0) {
+        return existingAlert;
+      }
 
-      // Check if confidence changed significantly
-      const confidenceChanged = Math.abs(confidenceData.score - existingAlert.confidence) > 0.1;
+      const confidenceData = this.calculateConfidence(sources);
 
       const updateData = {
+        sources,
+        sourceBreakdown: confidenceData.sourceBreakdown,
         confidence: confidenceData.score
       };
 
@@ -209,10 +280,11 @@ class AlertProcessor {
         updateData.status = 'approved';
       }
 
-      await Alert.findByIdAndUpdate(existingAlert._id, updateData);
+      const updatedAlert = await Alert.findByIdAndUpdate(existingAlert._id, updateData, { new: true });
+      await alertEvents.alertUpdated(existingAlert, updatedAlert, { source: this.getClusterSource(newCluster) });
 
-      console.log(`Updated alert: ${existingAlert.title} (confidence: ${confidenceData.score})`);
-      return await Alert.findById(existingAlert._id);
+      console.log(`Updated alert: ${existingAlert.title} (confidence: ${confidenceData.score}, ${sources.length} sources)`);
+      return updatedAlert;
 
     } catch (error) {
       console.error('Error updating alert:', error);
@@ -221,10 +293,95 @@ class AlertProcessor {
   }
 
   /**
-   * Calculate confidence score from disruption cluster using progressive scoring
+   * Turn a disruption cluster into alert source entries
+   */
+  buildSources(cluster) {
+    return cluster.map(d => ({
+      url: d.url,
+      publisher: d.source,
+      title: d.title,
+      credibility: d.sourceCredibility || this.getSourceCredibility(d.source),
+      feed: d.feed,
+      fetchedAt: d.fetchedAt || new Date()
+    }));
+  }
+
+  /**
+   * Get an alert's evidence, falling back to its single source/url for alerts stored before sources were kept
+   */
+  getAlertSources(alert) {
+    if (alert.sources && alert.sources.length > 0) {
+      return alert.sources.map(source => (source.toObject ? source.toObject() : source));
+    }
+
+    if (!alert.source && !alert.url) return [];
+
+    return [{
+      url: alert.url,
+      publisher: alert.source,
+      title: alert.title,
+      credibility: this.getSourceCredibility(alert.source),
+      fetchedAt: alert.createdAt || new Date()
+    }];
+  }
+
+  /**
+   * Add sources that are not already part of the evidence (matched by URL, or publisher and title)
+   */
+  mergeSources(existingSources, newSources) {
+    const merged = [...existingSources];
+    const seen = new Set(existingSources.map(source => this.getSourceKey(source)));
+
+    for (const source of newSources) {
+      const key = this.getSourceKey(source);
+      if (seen.has(key)) continue;
+
+      seen.add(key);
+      merged.push(source);
+    }
+
+    return merged;
+  }
+
+  getSourceKey(source) {
+    if (source.url) {
+      return source.url.trim().toLowerCase().replace(/^https?:\/\/(www\.)?/, '').replace(/\/+$/, '');
+    }
+    return `${(source.publisher || '').toLowerCase()}|${(source.title || '').toLowerCase()}`;
+  }
+
+  /**
+   * Determine source credibility tier from a publisher name
+   */
+  getSourceCredibility(source) {
+    if (!source) return 'other_news';
+
+    const lowerSource = source.trim().toLowerCase();
+
+    for (const [tier, patterns] of CREDIBILITY_PATTERNS) {
+      if (patterns.some(pattern => pattern.test(lowerSource))) {
+        return tier;
+      }
+    }
+
+    // Default to other news
+    return 'other_news';
+  }
+
+  /**
+   * Work out which feed a cluster came from, for alert revision history
+   * Clusters mixing several feeds are attributed to the scheduler run.
+   */
+  getClusterSource(cluster) {
+    const feeds = [...new Set(cluster.map(d => d.feed).filter(Boolean))];
+    return feeds.length === 1 ? feeds[0] : 'scheduler';
+  }
+
+  /**
+   * Calculate confidence score from disruption cluster (or alert sources) using progressive scoring
    */
   calculateConfidence(cluster) {
-    const sources = cluster.map(d => d.sourceCredibility || 'other_news');
+    const sources = cluster.map(d => d.sourceCredibility || d.credibility || 'other_news');
 
     // Group sources by credibility type
     const sourceGroups = {};
@@ -287,16 +444,24 @@ class AlertProcessor {
       const thirtyDaysAgo = new Date();
       thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
+      const alertsToArchive = await Alert.find({
+        endDate: { $lt: thirtyDaysAgo },
+        status: { $ne: 'expired' }
+      });
+
       const result = await Alert.updateMany(
-        {
-          endDate: { $lt: thirtyDaysAgo },
-          status: { $ne: 'expired' }
-        },
+        { _id: { $in: alertsToArchive.map(alert => alert._id) } },
         {
           status: 'expired'
         }
       );
 
+      for (const alert of alertsToArchive) {
+        const previousAlert = alert.toObject();
+        alert.status = 'expired';
+        await alertEvents.alertUpdated(previousAlert, alert, { source: 'scheduler' });
+      }
+
       console.log(`Archived ${result.modifiedCount} old alerts`);
       return result.modifiedCount;
 
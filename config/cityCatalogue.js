@@ -0,0 +1,181 @@
+const City = require('../models/City.js');
+const { CITIES, CITY_SEED_DETAILS } = require('./constants.js');
+
+// How long the in-memory copy is trusted before re-reading the collection, so
+// changes made through another instance show up without a restart
+const CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * City catalogue
+ * Single source of the supported cities, backed by the City collection and cached in memory.
+ * The collection is seeded from the defaults in constants.js the first time it is empty.
+ */
+class CityCatalogue {
+  constructor() {
+    this.cities = null;
+    this.loadedAt = 0;
+    this.loading = null;
+    this.backfilled = false;
+  }
+
+  /**
+   * Get active cities (lean objects ordered by name)
+   * @param {Object} options - { fresh: true } to bypass the cache
+   * @returns {Promise<Array>}
+   */
+  async getCities(options = {}) {
+    const isFresh = this.cities && Date.now() - this.loadedAt < CACHE_TTL_MS;
+    if (isFresh && !options.fresh) {
+      return this.cities;
+    }
+
+    // Share one load between concurrent callers
+    if (!this.loading) {
+      this.loading = this.load().finally(() => {
+        this.loading = null;
+      });
+    }
+
+    return this.loading;
+  }
+
+  async load() {
+    let cities = await City.find({ isActive: true }).sort({ name: 1 }).lean();
+
+    if (cities.length === 0 && await City.estimatedDocumentCount() === 0) {
+      await this.seed();
+      cities = await City.find({ isActive: true }).sort({ name: 1 }).lean();
+    }
+
+    if (!this.backfilled) {
+      this.backfilled = true;
+      cities = await this.backfillLocations(cities);
+    }
+
+    this.cities = cities;
+    this.loadedAt = Date.now();
+    return cities;
+  }
+
+  /**
+   * Seed the collection from the default city list
+   */
+  async seed() {
+    const documents = CITIES.map(name => {
+      const details = CITY_SEED_DETAILS[name] || {};
+      return {
+        name,
+        location: details.coordinates ? { type: 'Point', coordinates: details.coordinates } : undefined,
+        transportHubs: details.transportHubs || []
+      };
+    });
+
+    try {
+      await City.insertMany(documents, { ordered: false });
+      console.log(`🏙️ Seeded ${documents.length} cities`);
+    } catch (error) {
+      // Another instance may have seeded at the same time - duplicates are expected
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  /**
+   * Give default cities seeded before they had coordinates their city centre
+   * Cities still without a location can't be matched by distance (only by name); they're logged.
+   * @param {Array} cities - Loaded cities
+   * @returns {Promise<Array>} - The cities with any backfilled locations
+   */
+  async backfillLocations(cities) {
+    const missing = [];
+
+    for (const city of cities) {
+      if (city.location?.coordinates?.length) continue;
+
+      const coordinates = CITY_SEED_DETAILS[city.name]?.coordinates;
+      if (!coordinates) {
+        missing.push(city.name);
+        continue;
+      }
+
+      city.location = { type: 'Point', coordinates };
+      await City.updateOne({ _id: city._id, 'location.coordinates': { $exists: false } }, { $set: { location: city.location } });
+    }
+
+    if (missing.length) {
+      console.warn(`⚠️ No coordinates for ${missing.join(', ')}; distance matching is skipped there`);
+    }
+
+    return cities;
+  }
+
+  /**
+   * Get active city names
+   * @returns {Promise<Array<string>>}
+   */
+  async getCityNames() {
+    const cities = await this.getCities();
+    return cities.map(city => city.name);
+  }
+
+  /**
+   * Find a city by name (case-insensitive) in a loaded list
+   * @param {string} name
+   * @param {Array} cities - Output of getCities
+   * @returns {Object|null}
+   */
+  resolveCity(name, cities) {
+    if (!name || typeof name !== 'string') return null;
+
+    const lowerName = name.trim().toLowerCase();
+    return cities.find(city => city.name.toLowerCase() === lowerName) || null;
+  }
+
+  /**
+   * Check whether a city is supported
+   * @param {string} name
+   * @returns {Promise<boolean>}
+   */
+  async isValidCity(name) {
+    return !!this.resolveCity(name, await this.getCities());
+  }
+
+  /**
+   * Find the city an article is about from its text
+   * Matches city names first, then aliases and transport hub keywords.
+   * @param {string} text
+   * @param {Array} cities - Output of getCities
+   * @returns {string|null} - City name
+   */
+  findCityInText(text, cities) {
+    const lowerText = (text || '').toLowerCase();
+
+    for (const city of cities) {
+      if (lowerText.includes(city.name.toLowerCase())) {
+        return city.name;
+      }
+    }
+
+    for (const city of cities) {
+      const keywords = [
+        ...(city.aliases || []),
+        ...(city.transportHubs || []).flatMap(hub => hub.keywords || [])
+      ];
+
+      if (keywords.some(keyword => keyword && lowerText.includes(keyword.toLowerCase()))) {
+        return city.name;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Drop the cached list so the next read comes from the database
+   */
+  invalidate() {
+    this.cities = null;
+    this.loadedAt = 0;
+  }
+}
+
+module.exports = new CityCatalogue();
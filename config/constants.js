@@ -1,4 +1,4 @@
-// Cities supported by the alert system - configurable
+// Default cities - seed data for the City collection (see config/cityCatalogue.js)
 const CITIES = [
   'Edinburgh',
   'London',
@@ -67,22 +67,88 @@ const CITIES = [
   'The Lizard'
 ];
 
-// Utility functions for cities
-const addCity = (city) => {
-  if (!CITIES.includes(city)) {
-    CITIES.push(city);
-  }
-};
-
-const removeCity = (city) => {
-  const index = CITIES.indexOf(city);
-  if (index > -1) {
-    CITIES.splice(index, 1);
-  }
-};
-
-const isValidCity = (city) => {
-  return CITIES.includes(city);
+// City centres ([longitude, latitude]) and transport hubs used when seeding the City collection
+const CITY_SEED_DETAILS = {
+  'Edinburgh': { coordinates: [-3.1883, 55.9533], transportHubs: [{ name: 'Edinburgh Airport', type: 'airport', code: 'EDI', keywords: ['edinburgh airport'] }] },
+  'London': {
+    coordinates: [-0.1278, 51.5074],
+    transportHubs: [
+      { name: 'Heathrow Airport', type: 'airport', code: 'LHR', keywords: ['heathrow'] },
+      { name: 'Gatwick Airport', type: 'airport', code: 'LGW', keywords: ['gatwick'] },
+      { name: 'London City Airport', type: 'airport', code: 'LCY', keywords: ['london city'] },
+      { name: 'Stansted Airport', type: 'airport', code: 'STN', keywords: ['stansted'] },
+      { name: 'Luton Airport', type: 'airport', code: 'LTN', keywords: ['luton'] }
+    ]
+  },
+  'Manchester': { coordinates: [-2.2426, 53.4808], transportHubs: [{ name: 'Manchester Airport', type: 'airport', code: 'MAN', keywords: ['manchester airport'] }] },
+  'Birmingham': { coordinates: [-1.8904, 52.4862], transportHubs: [{ name: 'Birmingham Airport', type: 'airport', code: 'BHX', keywords: ['birmingham airport'] }] },
+  'Leeds': { coordinates: [-1.5491, 53.8008], transportHubs: [{ name: 'Leeds Bradford Airport', type: 'airport', code: 'LBA', keywords: ['leeds bradford airport'] }] },
+  'Glasgow': { coordinates: [-4.2518, 55.8642], transportHubs: [{ name: 'Glasgow Airport', type: 'airport', code: 'GLA', keywords: ['glasgow airport'] }] },
+  'Liverpool': { coordinates: [-2.9916, 53.4084], transportHubs: [{ name: 'Liverpool John Lennon Airport', type: 'airport', code: 'LPL', keywords: ['liverpool airport'] }] },
+  'Newcastle': { coordinates: [-1.6178, 54.9783], transportHubs: [{ name: 'Newcastle Airport', type: 'airport', code: 'NCL', keywords: ['newcastle airport'] }] },
+  'Sheffield': { coordinates: [-1.4701, 53.3811] },
+  'Bristol': { coordinates: [-2.5879, 51.4545], transportHubs: [{ name: 'Bristol Airport', type: 'airport', code: 'BRS', keywords: ['bristol airport'] }] },
+  'Belfast': {
+    coordinates: [-5.9301, 54.5973],
+    transportHubs: [
+      { name: 'Belfast International Airport', type: 'airport', code: 'BFS', keywords: ['belfast international'] },
+      { name: 'George Best Belfast City Airport', type: 'airport', code: 'BHD', keywords: ['belfast city'] }
+    ]
+  },
+  'Cardiff': { coordinates: [-3.1791, 51.4816], transportHubs: [{ name: 'Cardiff Airport', type: 'airport', code: 'CWL', keywords: ['cardiff airport'] }] },
+  'Nottingham': { coordinates: [-1.1581, 52.9548] },
+  'Leicester': { coordinates: [-1.1398, 52.6369] },
+  'Coventry': { coordinates: [-1.5197, 52.4068] },
+  'Bradford': { coordinates: [-1.7594, 53.7960] },
+  'Hull': { coordinates: [-0.3274, 53.7676] },
+  'Stoke-on-Trent': { coordinates: [-2.1794, 53.0027] },
+  'Wolverhampton': { coordinates: [-2.1286, 52.5862] },
+  'Plymouth': { coordinates: [-4.1427, 50.3755] },
+  'Derby': { coordinates: [-1.4746, 52.9225] },
+  'Swansea': { coordinates: [-3.9436, 51.6214] },
+  'Sunderland': { coordinates: [-1.3838, 54.9069] },
+  'Southampton': { coordinates: [-1.4044, 50.9097] },
+  'Brighton': { coordinates: [-0.1372, 50.8225] },
+  'Reading': { coordinates: [-0.9781, 51.4543] },
+  'Milton Keynes': { coordinates: [-0.7594, 52.0406] },
+  'Oxford': { coordinates: [-1.2577, 51.7520] },
+  'Cambridge': { coordinates: [0.1218, 52.2053] },
+  'Bath': { coordinates: [-2.3590, 51.3811] },
+  'York': { coordinates: [-1.0873, 53.9600] },
+  'Norwich': { coordinates: [1.2974, 52.6309] },
+  'Portsmouth': { coordinates: [-1.0880, 50.8198] },
+  'Exeter': { coordinates: [-3.5339, 50.7184] },
+  'Canterbury': { coordinates: [1.0789, 51.2802] },
+  'St Albans': { coordinates: [-0.3360, 51.7550] },
+  'Cheltenham': { coordinates: [-2.0783, 51.8994] },
+  'Gloucester': { coordinates: [-2.2382, 51.8642] },
+  'Hereford': { coordinates: [-2.7160, 52.0565] },
+  'Worcester': { coordinates: [-2.2200, 52.1920] },
+  'Winchester': { coordinates: [-1.3080, 51.0632] },
+  'Chichester': { coordinates: [-0.7792, 50.8365] },
+  'Truro': { coordinates: [-5.0510, 50.2632] },
+  'St Austell': { coordinates: [-4.7881, 50.3383] },
+  'Newquay': { coordinates: [-5.0731, 50.4155] },
+  'Penzance': { coordinates: [-5.5371, 50.1188] },
+  'Liskeard': { coordinates: [-4.4654, 50.4545] },
+  'Lostwithiel': { coordinates: [-4.6680, 50.4070] },
+  'Falmouth': { coordinates: [-5.0714, 50.1526] },
+  'Redruth': { coordinates: [-5.2245, 50.2330] },
+  'Camborne': { coordinates: [-5.2970, 50.2130] },
+  'Hayle': { coordinates: [-5.4190, 50.1860] },
+  'Helston': { coordinates: [-5.2700, 50.1010] },
+  'Marazion': { coordinates: [-5.4760, 50.1250] },
+  'Mousehole': { coordinates: [-5.5390, 50.0830] },
+  'Newlyn': { coordinates: [-5.5480, 50.1030] },
+  'Paul': { coordinates: [-5.5440, 50.0890] },
+  'Porthleven': { coordinates: [-5.3150, 50.0850] },
+  'Praze-an-Beeble': { coordinates: [-5.3050, 50.1730] },
+  'St Buryan': { coordinates: [-5.6240, 50.0750] },
+  'St Ives': { coordinates: [-5.4800, 50.2110] },
+  'St Just': { coordinates: [-5.6800, 50.1240] },
+  'St Keverne': { coordinates: [-5.0870, 50.0500] },
+  'St Mawes': { coordinates: [-5.0150, 50.1600] },
+  'The Lizard': { coordinates: [-5.2060, 49.9650] }
 };
 
 // Alert system constants - updated according to PDF specifications
@@ -128,6 +194,26 @@ const ALERT_STATUSES = [
   'expired'
 ];
 
+// Booking lifecycle - tracks whether a disruption cost a booking and whether outreach saved it
+const BOOKING_STATUSES = [
+  'confirmed',  // Normal booking, not affected
+  'at_risk',    // Stay overlaps a disruption
+  'contacted',  // Guest received "stay anyway" outreach
+  'cancelled',  // Guest cancelled
+  'rescued',    // Guest kept (or re-made) the booking after outreach
+  'no_show'     // Guest never arrived
+];
+
+// Allowed status transitions (from -> to)
+const BOOKING_STATUS_TRANSITIONS = {
+  confirmed: ['at_risk', 'contacted', 'cancelled', 'no_show'],
+  at_risk: ['confirmed', 'contacted', 'cancelled', 'rescued', 'no_show'],
+  contacted: ['rescued', 'cancelled', 'no_show'],
+  cancelled: ['rescued'],
+  rescued: ['cancelled', 'no_show'],
+  no_show: []
+};
+
 const ALERT_TONES = [
   'Early',
   'Developing',
@@ -150,11 +236,93 @@ const CONFIDENCE_SOURCE_TYPES = [
   'social'         // X, forums
 ];
 
+// Manual alert tips (see models/AlertTip.js). Tips enter the next ingestion run with the
+// credibility tier of whoever submitted them: staff (admins), trusted hotel partners or any
+// other hotel reporting something local. Admins can change a tip's tier while triaging it.
+const TIP_CREDIBILITY = {
+  staff: 'official',
+  partner: 'other_news',
+  hotel: 'social'
+};
+
+// 'pending' tips go into the next run, 'held' ones wait for an admin, 'processed' ones went
+// through a run (see the tip's outcome) and 'rejected' ones never will
+const TIP_STATUSES = ['pending', 'held', 'processed', 'rejected'];
+
 const CONFIDENCE_THRESHOLDS = {
   HOLD: 0.6,      // < 0.6 = HOLD in pending
   APPROVE: 0.6    // ≥ 0.6 = LLM tone + header
 };
 
+// Recovery rate calibration from booking outcomes
+const RECOVERY_CALIBRATION = {
+  MIN_SAMPLE_SIZE: 20,   // Bookings needed before a learned rate replaces the default
+  LOOKBACK_DAYS: 365,    // Only learn from alerts that ended within this window
+  LOST_STATUSES: ['cancelled', 'no_show'],
+  ACTIVE_TABLE_SYNC_SECONDS: 60  // How often each instance checks which table is active
+};
+
+// Geo matching between alerts and hotel locations
+const GEO_MATCHING = {
+  DEFAULT_IMPACT_RADIUS_KM: 5,  // Used for alerts with a location but no radius
+  SEARCH_RADIUS_KM: 50          // Alerts further than this from a hotel are never considered
+};
+
+// Scheduled ingestion runs: 'full' (Monday) and 'midweek' (Thursday). Each ingestion source
+// lists the runs it takes part in.
+const INGESTION_RUN_TYPES = ['full', 'midweek'];
+
+// What started an ingestion run: the cron schedule, a call to scheduler.triggerManualFetch,
+// or an admin via POST /api/admin/alerts/trigger-generation
+const INGESTION_TRIGGERS = ['cron', 'manual', 'admin'];
+
+// Background job queue (see config/jobQueue.js). A worker holds a job's lease while it runs and
+// renews it every third of LEASE_SECONDS; a job whose lease runs out (e.g. the process died) is
+// picked up again by any worker. Failed attempts are retried after BACKOFF_BASE_SECONDS,
+// doubling each time up to BACKOFF_MAX_SECONDS.
+const JOB_QUEUE = {
+  POLL_SECONDS: 5,
+  LEASE_SECONDS: 120,
+  CONCURRENCY: 2,
+  MAX_ATTEMPTS: 3,
+  BACKOFF_BASE_SECONDS: 30,
+  BACKOFF_MAX_SECONDS: 30 * 60,
+  RETENTION_DAYS: 30  // Finished jobs are deleted this long after they end
+};
+
+// Attempt limits for login and one-time-code endpoints (see utils/rateLimiter.js)
+// Each policy limits attempts per IP and per account. After delayAfter attempts every further
+// attempt must wait longer (1s, 2s, 4s... up to RATE_LIMIT_DELAYS.MAX_SECONDS); going over max
+// locks the IP or account for lockoutMinutes, doubling with each repeated lockout.
+const RATE_LIMITS = {
+  login: {
+    ip: { max: 30, windowMinutes: 15, lockoutMinutes: 15 },
+    account: { max: 8, windowMinutes: 15, delayAfter: 3, lockoutMinutes: 15 },
+    resetOnSuccess: true
+  },
+  otp_verify: {
+    ip: { max: 30, windowMinutes: 15, lockoutMinutes: 15 },
+    account: { max: 5, windowMinutes: 15, delayAfter: 2, lockoutMinutes: 15 },
+    resetOnSuccess: true
+  },
+  otp_send: {
+    ip: { max: 20, windowMinutes: 60, lockoutMinutes: 60 },
+    account: { max: 5, windowMinutes: 60, lockoutMinutes: 60 }
+  },
+  // Alert tips and hotel reports, so one account can't flood the triage queue
+  tip_submit: {
+    ip: { max: 60, windowMinutes: 60, lockoutMinutes: 60 },
+    account: { max: 20, windowMinutes: 60, lockoutMinutes: 60 }
+  }
+};
+
+const RATE_LIMIT_DELAYS = {
+  BASE_SECONDS: 1,
+  MAX_SECONDS: 30,
+  MAX_LOCKOUT_MINUTES: 24 * 60,
+  MEMORY_HOURS: 24  // Past lockouts are forgotten this long after the last one ends
+};
+
 
 // Confidence scoring system - updated according to SCORING & PUBLISHING.pdf
 const CONFIDENCE_SCORING = {
@@ -215,14 +383,23 @@ module.exports = {
   ALERT_MAIN_TYPES,
   ALERT_SUB_TYPES,
   ALERT_STATUSES,
+  BOOKING_STATUSES,
+  BOOKING_STATUS_TRANSITIONS,
   ALERT_TONES,
   ALERT_SECTORS,
   CONFIDENCE_SOURCE_TYPES,
   CONFIDENCE_THRESHOLDS,
+  TIP_CREDIBILITY,
+  TIP_STATUSES,
+  RECOVERY_CALIBRATION,
+  GEO_MATCHING,
+  INGESTION_RUN_TYPES,
+  INGESTION_TRIGGERS,
+  JOB_QUEUE,
+  RATE_LIMITS,
+  RATE_LIMIT_DELAYS,
   CITIES,
-  addCity,
-  removeCity,
-  isValidCity,
+  CITY_SEED_DETAILS,
   CONFIDENCE_SCORING,
   NEWSDATA_CONFIG
 };
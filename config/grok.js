@@ -227,7 +227,8 @@ EXAMPLE (dates are examples - use dates between ${todayStr} and ${maxDateStr}):
       throw new Error(`end_date "${disruption.end_date}" is more than 30 days in the future. Max date is ${validationMaxDate.toISOString().slice(0, 10)}`);
     }
 
-    // Transform to internal format
+    // Transform to internal format (required lazily - alertProcessor loads the Alert model, which loads this service)
+    const alertProcessor = require('./alertProcessor.js');
     return {
       city: disruption.city,
       mainType: disruption.main_type,
@@ -237,7 +238,10 @@ EXAMPLE (dates are examples - use dates between ${todayStr} and ${maxDateStr}):
       end_date: disruption.end_date,
       source: disruption.source,
       url: disruption.url,
-      summary: disruption.summary
+      summary: disruption.summary,
+      sourceCredibility: alertProcessor.getSourceCredibility(disruption.source),
+      feed: 'grok',
+      fetchedAt: new Date()
     };
   }
 
@@ -3,6 +3,7 @@ const connectDB = require('./db.js');
 const newsDataService = require('./newsdata.js');
 const alertProcessor = require('./alertProcessor.js');
 const alertScheduler = require('./scheduler.js');
+const recoveryRateCalibrator = require('./recoveryRateCalibrator.js');
 
 // Environment variables validation
 const validateEnvironment = () => {
@@ -48,6 +49,7 @@ module.exports = {
   newsDataService,
   alertProcessor,
   alertScheduler,
+  recoveryRateCalibrator,
   validateEnvironment,
   initializeServices
 };
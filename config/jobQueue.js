@@ -0,0 +1,305 @@
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job.js');
+const { JOB_QUEUE } = require('./constants.js');
+
+// Returned by a handler (via context.snooze) to give up its slot and run again later
+class Snooze {
+  constructor(delayMs) {
+    this.delayMs = delayMs;
+  }
+}
+
+/**
+ * MongoDB-backed job queue
+ * Every server instance can enqueue jobs and run a worker. Workers claim due jobs with an
+ * atomic update that takes a lease, so each job runs on one worker at a time; a job whose
+ * worker died is picked up again once its lease runs out.
+ *
+ * Handlers are registered per job type and called as handler(job, context):
+ *   context.attempt               1 on the first run
+ *   context.isLastAttempt         whether a thrown error fails the job for good
+ *   context.saveProgress(data)    persist job.progress so a retry can resume
+ *   context.snooze(ms)            return its result to run the job again later (not an attempt)
+ * The handler's return value is stored as job.result. A thrown error is retried with backoff
+ * until maxAttempts, then the job fails and the type's onFailed(job, error) is called.
+ */
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.timer = null;
+    this.polling = false;
+    this.active = 0;
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type
+   * @param {Function} handler - async (job, context) => result
+   * @param {Object} options - { maxAttempts, onFailed: async (job, error) => {} }
+   */
+  register(type, handler, options = {}) {
+    this.handlers.set(type, { handler, ...options });
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type
+   * @param {Object} payload
+   * @param {Object} options - { dedupeKey, parent, runAt, priority, maxAttempts }
+   * @returns {Promise<Object>} - { job, deduplicated }: with a dedupeKey already held by a queued
+   *   or running job, that job is returned instead of adding another
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const maxAttempts = options.maxAttempts || this.handlers.get(type)?.maxAttempts || JOB_QUEUE.MAX_ATTEMPTS;
+
+    try {
+      const job = await Job.create({
+        type,
+        payload,
+        dedupeKey: options.dedupeKey,
+        parent: options.parent || null,
+        runAt: options.runAt || new Date(),
+        priority: options.priority || 0,
+        maxAttempts
+      });
+      return { job, deduplicated: false };
+    } catch (error) {
+      if (error.code === 11000 && options.dedupeKey) {
+        const job = await Job.findOne({ dedupeKey: options.dedupeKey });
+        if (job) {
+          return { job, deduplicated: true };
+        }
+        // The holder finished between the insert and the lookup
+        return this.enqueue(type, payload, options);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find queued or running jobs
+   * @param {Object} filter - e.g. { type: 'ingestion_run' }
+   * @returns {Promise<Array>}
+   */
+  async findActive(filter = {}) {
+    return Job.find({ ...filter, status: { $in: ['queued', 'running'] } }).sort({ runAt: 1 }).lean();
+  }
+
+  /**
+   * Start polling for jobs
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.poll(), JOB_QUEUE.POLL_SECONDS * 1000);
+    this.poll();
+    console.log(`✅ Job worker ${this.workerId} started`);
+  }
+
+  /**
+   * Stop polling. Jobs already running finish; anything else is left for other workers.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Claim due jobs until the worker is busy or the queue is empty
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      while (this.active < JOB_QUEUE.CONCURRENCY) {
+        const job = await this.claim();
+        if (!job) break;
+
+        this.active++;
+        this.execute(job).finally(() => {
+          this.active--;
+        });
+      }
+    } catch (error) {
+      console.error('❌ Error polling job queue:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Take the lease on the next due job: queued and past runAt, or running with an expired lease
+   * @returns {Promise<Object|null>}
+   */
+  async claim() {
+    if (!this.handlers.size) return null;
+
+    const now = new Date();
+    return Job.findOneAndUpdate(
+      {
+        type: { $in: [...this.handlers.keys()] },
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'running', leaseExpiresAt: { $lte: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'running',
+          lockedBy: this.workerId,
+          leaseExpiresAt: this.getLeaseExpiry(),
+          startedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { priority: -1, runAt: 1 }, new: true }
+    );
+  }
+
+  getLeaseExpiry() {
+    return new Date(Date.now() + JOB_QUEUE.LEASE_SECONDS * 1000);
+  }
+
+  /**
+   * Update a job this worker still holds the lease on
+   * @returns {Promise<boolean>} - false when the lease was lost to another worker
+   */
+  async updateLeased(job, update) {
+    const result = await Job.updateOne({ _id: job._id, lockedBy: this.workerId, status: 'running' }, update);
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Run a claimed job's handler and record the outcome
+   */
+  async execute(job) {
+    const definition = this.handlers.get(job.type);
+    let leaseLost = false;
+
+    // Keep the lease while the handler runs
+    const heartbeat = setInterval(async () => {
+      try {
+        const renewed = await this.updateLeased(job, { $set: { leaseExpiresAt: this.getLeaseExpiry() } });
+        if (!renewed) leaseLost = true;
+      } catch (error) {
+        console.error(`❌ Failed to renew lease on job ${job._id}:`, error.message);
+      }
+    }, (JOB_QUEUE.LEASE_SECONDS * 1000) / 3);
+
+    const context = {
+      attempt: job.attempts,
+      isLastAttempt: job.attempts >= job.maxAttempts,
+      saveProgress: async (progress) => {
+        job.progress = progress;
+        const saved = await this.updateLeased(job, {
+          $set: { progress, leaseExpiresAt: this.getLeaseExpiry() }
+        });
+        if (!saved || leaseLost) {
+          leaseLost = true;
+          throw new Error(`Lost the lease on job ${job._id}`);
+        }
+      },
+      snooze: (delayMs) => new Snooze(delayMs)
+    };
+
+    try {
+      // A job reclaimed after its lease ran out on the last attempt is not run again
+      if (job.attempts > job.maxAttempts) {
+        throw new Error(job.lastError || 'Worker stopped responding on the last attempt');
+      }
+
+      const result = await definition.handler(job, context);
+
+      if (result instanceof Snooze) {
+        await this.updateLeased(job, {
+          $set: { status: 'queued', runAt: new Date(Date.now() + result.delayMs) },
+          $unset: { lockedBy: 1, leaseExpiresAt: 1 },
+          $inc: { attempts: -1 }
+        });
+        return;
+      }
+
+      const finished = await this.finish(job, 'completed', { result: result === undefined ? null : result });
+      if (!finished) {
+        console.warn(`⚠️ Job ${job._id} (${job.type}) finished after losing its lease; result discarded`);
+      }
+    } catch (error) {
+      if (leaseLost) {
+        console.warn(`⚠️ Job ${job._id} (${job.type}) stopped after losing its lease`);
+        return;
+      }
+      await this.handleFailure(job, error, definition);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Retry a failed attempt after a backoff, or fail the job once it is out of attempts
+   */
+  async handleFailure(job, error, definition) {
+    try {
+      if (job.attempts < job.maxAttempts) {
+        const delaySeconds = Math.min(
+          JOB_QUEUE.BACKOFF_BASE_SECONDS * Math.pow(2, job.attempts - 1),
+          JOB_QUEUE.BACKOFF_MAX_SECONDS
+        );
+        console.warn(`⚠️ Job ${job._id} (${job.type}) attempt ${job.attempts} failed, retrying in ${delaySeconds}s:`, error.message);
+
+        await this.updateLeased(job, {
+          $set: { status: 'queued', runAt: new Date(Date.now() + delaySeconds * 1000), lastError: error.message },
+          $unset: { lockedBy: 1, leaseExpiresAt: 1 }
+        });
+        return;
+      }
+
+      console.error(`❌ Job ${job._id} (${job.type}) failed after ${job.maxAttempts} attempts:`, error.message);
+      const failed = await this.finish(job, 'failed', { lastError: error.message });
+
+      if (failed && definition.onFailed) {
+        await definition.onFailed(job, error);
+      }
+    } catch (updateError) {
+      console.error(`❌ Failed to record failure of job ${job._id}:`, updateError.message);
+    }
+  }
+
+  /**
+   * Mark a job completed or failed, release its dedupe key and wake its parent
+   * @returns {Promise<boolean>} - false when the lease was lost
+   */
+  async finish(job, status, fields = {}) {
+    const finishedAt = new Date();
+    const updated = await this.updateLeased(job, {
+      $set: {
+        ...fields,
+        status,
+        finishedAt,
+        expiresAt: new Date(finishedAt.getTime() + JOB_QUEUE.RETENTION_DAYS * 24 * 60 * 60 * 1000)
+      },
+      $unset: { lockedBy: 1, leaseExpiresAt: 1, dedupeKey: 1 }
+    });
+
+    if (updated && job.parent) {
+      await Job.updateOne({ _id: job.parent, status: 'queued' }, { $set: { runAt: finishedAt } });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Get the jobs a job fanned out
+   * @returns {Promise<Array>}
+   */
+  async getChildren(parentId, projection) {
+    return Job.find({ parent: parentId }, projection).lean();
+  }
+}
+
+// Export singleton instance
+module.exports = new JobQueue();
@@ -1,5 +1,6 @@
 const axios = require('axios');
-const { CITIES } = require('./constants.js');
+const alertProcessor = require('./alertProcessor.js');
+const cityCatalogue = require('./cityCatalogue.js');
 
 class NewsDataService {
   constructor() {
@@ -18,68 +19,23 @@ class NewsDataService {
         return [];
       }
 
-      const { NEWSDATA_CONFIG } = require('./constants.js');
       const allDisruptions = [];
+      const cities = await cityCatalogue.getCities();
 
       // Fetch news for all configured cities
-      for (const city of CITIES) {
+      for (const { name: city } of cities) {
         try {
-          console.log(`📰 Fetching NewsData for ${city}...`);
-
-          // Use simple city-based query - NewsData API works better with simple queries
-          const cityQuery = city;
-
-          // Make multiple requests with different disruption keywords to get comprehensive results
-          const disruptionQueries = [
-            `${cityQuery} strike`,
-            `${cityQuery} weather`,
-            `${cityQuery} protest`,
-            `${cityQuery} flight`,
-            `${cityQuery} staff shortage`,
-            `${cityQuery} system failure`
-          ];
-
-          for (const query of disruptionQueries) {
-            try {
-              const requestParams = {
-                apikey: this.apiKey,
-                q: query,
-                language: 'en',
-                country: 'gb', // Focus on UK news
-                category: 'business,politics,environment', // Removed 'travel' as it's not a valid category
-                size: 10, // Smaller size per query to avoid limits
-                ...params
-              };
-
-              const response = await axios.get(`${this.baseURL}/news`, {
-                params: requestParams,
-                timeout: 30000
-              });
-
-              if (response.data && response.data.results) {
-                const articles = response.data.results;
-                console.log(`📰 Found ${articles.length} articles for query: ${query}`);
-
-                // Transform articles to disruptions
-                for (const article of articles) {
-                  const disruption = this.transformArticleToDisruption(article);
-                  if (disruption && disruption.city === city) {
-                    // Avoid duplicates by checking title
-                    const isDuplicate = allDisruptions.some(d => d.title === disruption.title);
-                    if (!isDuplicate) {
-                      allDisruptions.push(disruption);
-                    }
-                  }
-                }
+          const articles = await this.fetchArticlesForCity(city, params);
+
+          // Transform articles to disruptions
+          for (const article of articles) {
+            const disruption = this.transformArticleToDisruption(article, cities);
+            if (disruption && disruption.city === city) {
+              // Avoid duplicates by checking title
+              const isDuplicate = allDisruptions.some(d => d.title === disruption.title);
+              if (!isDuplicate) {
+                allDisruptions.push(disruption);
               }
-
-              // Small delay between queries to avoid rate limiting
-              await new Promise(resolve => setTimeout(resolve, 500));
-
-            } catch (queryError) {
-              console.error(`❌ Error with query "${query}":`, queryError.response?.data || queryError.message);
-              // Continue with next query even if one fails
-              continue;
             }
           }
 
@@ -102,6 +58,73 @@ class NewsDataService {
     }
   }
 
+  /**
+   * Fetch raw articles for one city, one request per disruption keyword
+   * Failed queries are skipped so one bad query doesn't lose the rest.
+   * @param {string} city - City name
+   * @param {Object} params - Extra NewsData query parameters
+   * @returns {Promise<Array>} - Articles, without repeats
+   */
+  async fetchArticlesForCity(city, params = {}) {
+    if (!this.apiKey) return [];
+
+    console.log(`📰 Fetching NewsData for ${city}...`);
+
+    // Make multiple requests with different disruption keywords to get comprehensive results
+    // (NewsData API works better with simple city-based queries)
+    const disruptionQueries = [
+      `${city} strike`,
+      `${city} weather`,
+      `${city} protest`,
+      `${city} flight`,
+      `${city} staff shortage`,
+      `${city} system failure`
+    ];
+
+    const articles = [];
+    const seenLinks = new Set();
+
+    for (const query of disruptionQueries) {
+      try {
+        const requestParams = {
+          apikey: this.apiKey,
+          q: query,
+          language: 'en',
+          country: 'gb', // Focus on UK news
+          category: 'business,politics,environment', // Removed 'travel' as it's not a valid category
+          size: 10, // Smaller size per query to avoid limits
+          ...params
+        };
+
+        const response = await axios.get(`${this.baseURL}/news`, {
+          params: requestParams,
+          timeout: 30000
+        });
+
+        if (response.data && response.data.results) {
+          console.log(`📰 Found ${response.data.results.length} articles for query: ${query}`);
+
+          for (const article of response.data.results) {
+            const key = article.link || article.title;
+            if (seenLinks.has(key)) continue;
+            seenLinks.add(key);
+            articles.push(article);
+          }
+        }
+
+        // Small delay between queries to avoid rate limiting
+        await new Promise(resolve => setTimeout(resolve, 500));
+
+      } catch (queryError) {
+        console.error(`❌ Error with query "${query}":`, queryError.response?.data || queryError.message);
+        // Continue with next query even if one fails
+        continue;
+      }
+    }
+
+    return articles;
+  }
+
   async fetchArchivedNews(fromDate, toDate, params = {}) {
     try {
       if (!this.apiKey) {
@@ -110,9 +133,10 @@ class NewsDataService {
       }
 
       const allDisruptions = [];
+      const cities = await cityCatalogue.getCities();
 
       // Fetch archived news for all configured cities
-      for (const city of CITIES) {
+      for (const { name: city } of cities) {
         try {
           console.log(`📰 Fetching archived NewsData for ${city}...`);
 
@@ -154,7 +178,7 @@ class NewsDataService {
 
                 // Transform articles to disruptions
                 for (const article of articles) {
-                  const disruption = this.transformArticleToDisruption(article);
+                  const disruption = this.transformArticleToDisruption(article, cities);
                   if (disruption && disruption.city === city) {
                     // Avoid duplicates by checking title
                     const isDuplicate = allDisruptions.some(d => d.title === disruption.title);
@@ -194,10 +218,10 @@ class NewsDataService {
     }
   }
 
-  transformArticleToDisruption(article) {
+  transformArticleToDisruption(article, cities) {
     try {
       // Extract city from title or content
-      const city = this.extractCity(article.title + ' ' + (article.description || ''));
+      const city = this.extractCity(article.title + ' ' + (article.description || ''), cities);
 
       if (!city) {
         return null; // Skip articles that don't mention configured cities
@@ -222,7 +246,10 @@ class NewsDataService {
         end_date: dates.endDate,
         source: article.source_id || article.source_name || 'NewsData',
         url: article.link,
-        summary: article.description || article.title
+        summary: article.description || article.title,
+        sourceCredibility: alertProcessor.getSourceCredibility(article.source_id || article.source_name),
+        feed: 'newsdata',
+        fetchedAt: new Date()
       };
 
     } catch (error) {
@@ -231,43 +258,11 @@ class NewsDataService {
     }
   }
 
-  extractCity(text) {
-    const lowerText = text.toLowerCase();
-    const { CITIES } = require('./constants.js');
-
-    // Check each configured city
-    for (const city of CITIES) {
-      if (lowerText.includes(city.toLowerCase())) {
-        return city;
-      }
-    }
-
-    // Special cases for major airports and transport hubs
-    const specialCases = {
-      'London': ['heathrow', 'gatwick', 'london city', 'stansted', 'luton'],
-      'Edinburgh': ['edinburgh airport'],
-      'Manchester': ['manchester airport'],
-      'Birmingham': ['birmingham airport'],
-      'Glasgow': ['glasgow airport'],
-      'Newcastle': ['newcastle airport'],
-      'Liverpool': ['liverpool airport'],
-      'Leeds': ['leeds bradford airport'],
-      'Bristol': ['bristol airport'],
-      'Cardiff': ['cardiff airport'],
-      'Belfast': ['belfast international', 'belfast city']
-    };
-
-    for (const [city, keywords] of Object.entries(specialCases)) {
-      if (CITIES.includes(city)) {
-        for (const keyword of keywords) {
-          if (lowerText.includes(keyword)) {
-            return city;
-          }
-        }
-      }
-    }
-
-    return null;
+  /**
+   * Match article text to a catalogue city, including aliases and transport hubs (e.g. "Heathrow" → London)
+   */
+  extractCity(text, cities) {
+    return cityCatalogue.findCityInText(text, cities);
   }
 
   extractDisruptionInfo(text) {
@@ -373,22 +368,6 @@ class NewsDataService {
       endDate: endDate.toISOString().split('T')[0]
     };
   }
-
-  getSourceCredibility(sourceId) {
-    // Define credibility scores based on source
-    const credibleSources = ['bbc', 'reuters', 'sky', 'guardian', 'independent', 'telegraph'];
-    const majorSources = ['bbc', 'reuters', 'sky', 'guardian'];
-
-    if (majorSources.some(source => sourceId?.toLowerCase().includes(source))) {
-      return 'major_news';
-    } else if (credibleSources.some(source => sourceId?.toLowerCase().includes(source))) {
-      return 'other_news';
-    } else if (sourceId?.toLowerCase().includes('twitter') || sourceId?.toLowerCase().includes('reddit')) {
-      return 'social';
-    }
-
-    return 'other_news'; // Default
-  }
 }
 
 module.exports = new NewsDataService();
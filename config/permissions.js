@@ -0,0 +1,87 @@
+/**
+ * Permission model
+ * Each capability lists the account roles and collaborator roles that have it, and whether it
+ * needs a premium account. Collaborators act for their parent account, so they also need the
+ * capability's account role and inherit its premium status.
+ */
+
+const ALL_COLLABORATORS = ['viewer', 'manager'];
+
+const PERMISSIONS = {
+  // Hotel features
+  'alerts:read': { roles: ['user', 'admin'], collaboratorRoles: ALL_COLLABORATORS },
+  'alerts:follow': { roles: ['user', 'admin'], collaboratorRoles: ALL_COLLABORATORS },
+  // Pro feature
+  'alerts:send_to_guests': { roles: ['user', 'admin'], collaboratorRoles: ['manager'], premium: true },
+  'bookings:read': { roles: ['user', 'admin'], collaboratorRoles: ALL_COLLABORATORS },
+  'bookings:upload': { roles: ['user', 'admin'], collaboratorRoles: ['manager'] },
+  'bookings:update': { roles: ['user', 'admin'], collaboratorRoles: ['manager'] },
+  'properties:read': { roles: ['user', 'admin'], collaboratorRoles: ALL_COLLABORATORS },
+  'properties:manage': { roles: ['user', 'admin'], collaboratorRoles: ['manager'] },
+  'notifications:read': { roles: ['user', 'admin'], collaboratorRoles: ALL_COLLABORATORS },
+  'profile:read': { roles: ['user', 'admin'], collaboratorRoles: ALL_COLLABORATORS },
+  'profile:update': { roles: ['user', 'admin'], collaboratorRoles: [] },
+  'collaborators:read': { roles: ['user', 'admin'], collaboratorRoles: ['manager'] },
+  'collaborators:manage': { roles: ['user', 'admin'], collaboratorRoles: [] },
+  // Tips from trusted partner accounts (User.isTrustedPartner) carry more weight than other hotels' reports
+  'tips:submit': { roles: ['user', 'admin'], collaboratorRoles: ['manager'] },
+
+  // Admin features (account holders only)
+  'alerts:manage': { roles: ['admin'], collaboratorRoles: [] },
+  'alerts:approve': { roles: ['admin'], collaboratorRoles: [] },
+  'alerts:generate': { roles: ['admin'], collaboratorRoles: [] },
+  'users:manage': { roles: ['admin'], collaboratorRoles: [] },
+  'subscribers:manage': { roles: ['admin'], collaboratorRoles: [] },
+  'analytics:read': { roles: ['admin'], collaboratorRoles: [] },
+  'csv_files:manage': { roles: ['admin'], collaboratorRoles: [] },
+  'cities:manage': { roles: ['admin'], collaboratorRoles: [] },
+  'sources:manage': { roles: ['admin'], collaboratorRoles: [] },
+  'tips:manage': { roles: ['admin'], collaboratorRoles: [] },
+  'recovery_rates:manage': { roles: ['admin'], collaboratorRoles: [] },
+  'settings:manage': { roles: ['admin'], collaboratorRoles: [] },
+  'logs:read': { roles: ['admin'], collaboratorRoles: [] },
+  'logs:write': { roles: ['admin'], collaboratorRoles: [] }
+};
+
+/**
+ * Build the principal permissions are checked against from verified token data
+ * @param {Object} decoded - Output of tokenManager.verifyToken (with userData)
+ * @returns {Object} - { role, collaboratorRole, isPremium }
+ */
+const getPrincipal = (decoded) => ({
+  role: decoded.userData?.role,
+  collaboratorRole: decoded.isCollaborator ? decoded.collaboratorRole : null,
+  isPremium: !!decoded.userData?.isPremium
+});
+
+/**
+ * Check whether a principal has a capability
+ * @param {Object} principal - From getPrincipal
+ * @param {string} capability - Key of PERMISSIONS
+ * @returns {boolean} - false for unknown capabilities
+ */
+const hasPermission = (principal, capability) => {
+  const rule = PERMISSIONS[capability];
+  if (!rule || !principal) return false;
+
+  if (!rule.roles.includes(principal.role)) return false;
+  if (principal.collaboratorRole && !rule.collaboratorRoles.includes(principal.collaboratorRole)) return false;
+  if (rule.premium && !principal.isPremium) return false;
+
+  return true;
+};
+
+/**
+ * List every capability a principal has (sent to the frontend)
+ * @param {Object} principal - From getPrincipal
+ * @returns {Array<string>}
+ */
+const getPermissions = (principal) => Object.keys(PERMISSIONS)
+  .filter(capability => hasPermission(principal, capability));
+
+module.exports = {
+  PERMISSIONS,
+  getPrincipal,
+  hasPermission,
+  getPermissions
+};
@@ -0,0 +1,271 @@
+const cron = require('node-cron');
+const { subDays, subHours, format } = require('date-fns');
+const Alert = require('../models/Alert.js');
+const { Booking } = require('../models/Booking.js');
+const RecoveryRateTable = require('../models/RecoveryRateTable.js');
+const disruptionCalculations = require('../utils/disruptionCalculations.js');
+const jobQueue = require('./jobQueue.js');
+const { RECOVERY_CALIBRATION } = require('./constants.js');
+
+const CALIBRATION_JOB = 'recovery_rate_calibration';
+
+class RecoveryRateCalibrator {
+  constructor() {
+    this.isRunning = false;
+    this.job = null;
+    this.syncTimer = null;
+  }
+
+  /**
+   * Load the active rate table and schedule the weekly calibration
+   * Every instance schedules it, but the cron entry only queues a job (one per week across
+   * instances), so a single worker runs the calibration.
+   */
+  async initialize() {
+    try {
+      await this.loadActiveTable();
+
+      // Another instance may activate a different table
+      if (!this.syncTimer) {
+        this.syncTimer = setInterval(() => this.syncActiveTable(), RECOVERY_CALIBRATION.ACTIVE_TABLE_SYNC_SECONDS * 1000);
+      }
+
+      jobQueue.register(CALIBRATION_JOB, () => this.runScheduledCalibration());
+
+      // Sunday 3 AM - learn recovery rates from alerts that ended within LOOKBACK_DAYS
+      this.job = cron.schedule('0 3 * * 0', async () => {
+        try {
+          await jobQueue.enqueue(CALIBRATION_JOB, {}, {
+            dedupeKey: `${CALIBRATION_JOB}:${format(new Date(), 'yyyy-MM-dd')}`
+          });
+        } catch (error) {
+          console.error('❌ Failed to queue weekly recovery rate calibration:', error);
+        }
+      }, {
+        timezone: 'Europe/London'
+      });
+
+      console.log('✅ Recovery rate calibrator initialized');
+    } catch (error) {
+      console.error('❌ Failed to initialize recovery rate calibrator:', error);
+    }
+  }
+
+  /**
+   * Load the active table from the database into disruptionCalculations
+   * @returns {Object|null} Active table
+   */
+  async loadActiveTable() {
+    const table = await RecoveryRateTable.findOne({ isActive: true }).lean();
+    disruptionCalculations.setActiveRateTable(table);
+    return table;
+  }
+
+  /**
+   * Reload the active table when another instance has activated a different version
+   */
+  async syncActiveTable() {
+    try {
+      const active = await RecoveryRateTable.findOne({ isActive: true }).select('version').lean();
+      if ((active?.version ?? null) !== disruptionCalculations.activeRateVersion) {
+        await this.loadActiveTable();
+        console.log(`📈 Recovery rate table v${disruptionCalculations.activeRateVersion} loaded`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to sync active recovery rate table:', error.message);
+    }
+  }
+
+  /**
+   * Job handler for the weekly calibration
+   * The dedupe key only holds while the job is queued or running, so an instance whose cron fired
+   * late could still queue a second one; skip it when this week's table already exists.
+   */
+  async runScheduledCalibration() {
+    const recent = await RecoveryRateTable.exists({ trigger: 'cron', createdAt: { $gte: subHours(new Date(), 12) } });
+    if (recent) {
+      return { skipped: true };
+    }
+
+    console.log('📈 Starting weekly recovery rate calibration');
+    const table = await this.calibrate({ trigger: 'cron' });
+    return { version: table.version };
+  }
+
+  /**
+   * Store a table under the next version number, retrying if another instance took it first
+   */
+  async createTable(fields) {
+    for (let attempt = 0; ; attempt++) {
+      const latest = await RecoveryRateTable.findOne().sort({ version: -1 }).select('version').lean();
+      try {
+        return await RecoveryRateTable.create({ ...fields, version: (latest?.version || 0) + 1 });
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= 4) throw error;
+      }
+    }
+  }
+
+  /**
+   * Learn recovery rates from bookings linked to alerts that have ended
+   * A booking counts as lost when it ended cancelled or no-show, otherwise the stay was recovered.
+   * Rates are weighted by room-nights and grouped by mainType, subType and city.
+   * @param {Object} options - { minSampleSize, lookbackDays, activate, trigger, createdBy }
+   * @returns {Object} The new rate table
+   */
+  async calibrate(options = {}) {
+    if (this.isRunning) {
+      throw new Error('Recovery rate calibration is already running');
+    }
+
+    const minSampleSize = options.minSampleSize || RECOVERY_CALIBRATION.MIN_SAMPLE_SIZE;
+    const lookbackDays = options.lookbackDays || RECOVERY_CALIBRATION.LOOKBACK_DAYS;
+    const activate = options.activate !== false;
+
+    try {
+      this.isRunning = true;
+
+      const now = new Date();
+      const alerts = await Alert.find({
+        $or: [
+          { endDate: { $lt: now, $gte: subDays(now, lookbackDays) } },
+          { endDate: null, startDate: { $lt: now, $gte: subDays(now, lookbackDays) } }
+        ]
+      })
+        .select('mainType subType city')
+        .lean();
+
+      const alertsById = new Map(alerts.map(alert => [alert._id.toString(), alert]));
+
+      const bookings = await Booking.find({
+        'statusHistory.alert': { $in: alerts.map(alert => alert._id) }
+      })
+        .select('status nights statusHistory.alert')
+        .lean();
+
+      const groups = new Map();
+      const alertsAnalysed = new Set();
+
+      const addOutcome = (mainType, subType, city, nights, lost) => {
+        const key = disruptionCalculations.getRateKey(mainType, subType, city);
+        if (!groups.has(key)) {
+          groups.set(key, {
+            mainType,
+            subType: subType || null,
+            city: city || null,
+            sampleSize: 0,
+            recoveredNights: 0,
+            lostNights: 0
+          });
+        }
+
+        const group = groups.get(key);
+        group.sampleSize++;
+        if (lost) {
+          group.lostNights += nights;
+        } else {
+          group.recoveredNights += nights;
+        }
+      };
+
+      for (const booking of bookings) {
+        const lost = RECOVERY_CALIBRATION.LOST_STATUSES.includes(booking.status);
+        const linkedAlertIds = new Set(
+          booking.statusHistory
+            .filter(entry => entry.alert)
+            .map(entry => entry.alert.toString())
+        );
+
+        for (const alertId of linkedAlertIds) {
+          const alert = alertsById.get(alertId);
+          if (!alert || !alert.mainType) continue;
+
+          alertsAnalysed.add(alertId);
+          const city = alert.city ? alert.city.trim().toLowerCase() : null;
+
+          // Each outcome feeds every level so broad rates fill in where specific ones lack data
+          addOutcome(alert.mainType, null, null, booking.nights, lost);
+          if (city) addOutcome(alert.mainType, null, city, booking.nights, lost);
+          if (alert.subType) {
+            addOutcome(alert.mainType, alert.subType, null, booking.nights, lost);
+            if (city) addOutcome(alert.mainType, alert.subType, city, booking.nights, lost);
+          }
+        }
+      }
+
+      const rates = [];
+      let ratesBelowSampleSize = 0;
+
+      for (const group of groups.values()) {
+        const totalNights = group.recoveredNights + group.lostNights;
+        if (group.sampleSize < minSampleSize || totalNights === 0) {
+          ratesBelowSampleSize++;
+          continue;
+        }
+
+        rates.push({
+          ...group,
+          recoveryRate: Math.round((group.recoveredNights / totalNights) * 100) / 100
+        });
+      }
+
+      const table = await this.createTable({
+        rates,
+        minSampleSize,
+        lookbackDays,
+        stats: {
+          bookingsAnalysed: bookings.length,
+          alertsAnalysed: alertsAnalysed.size,
+          ratesLearned: rates.length,
+          ratesBelowSampleSize
+        },
+        trigger: options.trigger || 'admin',
+        createdBy: options.createdBy
+      });
+
+      console.log(`📈 Recovery rate table v${table.version}: ${rates.length} learned rates from ${bookings.length} bookings`);
+
+      if (activate) {
+        return this.activate(table.version);
+      }
+
+      return table;
+
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Make a table version the active one
+   * @param {number} version
+   * @returns {Object|null} Activated table, or null when the version does not exist
+   */
+  async activate(version) {
+    const table = await RecoveryRateTable.findOne({ version });
+    if (!table) return null;
+
+    await RecoveryRateTable.updateMany({ isActive: true, version: { $ne: version } }, { isActive: false });
+
+    table.isActive = true;
+    table.activatedAt = new Date();
+    await table.save();
+
+    disruptionCalculations.setActiveRateTable(table);
+    return table;
+  }
+
+  /**
+   * Get calibrator status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      scheduled: !!this.job,
+      activeVersion: disruptionCalculations.activeRateVersion,
+      learnedRates: disruptionCalculations.learnedRates.size
+    };
+  }
+}
+
+module.exports = new RecoveryRateCalibrator();
@@ -1,38 +1,76 @@
 const cron = require('node-cron');
-const grokService = require('./grok.js');
-const newsDataService = require('./newsdata.js');
 const alertProcessor = require('./alertProcessor.js');
-
+const alertEvents = require('../utils/alertEvents.js');
+const cityCatalogue = require('./cityCatalogue.js');
+const sourceRegistry = require('./sources/index.js');
+const jobQueue = require('./jobQueue.js');
+const IngestionRun = require('../models/IngestionRun.js');
+const Alert = require('../models/Alert.js');
+const AlertTip = require('../models/AlertTip.js');
+const FetchSchedule = require('../models/FetchSchedule.js');
+const cronSchedule = require('../utils/cronSchedule.js');
+
+// Each schedule has at most one run queued or running at a time across every server instance,
+// and so do on-demand (manual and admin) runs
+const ON_DEMAND_DEDUPE_KEY = 'ingestion_run:on-demand';
+const getScheduleDedupeKey = (scheduleKey) => `ingestion_run:schedule:${scheduleKey}`;
+
+// Schedules the app ships with, created the first time the scheduler loads
+const DEFAULT_SCHEDULES = [
+  { key: 'monday-full', name: 'Monday full fetch', cron: '0 8 * * 1', timezone: 'Europe/London', runType: 'full' },
+  { key: 'thursday-midweek', name: 'Thursday midweek fetch', cron: '0 8 * * 4', timezone: 'Europe/London', runType: 'midweek' }
+];
+
+// How often each instance checks for schedule changes made elsewhere
+const SCHEDULE_SYNC_MS = 60 * 1000;
+
+// How often a run waiting on its city jobs checks back (it is also woken as each one finishes)
+const CITY_JOB_WAIT_MS = 60 * 1000;
+
+// Per-run fetch context kept on each instance so shared feeds are fetched once per run, not per city
+const RUN_CONTEXT_TTL_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Alert ingestion scheduler
+ * Cron tasks come from FetchSchedule documents and are rebuilt when they change, so admins
+ * can edit schedules without a redeploy. Cron tasks and manual triggers only enqueue jobs;
+ * the work runs on the job queue:
+ *   ingestion_run   one per run: records the IngestionRun, fans out a job per city, waits for
+ *                   them, then processes the disruptions and archives old alerts
+ *   ingestion_city  fetches every source in the run for one city; sources that succeeded are
+ *                   kept in the job's progress so a retry only fetches the ones that failed
+ */
 class AlertScheduler {
   constructor() {
-    this.isRunning = false;
-    this.jobs = [];
-    this.lastGrokRun = null;
+    this.jobs = []; // node-cron tasks, one per enabled schedule
+    this.schedules = []; // FetchSchedule documents the tasks were built from
+    this.scheduleSignature = null;
+    this.syncTimer = null;
+    this.seeded = false;
+    this.runContexts = new Map(); // IngestionRun ID -> { runType, cities, cache, createdAt }
   }
 
   /**
-   * Initialize the scheduler with cron jobs
+   * Register the job handlers, schedule the cron jobs and start the job worker
+   * Set JOB_WORKER=false to only enqueue from this instance and leave the work to others.
    */
-  initialize() {
+  async initialize() {
     try {
-      // Monday 8 AM BST - Full fetch (Grok + NewsData)
-      const mondayJob = cron.schedule('0 8 * * 1', async () => {
-        console.log('🚀 Starting Monday 8 AM full alert fetch');
-        await this.runFullFetch();
-      }, {
-        timezone: 'Europe/London'
+      jobQueue.register('ingestion_run', (job, context) => this.runIngestionJob(job, context), {
+        onFailed: (job, error) => this.failRun(job, error)
       });
+      jobQueue.register('ingestion_city', (job, context) => this.runCityJob(job, context));
 
-      // Thursday 8 AM BST - NewsData only
-      const thursdayJob = cron.schedule('0 8 * * 4', async () => {
-        console.log('🚀 Starting Thursday 8 AM NewsData fetch');
-        await this.runNewsDataOnlyFetch();
-      }, {
-        timezone: 'Europe/London'
-      });
+      await this.loadSchedules();
 
-      this.jobs = [mondayJob, thursdayJob];
-      console.log('✅ Alert scheduler initialized with Monday and Thursday jobs');
+      // Pick up schedule changes made through another instance
+      if (!this.syncTimer) {
+        this.syncTimer = setInterval(() => this.syncSchedules(), SCHEDULE_SYNC_MS);
+      }
+
+      if (process.env.JOB_WORKER !== 'false') {
+        jobQueue.start();
+      }
 
     } catch (error) {
       console.error('❌ Failed to initialize scheduler:', error);
@@ -40,208 +78,561 @@ class AlertScheduler {
   }
 
   /**
-   * Run full fetch (Monday): Grok + NewsData + Manual
+   * Rebuild the cron tasks from the FetchSchedule collection
    */
-  async runFullFetch() {
-    if (this.isRunning) {
-      console.log('⏳ Full fetch already running, skipping');
-      return;
+  async loadSchedules() {
+    if (!this.seeded) {
+      for (const schedule of DEFAULT_SCHEDULES) {
+        await FetchSchedule.updateOne({ key: schedule.key }, { $setOnInsert: schedule }, { upsert: true });
+      }
+      this.seeded = true;
     }
 
-    try {
-      this.isRunning = true;
-      console.log('🔄 Starting full alert fetch process...');
+    const schedules = await FetchSchedule.find().sort({ key: 1 }).lean();
 
-      const allDisruptions = [];
+    this.jobs.forEach(job => job.stop());
+    this.jobs = schedules
+      .filter(schedule => schedule.enabled)
+      .map(schedule => cron.schedule(schedule.cron, async () => {
+        console.log(`🚀 Queueing scheduled fetch: ${schedule.name}`);
+        await this.enqueueScheduledFetch(schedule);
+      }, {
+        timezone: schedule.timezone,
+        name: `fetch-schedule:${schedule.key}`
+      }));
 
-      // 1. Run Grok API (only once per week)
-      console.log('🤖 Running Grok API for disruption generation...');
-      const grokDisruptions = await this.fetchFromGrok();
-      allDisruptions.push(...grokDisruptions);
-      this.lastGrokRun = new Date();
+    this.schedules = schedules;
+    this.scheduleSignature = this.getScheduleSignature(schedules);
+    console.log(`✅ Alert scheduler loaded ${this.jobs.length} fetch schedule(s)`);
+  }
 
-      // 2. Run NewsData API
-      console.log('📰 Running NewsData API for current news...');
-      const newsDisruptions = await this.fetchFromNewsData();
-      allDisruptions.push(...newsDisruptions);
+  getScheduleSignature(schedules) {
+    return schedules.map(schedule => `${schedule._id}:${new Date(schedule.updatedAt).getTime()}`).join('|');
+  }
 
-      // 3. Process manual additions (placeholder for manual input)
-      console.log('📝 Checking for manual alert additions...');
-      const manualDisruptions = await this.fetchManualAlerts();
-      allDisruptions.push(...manualDisruptions);
+  /**
+   * Reload the cron tasks if any schedule was added, changed or removed
+   */
+  async syncSchedules() {
+    try {
+      const schedules = await FetchSchedule.find().sort({ key: 1 }).select('_id updatedAt').lean();
+      if (this.getScheduleSignature(schedules) !== this.scheduleSignature) {
+        await this.loadSchedules();
+      }
+    } catch (error) {
+      console.error('❌ Failed to sync fetch schedules:', error.message);
+    }
+  }
 
-      // 4. Process all disruptions
-      console.log(`📊 Processing ${allDisruptions.length} total disruptions...`);
-      const processedAlerts = await alertProcessor.processDisruptions(allDisruptions);
+  /**
+   * Queue a scheduled run. Every instance's cron fires, but the dedupe key keeps it to one job.
+   * @param {Object} schedule - FetchSchedule
+   */
+  async enqueueScheduledFetch(schedule) {
+    try {
+      await this.enqueueFetch(schedule.runType, {
+        trigger: 'cron',
+        schedule: schedule.key,
+        sources: schedule.sources,
+        cities: schedule.cities
+      });
+    } catch (error) {
+      console.error(`❌ Failed to queue scheduled fetch ${schedule.key}:`, error);
+    }
+  }
 
-      // 5. Archive old alerts
-      console.log('🗂️ Archiving old alerts...');
-      await alertProcessor.archiveOldAlerts();
+  /**
+   * Queue full fetch (Monday)
+   * @param {Object} options - See enqueueFetch
+   */
+  async runFullFetch(options = {}) {
+    return this.enqueueFetch('full', options);
+  }
 
-      console.log(`✅ Full fetch completed. Processed ${processedAlerts.length} alerts.`);
+  /**
+   * Queue midweek fetch (Thursday) - kept under its old name for callers
+   * @param {Object} options - See enqueueFetch
+   */
+  async runNewsDataOnlyFetch(options = {}) {
+    return this.enqueueFetch('midweek', options);
+  }
 
-    } catch (error) {
-      console.error('❌ Error in full fetch:', error);
-    } finally {
-      this.isRunning = false;
+  /**
+   * Queue an ingestion run
+   * @param {string} runType - One of INGESTION_RUN_TYPES ('full' or 'midweek')
+   * @param {Object} options - { trigger: one of INGESTION_TRIGGERS (default 'manual'), triggeredBy: user ID,
+   *   schedule: FetchSchedule key, sources: source keys, cities: city names }
+   * @returns {Promise<Object>} - { job, deduplicated }: deduplicated when the same schedule (or
+   *   another on-demand run) was already queued or running, in which case job is that run's job
+   */
+  async enqueueFetch(runType, options = {}) {
+    const { job, deduplicated } = await jobQueue.enqueue('ingestion_run', {
+      runType,
+      trigger: options.trigger || 'manual',
+      triggeredBy: options.triggeredBy || null,
+      schedule: options.schedule || null,
+      sources: options.sources || [],
+      cities: options.cities || []
+    }, {
+      dedupeKey: options.schedule ? getScheduleDedupeKey(options.schedule) : ON_DEMAND_DEDUPE_KEY,
+      priority: 1
+    });
+
+    if (deduplicated) {
+      console.log(`⏳ Fetch already queued or running, skipping ${runType} fetch`);
+    } else {
+      console.log(`📋 Queued ${runType} fetch (job ${job._id})`);
     }
+
+    return { job, deduplicated };
   }
 
   /**
-   * Run NewsData only fetch (Thursday)
+   * ingestion_run handler
+   * Each step is recorded in the job's progress so a retry (e.g. after a restart) carries on
+   * from there. Processing may run again after a failure; alerts created by the earlier attempt
+   * are matched by alertProcessor.findExistingAlert and left unchanged.
    */
-  async runNewsDataOnlyFetch() {
-    if (this.isRunning) {
-      console.log('⏳ NewsData fetch already running, skipping');
-      return;
+  async runIngestionJob(job, context) {
+    const { runType, trigger, triggeredBy, schedule } = job.payload;
+    const progress = job.progress || { phase: 'fanout' };
+
+    // 1. Record the run once, however many attempts the job takes
+    let run = progress.runId ? await IngestionRun.findById(progress.runId) : null;
+    if (!run) {
+      run = await IngestionRun.create({ runType, trigger, triggeredBy, schedule, job: job._id, startedAt: new Date() });
+      progress.runId = run._id.toString();
+      await context.saveProgress(progress);
     }
 
-    try {
-      this.isRunning = true;
-      console.log('🔄 Starting NewsData-only alert fetch process...');
+    // 2. Fan out a job per city
+    if (progress.phase === 'fanout') {
+      console.log(`🔄 Starting ${runType} alert fetch process...`);
+      await this.enqueueCityJobs(job);
+      progress.phase = 'fetching';
+      await context.saveProgress(progress);
+    }
 
-      // 1. Run NewsData API only
-      console.log('📰 Running NewsData API for current news...');
-      const newsDisruptions = await this.fetchFromNewsData();
+    // 3. Wait for the city jobs
+    const cityJobs = await jobQueue.getChildren(job._id, 'status payload result progress lastError finishedAt');
+    if (cityJobs.some(cityJob => ['queued', 'running'].includes(cityJob.status))) {
+      return context.snooze(CITY_JOB_WAIT_MS);
+    }
 
-      // 2. Process manual additions
-      console.log('📝 Checking for manual alert additions...');
-      const manualDisruptions = await this.fetchManualAlerts();
-      const allDisruptions = [...newsDisruptions, ...manualDisruptions];
+    const sources = await sourceRegistry.getSourcesForRun(runType, job.payload.sources);
+    const { disruptions: allDisruptions, sources: sourceStats, failedCities, tipIds } = this.mergeCityResults(cityJobs, sources);
+    run.sources = sourceStats;
+    run.failedCities = failedCities;
 
-      // 3. Process disruptions (only LLM if confidence changed)
-      console.log(`📊 Processing ${allDisruptions.length} disruptions...`);
-      const processedAlerts = await alertProcessor.processDisruptions(allDisruptions);
+    // 4. Process all disruptions (manual tips come in through the 'manual' source)
+    const { disruptions, tipIds: claimedTipIds } = await this.claimTips(run, allDisruptions, tipIds);
+    console.log(`📊 Processing ${disruptions.length} total disruptions...`);
+    const { alerts: processedAlerts, clusters } = await alertProcessor.processDisruptionsWithReport(disruptions);
+    this.recordClusters(run, clusters);
+    run.totals.disruptions = disruptions.length;
+    await this.recordTipOutcomes(run, clusters, claimedTipIds);
 
-      // 4. Archive old alerts
-      console.log('🗂️ Archiving old alerts...');
-      await alertProcessor.archiveOldAlerts();
+    // 5. Archive old alerts
+    console.log('🗂️ Archiving old alerts...');
+    run.totals.archived = await alertProcessor.archiveOldAlerts();
 
-      console.log(`✅ NewsData fetch completed. Processed ${processedAlerts.length} alerts.`);
+    run.status = 'completed';
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
 
-    } catch (error) {
-      console.error('❌ Error in NewsData fetch:', error);
-    } finally {
-      this.isRunning = false;
+    this.runContexts.delete(progress.runId);
+    console.log(`✅ ${runType} fetch completed. Processed ${processedAlerts.length} alerts.`);
+
+    return { runId: run._id, alerts: processedAlerts.length };
+  }
+
+  /**
+   * Queue a job for each city in the run that at least one of its sources is enabled for
+   * Cities that already have a job (from an earlier attempt) are skipped.
+   */
+  async enqueueCityJobs(job) {
+    const { runType, sources: sourceKeys = [], cities: cityNames = [] } = job.payload;
+    const runId = job.progress.runId;
+    const sources = (await sourceRegistry.getSourcesForRun(runType, sourceKeys)).filter(source => source.isConfigured());
+    const cities = this.filterCities(await cityCatalogue.getCities(), cityNames);
+    const existing = new Set((await jobQueue.getChildren(job._id, 'payload.city')).map(cityJob => cityJob.payload.city));
+
+    for (const city of cities) {
+      if (existing.has(city.name)) continue;
+      if (!sources.some(source => source.definition.isEnabledForCity(city.name))) continue;
+
+      await jobQueue.enqueue('ingestion_city', {
+        runId,
+        runType,
+        sources: sourceKeys,
+        city: city.name
+      }, {
+        parent: job._id,
+        dedupeKey: `ingestion_city:${runId}:${city.name}`
+      });
     }
   }
 
   /**
-   * Fetch disruptions from Grok API
+   * Limit the catalogue to a schedule's cities
+   * @param {Array} cities - From cityCatalogue.getCities
+   * @param {Array<string>} names - Empty for every city
    */
-  async fetchFromGrok() {
-    try {
-      const { CITIES } = await import('./constants.js');
-      const allDisruptions = [];
+  filterCities(cities, names = []) {
+    if (!names.length) return cities;
 
-      for (const city of CITIES) {
-        console.log(`🤖 Generating disruptions for ${city}...`);
-        const disruptions = await grokService.generateDisruptions(city);
-        allDisruptions.push(...disruptions);
-      }
+    const lowerNames = names.map(name => name.toLowerCase());
+    return cities.filter(city => lowerNames.includes(city.name.toLowerCase()));
+  }
 
-      console.log(`🤖 Grok generated ${allDisruptions.length} disruptions`);
-      return allDisruptions;
+  /**
+   * Get this instance's fetch context for a run (see SourceAdapter.fetch)
+   */
+  async getRunContext(runId, runType) {
+    const now = Date.now();
+    for (const [id, runContext] of this.runContexts) {
+      if (now - runContext.createdAt > RUN_CONTEXT_TTL_MS) this.runContexts.delete(id);
+    }
 
-    } catch (error) {
-      console.error('❌ Error fetching from Grok:', error);
-      return [];
+    if (!this.runContexts.has(runId)) {
+      const cities = await cityCatalogue.getCities();
+      this.runContexts.set(runId, { runType, cities, cache: new Map(), createdAt: now });
     }
+    return this.runContexts.get(runId);
   }
 
   /**
-   * Fetch disruptions from NewsData API
+   * ingestion_city handler
+   * A source that fails is retried with the job's backoff; on the last attempt its error is
+   * kept for the run's stats instead so the rest of the run still goes ahead.
+   * @returns {Promise<Object>} - { sources: { [key]: { completed, fetched, latencyMs, disruptions, error } } }
    */
-  async fetchFromNewsData() {
-    try {
-      console.log('📰 Fetching from NewsData...');
-      const disruptions = await newsDataService.fetchNews();
+  async runCityJob(job, context) {
+    const { runId, runType, sources: sourceKeys = [], city: cityName } = job.payload;
+    const progress = job.progress || { sources: {} };
+
+    const runContext = await this.getRunContext(runId, runType);
+    const city = runContext.cities.find(catalogueCity => catalogueCity.name === cityName);
+    if (!city) {
+      // Removed from the catalogue since the run started
+      return progress;
+    }
 
-      console.log(`📰 NewsData returned ${disruptions.length} potential disruptions`);
-      return disruptions;
+    const sources = (await sourceRegistry.getSourcesForRun(runType, sourceKeys))
+      .filter(source => source.isConfigured() && source.definition.isEnabledForCity(city.name));
+    const failed = [];
+
+    for (const source of sources) {
+      const previous = progress.sources[source.key];
+      if (previous?.completed) continue;
+
+      try {
+        const { disruptions, fetched, latencyMs } = await source.collect(city, runContext);
+        progress.sources[source.key] = {
+          completed: true,
+          fetched,
+          latencyMs: (previous?.latencyMs || 0) + latencyMs,
+          disruptions
+        };
+      } catch (error) {
+        console.error(`❌ Error fetching ${source.name} for ${city.name}:`, error.response?.data || error.message);
+        progress.sources[source.key] = {
+          completed: false,
+          fetched: 0,
+          latencyMs: previous?.latencyMs || 0,
+          error: error.message
+        };
+        failed.push(source.name);
+      }
 
-    } catch (error) {
-      console.error('❌ Error fetching from NewsData:', error);
-      return [];
+      await context.saveProgress(progress);
     }
+
+    if (failed.length && !context.isLastAttempt) {
+      throw new Error(`${failed.join(', ')} failed for ${city.name}`);
+    }
+
+    return progress;
   }
 
   /**
-   * Fetch manual alerts (placeholder for manual input system)
+   * Combine the city jobs' results into the run's disruptions and per-source stats
+   * @param {Array} cityJobs - Finished ingestion_city jobs
+   * @param {Array} sources - Sources in the run
+   * @returns {Object} - { disruptions, sources, failedCities, tipIds: every manual tip fetched,
+   *   including ones left out as duplicates }
    */
-  async fetchManualAlerts() {
-    // TODO: Implement manual alert input system
-    // For now, return empty array
-    console.log('📝 Manual alerts system not yet implemented');
-    return [];
+  mergeCityResults(cityJobs, sources) {
+    const stats = new Map();
+    const getStats = (key, name) => {
+      if (!stats.has(key)) {
+        stats.set(key, {
+          key,
+          name: name || key,
+          status: 'ok',
+          cities: 0,
+          fetched: 0,
+          transformed: 0,
+          dropped: 0,
+          clustered: 0,
+          created: 0,
+          updated: 0,
+          latencyMs: 0,
+          failures: []
+        });
+      }
+      return stats.get(key);
+    };
+
+    for (const source of sources) {
+      const sourceStats = getStats(source.key, source.name);
+      if (!source.isConfigured()) {
+        console.warn(`⚠️ ${source.name} is not configured, skipping`);
+        sourceStats.status = 'skipped';
+      }
+    }
+
+    const allDisruptions = [];
+    const failedCities = [];
+    const tipIds = [];
+    const seen = new Set();
+
+    const sortedJobs = [...cityJobs].sort((a, b) => a.payload.city.localeCompare(b.payload.city));
+    for (const cityJob of sortedJobs) {
+      const cityName = cityJob.payload.city;
+      if (cityJob.status === 'failed') {
+        failedCities.push({ city: cityName, message: cityJob.lastError || 'City job failed', at: cityJob.finishedAt });
+      }
+
+      // A failed job's progress still holds the sources it fetched
+      const results = (cityJob.result || cityJob.progress)?.sources || {};
+
+      for (const [key, result] of Object.entries(results)) {
+        const sourceStats = getStats(key);
+        sourceStats.cities++;
+        sourceStats.latencyMs += result.latencyMs || 0;
+
+        if (!result.completed) {
+          sourceStats.failures.push({ city: cityName, message: result.error || 'Fetch failed', at: cityJob.finishedAt });
+          continue;
+        }
+
+        sourceStats.fetched += result.fetched || 0;
+
+        for (const disruption of result.disruptions || []) {
+          if (disruption.tipId) tipIds.push(disruption.tipId);
+
+          // Avoid duplicates by checking title within each source
+          const dedupeKey = `${key}|${disruption.title.toLowerCase()}`;
+          if (seen.has(dedupeKey)) continue;
+
+          seen.add(dedupeKey);
+          allDisruptions.push(disruption);
+          sourceStats.transformed++;
+        }
+      }
+    }
+
+    for (const sourceStats of stats.values()) {
+      // Shared feeds return the same items for every city, so drops can't go below zero
+      sourceStats.dropped = Math.max(sourceStats.fetched - sourceStats.transformed, 0);
+      if (sourceStats.failures.length) {
+        sourceStats.status = sourceStats.failures.length === sourceStats.cities ? 'failed' : 'partial';
+      }
+      if (sourceStats.status !== 'skipped') {
+        console.log(`📥 ${sourceStats.name} returned ${sourceStats.transformed} disruptions`);
+      }
+    }
+
+    return { disruptions: allDisruptions, sources: [...stats.values()], failedCities, tipIds };
   }
 
   /**
-   * Manual trigger for testing (bypass cron schedule)
+   * Add cluster outcomes to the run totals and to each source that fed the cluster
+   * @param {Object} run - IngestionRun
+   * @param {Array} clusters - From alertProcessor.processDisruptionsWithReport
    */
-  async triggerManualFetch(type = 'full') {
-    console.log(`🔧 Manual trigger: ${type} fetch`);
+  recordClusters(run, clusters) {
+    const sourcesByKey = new Map(run.sources.map(source => [source.key, source]));
 
-    if (type === 'full') {
-      await this.runFullFetch();
-    } else if (type === 'newsdata') {
-      await this.runNewsDataOnlyFetch();
-    } else {
-      console.log('❌ Invalid fetch type. Use "full" or "newsdata"');
+    for (const cluster of clusters) {
+      run.totals.clusters++;
+      run.totals[cluster.outcome]++;
+
+      for (const feed of cluster.feeds) {
+        const source = sourcesByKey.get(feed);
+        if (!source) continue;
+
+        source.clustered++;
+        if (cluster.outcome === 'created') source.created++;
+        if (cluster.outcome === 'updated') source.updated++;
+      }
     }
   }
 
   /**
-   * Get scheduler status
+   * Claim the manual tips fetched for the run before processing them
+   * Claimed tips can't be triaged until the run records their outcome, and tips an admin held
+   * or rejected after they were fetched are left out of the run.
+   * @param {Object} run - IngestionRun
+   * @param {Array} disruptions - From mergeCityResults
+   * @param {Array<string>} tipIds - From mergeCityResults
+   * @returns {Promise<Object>} - { disruptions, tipIds } without the tips that weren't claimed
    */
-  getStatus() {
+  async claimTips(run, disruptions, tipIds) {
+    if (!tipIds.length) return { disruptions, tipIds };
+
+    await AlertTip.updateMany(
+      { _id: { $in: tipIds }, status: 'pending' },
+      { $set: { processingRun: run._id } }
+    );
+    const claimed = new Set(
+      (await AlertTip.find({ _id: { $in: tipIds }, status: 'pending', processingRun: run._id }).distinct('_id'))
+        .map(tipId => tipId.toString())
+    );
+
+    const dropped = tipIds.filter(tipId => !claimed.has(tipId));
+    if (dropped.length) {
+      console.log(`🗒️ Leaving out ${dropped.length} tips triaged since they were fetched`);
+    }
+
     return {
-      isRunning: this.isRunning,
-      jobsScheduled: this.jobs.length,
-      lastGrokRun: this.lastGrokRun,
-      nextRuns: this.getNextRunTimes()
+      disruptions: disruptions.filter(disruption => !disruption.tipId || claimed.has(disruption.tipId)),
+      tipIds: tipIds.filter(tipId => claimed.has(tipId))
     };
   }
 
   /**
-   * Get next run times for all jobs
+   * Record what the run did with each manual tip it claimed
+   * Alerts approved before their tips were linked (e.g. on creation) notify the reporters here.
+   * @param {Object} run - IngestionRun
+   * @param {Array} clusters - From alertProcessor.processDisruptionsWithReport
+   * @param {Array<string>} tipIds - From claimTips
    */
-  getNextRunTimes() {
-    const nextRuns = {};
-
-    // Monday 8 AM
-    const nextMonday = this.getNextWeekday(1, 8, 0);
-    nextRuns.monday = nextMonday.toISOString();
+  async recordTipOutcomes(run, clusters, tipIds) {
+    if (!tipIds.length) return;
+
+    const processedAt = new Date();
+    const handled = new Set();
+
+    for (const cluster of clusters) {
+      for (const tipId of cluster.tipIds) {
+        handled.add(tipId);
+        await AlertTip.updateOne({ _id: tipId, processingRun: run._id }, {
+          $set: {
+            status: 'processed',
+            processingRun: null,
+            outcome: { result: cluster.outcome, alert: cluster.alertId, run: run._id, processedAt }
+          }
+        });
+      }
+    }
 
-    // Thursday 8 AM
-    const nextThursday = this.getNextWeekday(4, 8, 0);
-    nextRuns.thursday = nextThursday.toISOString();
+    // Left out before clustering because another tip had the same title
+    const duplicates = tipIds.filter(tipId => !handled.has(tipId));
+    if (duplicates.length) {
+      await AlertTip.updateMany({ _id: { $in: duplicates }, processingRun: run._id }, {
+        $set: {
+          status: 'processed',
+          processingRun: null,
+          outcome: { result: 'duplicate', run: run._id, processedAt }
+        }
+      });
+    }
 
-    return nextRuns;
+    const alertIds = clusters.filter(cluster => cluster.alertId && cluster.tipIds.length).map(cluster => cluster.alertId);
+    if (alertIds.length) {
+      const approved = await Alert.find({ _id: { $in: alertIds }, status: 'approved' }).select('_id title city').lean();
+      for (const alert of approved) {
+        try {
+          await alertEvents.notifyReporters(alert);
+        } catch (error) {
+          console.error('Error notifying alert reporters:', error);
+        }
+      }
+    }
   }
 
   /**
-   * Get next occurrence of a specific weekday and time
+   * Mark a run failed once its job is out of attempts (job queue onFailed)
    */
-  getNextWeekday(dayOfWeek, hour, minute) {
-    const now = new Date();
-    const result = new Date(now);
+  async failRun(job, error) {
+    const runId = job.progress?.runId;
+    if (!runId) return;
+
+    const run = await IngestionRun.findById(runId);
+    if (!run || run.status !== 'running') return;
 
-    // Set to target time today
-    result.setHours(hour, minute, 0, 0);
+    run.status = 'failed';
+    run.error = error.message;
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
 
-    // If it's already past today, move to next week
-    if (result <= now) {
-      result.setDate(result.getDate() + (7 - result.getDay() + dayOfWeek) % 7 || 7);
+    // Hand unprocessed tips back to the queue
+    await AlertTip.updateMany({ processingRun: run._id }, { $set: { processingRun: null } });
+
+    this.runContexts.delete(runId);
+  }
+
+  /**
+   * Manual trigger for testing (bypass cron schedule)
+   * @returns {Promise<Object|undefined>} - See enqueueFetch
+   */
+  async triggerManualFetch(type = 'full') {
+    console.log(`🔧 Manual trigger: ${type} fetch`);
+
+    if (type === 'full') {
+      return this.runFullFetch({ trigger: 'manual' });
+    } else if (type === 'midweek' || type === 'newsdata') {
+      return this.runNewsDataOnlyFetch({ trigger: 'manual' });
     } else {
-      // Move to target day of week
-      const daysUntilTarget = (dayOfWeek - result.getDay() + 7) % 7;
-      if (daysUntilTarget > 0) {
-        result.setDate(result.getDate() + daysUntilTarget);
-      }
+      console.log('❌ Invalid fetch type. Use "full" or "midweek"');
     }
+  }
 
-    return result;
+  /**
+   * Get scheduler status: queued or running ingestion jobs, the last finished run and each
+   * schedule's next run
+   */
+  async getStatus() {
+    const [activeJobs, lastRun] = await Promise.all([
+      jobQueue.findActive({ type: 'ingestion_run' }),
+      IngestionRun.findOne({ status: { $ne: 'running' } })
+        .sort({ startedAt: -1 })
+        .select('runType trigger schedule status startedAt finishedAt')
+        .lean()
+    ]);
+
+    return {
+      isRunning: activeJobs.length > 0,
+      activeJobs: activeJobs.map(job => ({
+        id: job._id,
+        status: job.status,
+        runType: job.payload.runType,
+        schedule: job.payload.schedule,
+        runAt: job.runAt,
+        attempts: job.attempts
+      })),
+      jobsScheduled: this.jobs.length,
+      lastRun,
+      nextRuns: this.getNextRunTimes()
+    };
+  }
+
+  /**
+   * Get the next run time of each enabled schedule
+   * @returns {Object} - Schedule key -> ISO date
+   */
+  getNextRunTimes() {
+    return this.schedules
+      .filter(schedule => schedule.enabled)
+      .reduce((nextRuns, schedule) => {
+        const [nextRun] = cronSchedule.getNextRuns(schedule.cron, schedule.timezone, { count: 1 });
+        nextRuns[schedule.key] = nextRun ? nextRun.toISOString() : null;
+        return nextRuns;
+      }, {});
   }
 
   /**
@@ -251,46 +642,20 @@ class AlertScheduler {
     console.log('🛑 Stopping alert scheduler...');
     this.jobs.forEach(job => job.stop());
     this.jobs = [];
-    this.isRunning = false;
+    if (this.syncTimer) {
+      clearInterval(this.syncTimer);
+      this.syncTimer = null;
+    }
+    jobQueue.stop();
   }
 
   /**
    * Restart scheduler
    */
-  restart() {
+  async restart() {
     console.log('🔄 Restarting alert scheduler...');
     this.stop();
-    this.initialize();
-  }
-
-  /**
-   * Add manual disruption (for testing or manual entry)
-   */
-  async addManualDisruption(disruptionData) {
-    try {
-      console.log('📝 Adding manual disruption...');
-
-      // Validate required fields
-      const required = ['city', 'mainType', 'subType', 'title', 'start_date', 'end_date', 'source', 'summary'];
-      for (const field of required) {
-        if (!disruptionData[field]) {
-          throw new Error(`Missing required field: ${field}`);
-        }
-      }
-
-      // Add source credibility for manual entries
-      disruptionData.sourceCredibility = 'official'; // Assume manual entries are credible
-
-      // Process as single-item cluster
-      const processedAlerts = await alertProcessor.processDisruptions([disruptionData]);
-
-      console.log(`✅ Manual disruption added. Created ${processedAlerts.length} alert(s).`);
-      return processedAlerts;
-
-    } catch (error) {
-      console.error('❌ Error adding manual disruption:', error);
-      throw error;
-    }
+    await this.initialize();
   }
 }
 
@@ -0,0 +1,110 @@
+const tokenManager = require('../utils/tokenManager.js');
+
+/**
+ * Real-time alert push over Socket.IO
+ * Connections are authenticated with the same authToken cookie as the REST API and
+ * joined to rooms per hotel, per city and for admins.
+ */
+class SocketService {
+  constructor() {
+    this.io = null;
+  }
+
+  /**
+   * Attach authentication and room handling to the Socket.IO server
+   * @param {Object} io - Socket.IO server
+   */
+  initialize(io) {
+    this.io = io;
+
+    io.use(async (socket, next) => {
+      try {
+        const token = this.extractToken(socket.handshake);
+        const decoded = await tokenManager.verifyToken(token);
+
+        if (!decoded) {
+          return next(new Error('Invalid or missing token'));
+        }
+
+        socket.data.userId = decoded.userId;
+        socket.data.isAdmin = decoded.userData.role === 'admin';
+        socket.data.city = decoded.userData.company?.city || null;
+        next();
+      } catch (error) {
+        console.error('Socket authentication error:', error);
+        next(new Error('Authentication failed'));
+      }
+    });
+
+    io.on('connection', (socket) => {
+      const { userId, city, isAdmin } = socket.data;
+
+      socket.join(this.hotelRoom(userId));
+      if (city) socket.join(this.cityRoom(city));
+      if (isAdmin) socket.join('admins');
+
+      // Clients can follow other cities' public alerts (e.g. a portfolio or admin view)
+      socket.on('city:join', (cityName) => {
+        if (typeof cityName === 'string' && cityName.trim()) {
+          socket.join(this.cityRoom(cityName));
+        }
+      });
+
+      socket.on('city:leave', (cityName) => {
+        if (typeof cityName === 'string' && cityName.trim()) {
+          socket.leave(this.cityRoom(cityName));
+        }
+      });
+
+      socket.on('disconnect', () => {
+        console.log('Client disconnected');
+      });
+    });
+
+    console.log('✅ Socket.IO alert push initialized');
+  }
+
+  /**
+   * Get the auth token from the handshake cookie, falling back to the auth payload
+   * @param {Object} handshake - Socket.IO handshake
+   * @returns {string|null}
+   */
+  extractToken(handshake) {
+    const cookieHeader = handshake.headers?.cookie;
+    if (cookieHeader) {
+      for (const part of cookieHeader.split(';')) {
+        const [name, ...value] = part.trim().split('=');
+        if (name === 'authToken') {
+          return decodeURIComponent(value.join('='));
+        }
+      }
+    }
+
+    return handshake.auth?.token || null;
+  }
+
+  cityRoom(city) {
+    return `city:${city.trim().toLowerCase()}`;
+  }
+
+  hotelRoom(hotelId) {
+    return `hotel:${hotelId}`;
+  }
+
+  emitToCity(city, event, payload) {
+    if (!this.io || !city) return;
+    this.io.to(this.cityRoom(city)).emit(event, payload);
+  }
+
+  emitToHotel(hotelId, event, payload) {
+    if (!this.io || !hotelId) return;
+    this.io.to(this.hotelRoom(hotelId.toString())).emit(event, payload);
+  }
+
+  emitToAdmins(event, payload) {
+    if (!this.io) return;
+    this.io.to('admins').emit(event, payload);
+  }
+}
+
+module.exports = new SocketService();
@@ -0,0 +1,110 @@
+const SourceAdapter = require('./SourceAdapter.js');
+const newsDataService = require('../newsdata.js');
+const cityCatalogue = require('../cityCatalogue.js');
+
+// Header values can only read environment variables with this prefix, so a feed can't be pointed
+// at other secrets (e.g. "$JWT_SECRET") and send them to its URL
+const ENV_REFERENCE = /^\$INGESTION_[A-Z0-9_]+$/;
+
+/**
+ * Base for feeds added through configuration (RSS, JSON APIs)
+ * Config:
+ *   url                 Feed URL; "{city}" is replaced by the city name for per-city feeds
+ *   publisher           Publisher name used when items don't carry one
+ *   headers             Request headers; values like "$INGESTION_<NAME>" are read from the environment
+ *                       (e.g. { "x-api-key": "$INGESTION_TRAFFIC_API_KEY" }) so secrets stay out of the
+ *                       database. Other "$" values are refused.
+ *   params              Query parameters
+ *   includeUnclassified Keep items that don't match a disruption type (default false)
+ * A feed without "{city}" is fetched once per run and each item goes to the city it mentions.
+ * Items are classified with the same keyword rules as NewsData.
+ */
+class FeedSource extends SourceAdapter {
+  static validateConfig(config) {
+    if (!config || typeof config.url !== 'string' || !/^https?:\/\//i.test(config.url)) {
+      return 'config.url must be an http(s) URL';
+    }
+    if (config.headers !== undefined) {
+      if (!config.headers || typeof config.headers !== 'object' || Array.isArray(config.headers)) {
+        return 'config.headers must map header names to values';
+      }
+      for (const [name, value] of Object.entries(config.headers)) {
+        if (typeof value !== 'string') {
+          return `config.headers.${name} must be a string`;
+        }
+        if (value.startsWith('$') && !ENV_REFERENCE.test(value)) {
+          return `config.headers.${name} can only read environment variables named INGESTION_*`;
+        }
+      }
+    }
+    return null;
+  }
+
+  isPerCity() {
+    return this.config.url.includes('{city}');
+  }
+
+  getHeaders() {
+    return Object.entries(this.config.headers || {}).reduce((headers, [name, value]) => {
+      if (typeof value === 'string' && value.startsWith('$')) {
+        // Checked again here for feeds saved before references were restricted
+        headers[name] = ENV_REFERENCE.test(value) ? process.env[value.slice(1)] || '' : '';
+      } else {
+        headers[name] = value;
+      }
+      return headers;
+    }, {});
+  }
+
+  /**
+   * Fetch and parse the feed into items
+   * @param {string} url
+   * @returns {Promise<Array>} - [{ title, summary, url, publishedAt, publisher }]
+   */
+  async fetchItems(url) {
+    throw new Error(`${this.constructor.name} does not implement fetchItems`);
+  }
+
+  async fetch(city, context) {
+    const url = this.config.url.replace(/\{city\}/g, encodeURIComponent(city.name));
+
+    // Shared feeds are requested once per run, not once per city
+    if (!context.cache) context.cache = new Map();
+    const cacheKey = `${this.key}|${url}`;
+    if (!context.cache.has(cacheKey)) {
+      context.cache.set(cacheKey, this.fetchItems(url));
+    }
+
+    return context.cache.get(cacheKey);
+  }
+
+  normalise(item, city, context) {
+    if (!item || typeof item.title !== 'string' || !item.title.trim()) return null;
+
+    const text = `${item.title} ${item.summary || ''}`;
+    if (!this.isPerCity() && cityCatalogue.findCityInText(text, context.cities || [city]) !== city.name) {
+      return null;
+    }
+
+    const disruptionInfo = newsDataService.extractDisruptionInfo(text);
+    if (disruptionInfo.mainType === 'other' && !this.config.includeUnclassified) {
+      return null;
+    }
+
+    const dates = newsDataService.extractDates(item.publishedAt);
+
+    return {
+      city: city.name,
+      mainType: disruptionInfo.mainType,
+      subType: disruptionInfo.subType,
+      title: item.title,
+      start_date: dates.startDate,
+      end_date: dates.endDate,
+      source: (typeof item.publisher === 'string' && item.publisher) || this.config.publisher || this.name,
+      url: item.url,
+      summary: (typeof item.summary === 'string' && item.summary) || item.title
+    };
+  }
+}
+
+module.exports = FeedSource;
@@ -0,0 +1,19 @@
+const SourceAdapter = require('./SourceAdapter.js');
+const grokService = require('../grok.js');
+
+/**
+ * Grok - generates upcoming disruptions for a city with the LLM
+ * Grok already returns disruptions in the processor's shape, so normalise passes them through.
+ */
+class GrokSource extends SourceAdapter {
+  isConfigured() {
+    return !!grokService.apiKey;
+  }
+
+  async fetch(city) {
+    console.log(`🤖 Generating disruptions for ${city.name}...`);
+    return grokService.generateDisruptions(city.name);
+  }
+}
+
+module.exports = GrokSource;
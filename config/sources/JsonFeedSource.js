@@ -0,0 +1,58 @@
+const axios = require('axios');
+const FeedSource = require('./FeedSource.js');
+
+// Item fields read when config.fields doesn't say otherwise
+const DEFAULT_FIELDS = {
+  title: 'title',
+  summary: 'description',
+  url: 'url',
+  publishedAt: 'publishedAt',
+  publisher: 'source'
+};
+
+// Read a dotted path such as "data.items" or "source.name"
+const getPath = (object, path) => {
+  if (!path) return object;
+  return path.split('.').reduce((value, part) => (value == null ? undefined : value[part]), object);
+};
+
+/**
+ * JSON API returning a list of articles or incidents
+ * Config (on top of FeedSource): { itemsPath: 'data.items', fields: { title, summary, url, publishedAt, publisher } }
+ */
+class JsonFeedSource extends FeedSource {
+  static validateConfig(config) {
+    const error = super.validateConfig(config);
+    if (error) return error;
+
+    if (config.fields && typeof config.fields !== 'object') {
+      return 'config.fields must map item fields to paths';
+    }
+    return null;
+  }
+
+  async fetchItems(url) {
+    const response = await axios.get(url, {
+      params: this.config.params,
+      headers: this.getHeaders(),
+      timeout: 30000
+    });
+
+    const items = getPath(response.data, this.config.itemsPath);
+    if (!Array.isArray(items)) {
+      throw new Error(`${this.name}: no list found at "${this.config.itemsPath || '(root)'}"`);
+    }
+
+    const fields = { ...DEFAULT_FIELDS, ...(this.config.fields || {}) };
+
+    return items.map(item => ({
+      title: getPath(item, fields.title),
+      summary: getPath(item, fields.summary),
+      url: getPath(item, fields.url),
+      publishedAt: getPath(item, fields.publishedAt),
+      publisher: getPath(item, fields.publisher)
+    }));
+  }
+}
+
+module.exports = JsonFeedSource;
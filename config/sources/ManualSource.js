@@ -0,0 +1,39 @@
+const SourceAdapter = require('./SourceAdapter.js');
+const AlertTip = require('../../models/AlertTip.js');
+
+// Publisher shown on the alert when a tip doesn't name one
+const SUBMITTER_NAMES = {
+  staff: 'Tourprism staff',
+  partner: 'Hotel partner',
+  hotel: 'Local hotel report'
+};
+
+/**
+ * Manual tips - pending AlertTips submitted by staff, trusted hotel partners and hotel users
+ * Each tip keeps the credibility tier it was given on submission or triage. The scheduler
+ * claims the tips before processing them (AlertScheduler.claimTips) and records each one's
+ * outcome once the run has processed it.
+ */
+class ManualSource extends SourceAdapter {
+  async fetch(city) {
+    return AlertTip.find({ status: 'pending', city: city.name }).sort({ createdAt: 1 }).lean();
+  }
+
+  normalise(tip, city) {
+    return {
+      city: city.name,
+      mainType: tip.mainType,
+      subType: tip.subType,
+      title: tip.title,
+      start_date: tip.startDate,
+      end_date: tip.endDate,
+      source: tip.sourceName || SUBMITTER_NAMES[tip.submitterType],
+      url: tip.sourceUrl,
+      summary: tip.summary,
+      sourceCredibility: tip.credibility,
+      tipId: tip._id.toString()
+    };
+  }
+}
+
+module.exports = ManualSource;
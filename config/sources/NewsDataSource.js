@@ -0,0 +1,22 @@
+const SourceAdapter = require('./SourceAdapter.js');
+const newsDataService = require('../newsdata.js');
+
+/**
+ * NewsData - current news articles matching disruption keywords for a city
+ * Config: { params } - extra NewsData query parameters (e.g. { country: 'gb,ie' })
+ */
+class NewsDataSource extends SourceAdapter {
+  isConfigured() {
+    return !!newsDataService.apiKey;
+  }
+
+  async fetch(city) {
+    return newsDataService.fetchArticlesForCity(city.name, this.config.params || {});
+  }
+
+  normalise(article, city, context) {
+    return newsDataService.transformArticleToDisruption(article, context.cities || [city]);
+  }
+}
+
+module.exports = NewsDataSource;
@@ -0,0 +1,37 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const FeedSource = require('./FeedSource.js');
+
+const stripHtml = (text) => (text || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * RSS / Atom feed (config: see FeedSource)
+ */
+class RssSource extends FeedSource {
+  async fetchItems(url) {
+    const response = await axios.get(url, {
+      params: this.config.params,
+      headers: this.getHeaders(),
+      responseType: 'text',
+      timeout: 30000
+    });
+
+    const $ = cheerio.load(response.data, { xmlMode: true });
+    const channelTitle = $('channel > title').first().text() || $('feed > title').first().text();
+
+    return $('item, entry').toArray().map(element => {
+      const entry = $(element);
+      const link = entry.find('link').first();
+
+      return {
+        title: stripHtml(entry.find('title').first().text()),
+        summary: stripHtml(entry.find('description, summary, content').first().text()),
+        url: link.text().trim() || link.attr('href'),
+        publishedAt: entry.find('pubDate, published, updated').first().text() || null,
+        publisher: this.config.publisher || channelTitle || null
+      };
+    });
+  }
+}
+
+module.exports = RssSource;
@@ -0,0 +1,95 @@
+const alertProcessor = require('../alertProcessor.js');
+
+// Fields alertProcessor.processDisruptions needs on every disruption
+const REQUIRED_FIELDS = ['city', 'mainType', 'subType', 'title', 'start_date', 'end_date', 'source', 'summary'];
+
+/**
+ * Base class for ingestion source adapters
+ * An adapter is built from an IngestionSource document and turns one city's worth of its
+ * feed into disruptions:
+ *   fetch(city, context)            raw items for the city
+ *   normalise(item, city, context)  one item -> disruption ({ city, mainType, subType, title,
+ *                                   start_date, end_date, source, url, summary }), or null to skip
+ * collect() runs both, drops incomplete results, stamps the feed and credibility tier and
+ * reports counts and timing for the run history.
+ * The definition's credibility overrides the tier worked out from each item's publisher.
+ */
+class SourceAdapter {
+  /**
+   * @param {Object} definition - IngestionSource document
+   */
+  constructor(definition) {
+    this.definition = definition;
+    this.key = definition.key;
+    this.name = definition.name;
+    this.config = definition.config || {};
+  }
+
+  /**
+   * Check adapter settings before a source is saved
+   * @param {Object} config - IngestionSource config
+   * @returns {string|null} - Error message, or null when valid
+   */
+  static validateConfig(config) {
+    return null;
+  }
+
+  /**
+   * Whether the adapter has what it needs to run (e.g. an API key)
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Fetch raw items for a city
+   * @param {Object} city - City from the catalogue
+   * @param {Object} context - Shared by every source and city in one run: { runType, cities, cache }
+   * @returns {Promise<Array>}
+   */
+  async fetch(city, context) {
+    throw new Error(`${this.constructor.name} does not implement fetch`);
+  }
+
+  /**
+   * Turn a raw item into a disruption
+   * @returns {Object|null}
+   */
+  normalise(item, city, context) {
+    return item;
+  }
+
+  /**
+   * Fetch and normalise a city's disruptions
+   * @param {Object} city - City from the catalogue
+   * @param {Object} context - See fetch
+   * @returns {Promise<Object>} - { disruptions, fetched, latencyMs }: disruptions ready for
+   *   alertProcessor.processDisruptions, how many raw items came back and how long fetching took
+   */
+  async collect(city, context = {}) {
+    const startedAt = Date.now();
+    const items = (await this.fetch(city, context)) || [];
+    const latencyMs = Date.now() - startedAt;
+    const disruptions = [];
+
+    for (const item of items) {
+      const disruption = this.normalise(item, city, context);
+      if (!disruption || disruption.city !== city.name) continue;
+      if (!REQUIRED_FIELDS.every(field => disruption[field])) continue;
+
+      disruptions.push({
+        ...disruption,
+        sourceCredibility: this.definition.credibility ||
+          disruption.sourceCredibility ||
+          alertProcessor.getSourceCredibility(disruption.source),
+        feed: this.key,
+        fetchedAt: disruption.fetchedAt || new Date()
+      });
+    }
+
+    return { disruptions, fetched: items.length, latencyMs };
+  }
+}
+
+module.exports = SourceAdapter;
@@ -0,0 +1,141 @@
+const IngestionSource = require('../../models/IngestionSource.js');
+const GrokSource = require('./GrokSource.js');
+const NewsDataSource = require('./NewsDataSource.js');
+const RssSource = require('./RssSource.js');
+const JsonFeedSource = require('./JsonFeedSource.js');
+const ManualSource = require('./ManualSource.js');
+
+// Adapter for each IngestionSource type. Types listed in CONFIGURABLE_TYPES can be added by admins.
+const ADAPTER_TYPES = {
+  grok: GrokSource,
+  newsdata: NewsDataSource,
+  rss: RssSource,
+  json: JsonFeedSource,
+  manual: ManualSource
+};
+
+const CONFIGURABLE_TYPES = ['rss', 'json'];
+
+// Sources the app ships with, created the first time the registry loads
+const DEFAULT_SOURCES = [
+  { key: 'grok', name: 'Grok', type: 'grok', schedule: ['full'], isBuiltIn: true },
+  { key: 'newsdata', name: 'NewsData', type: 'newsdata', schedule: ['full', 'midweek'], isBuiltIn: true },
+  { key: 'manual', name: 'Manual tips', type: 'manual', schedule: ['full', 'midweek'], isBuiltIn: true }
+];
+
+// Same cache window as the city catalogue, so admin changes reach every instance within a minute
+const CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Ingestion source registry
+ * Loads the IngestionSource collection and builds an adapter for each source.
+ */
+class SourceRegistry {
+  constructor() {
+    this.sources = null;
+    this.loadedAt = 0;
+    this.loading = null;
+    this.seeded = false;
+  }
+
+  /**
+   * Get every source's adapter (enabled or not)
+   * @param {Object} options - { fresh: true } to bypass the cache
+   * @returns {Promise<Array<SourceAdapter>>}
+   */
+  async getSources(options = {}) {
+    const isFresh = this.sources && Date.now() - this.loadedAt < CACHE_TTL_MS;
+    if (isFresh && !options.fresh) {
+      return this.sources;
+    }
+
+    if (!this.loading) {
+      this.loading = this.load().finally(() => {
+        this.loading = null;
+      });
+    }
+
+    return this.loading;
+  }
+
+  async load() {
+    if (!this.seeded) {
+      await this.seed();
+      this.seeded = true;
+    }
+
+    const definitions = await IngestionSource.find().sort({ isBuiltIn: -1, name: 1 });
+    this.sources = definitions
+      .map(definition => this.createAdapter(definition))
+      .filter(Boolean);
+    this.loadedAt = Date.now();
+    return this.sources;
+  }
+
+  async seed() {
+    for (const source of DEFAULT_SOURCES) {
+      await IngestionSource.updateOne(
+        { key: source.key },
+        { $setOnInsert: source },
+        { upsert: true }
+      );
+    }
+  }
+
+  /**
+   * Build the adapter for a source definition
+   * @param {Object} definition - IngestionSource document
+   * @returns {SourceAdapter|null} - null for unknown types
+   */
+  createAdapter(definition) {
+    const Adapter = ADAPTER_TYPES[definition.type];
+    if (!Adapter) {
+      console.warn(`⚠️ Unknown ingestion source type "${definition.type}" for ${definition.key}`);
+      return null;
+    }
+    return new Adapter(definition);
+  }
+
+  /**
+   * Get the enabled sources that take part in a scheduled run
+   * @param {string} runType - One of INGESTION_RUN_TYPES
+   * @param {Array<string>} keys - Source keys picked by a fetch schedule; empty for the sources
+   *   whose schedule includes runType
+   * @returns {Promise<Array<SourceAdapter>>}
+   */
+  async getSourcesForRun(runType, keys = []) {
+    const sources = await this.getSources();
+    return sources.filter(source => source.definition.enabled && (keys.length
+      ? keys.includes(source.key)
+      : source.definition.schedule.includes(runType)));
+  }
+
+  /**
+   * Source types admins can add
+   * @returns {Array<string>}
+   */
+  getConfigurableTypes() {
+    return CONFIGURABLE_TYPES;
+  }
+
+  /**
+   * Check a source's adapter settings
+   * @returns {string|null} - Error message, or null when valid
+   */
+  validateConfig(type, config) {
+    const Adapter = ADAPTER_TYPES[type];
+    if (!Adapter) return `Unknown source type: ${type}`;
+    return Adapter.validateConfig(config || {});
+  }
+
+  /**
+   * Drop the cached sources so the next read comes from the database
+   */
+  invalidate() {
+    this.sources = null;
+    this.loadedAt = 0;
+  }
+}
+
+// Export singleton instance
+module.exports = new SourceRegistry();
@@ -1,11 +1,42 @@
+const mongoose = require('mongoose');
 const Alert = require('../models/Alert.js');
 const User = require('../models/User.js');
 const Subscriber = require('../models/subscribers.js');
 const Logs = require('../models/Logs.js');
 const Logger = require('../utils/logger.js');
 const csvStorage = require('../utils/csvStorage.js');
-const { CITIES, isValidCity } = require('../config/constants.js');
+const bookingRiskMatcher = require('../utils/bookingRiskMatcher.js');
+const GuestNotification = require('../models/GuestNotification.js');
+const Notification = require('../models/Notification.js');
+const AlertRevision = require('../models/AlertRevision.js');
+const { Booking } = require('../models/Booking.js');
+const Property = require('../models/Property.js');
+const Session = require('../models/Session.js');
+const SystemSetting = require('../models/SystemSetting.js');
+const RecoveryRateTable = require('../models/RecoveryRateTable.js');
+const recoveryRateCalibrator = require('../config/recoveryRateCalibrator.js');
+const disruptionCalculations = require('../utils/disruptionCalculations.js');
+const alertEvents = require('../utils/alertEvents.js');
+const alertProcessor = require('../config/alertProcessor.js');
+const tokenManager = require('../utils/tokenManager.js');
+const twoFactor = require('../utils/twoFactor.js');
+const rateLimiter = require('../utils/rateLimiter.js');
+const City = require('../models/City.js');
+const cityCatalogue = require('../config/cityCatalogue.js');
+const sourceRegistry = require('../config/sources/index.js');
+const IngestionSource = require('../models/IngestionSource.js');
+const IngestionRun = require('../models/IngestionRun.js');
+const FetchSchedule = require('../models/FetchSchedule.js');
+const cronSchedule = require('../utils/cronSchedule.js');
 const { startOfDay, subDays } = require('date-fns');
+const { CONFIDENCE_SOURCE_TYPES, INGESTION_RUN_TYPES, INGESTION_TRIGGERS } = require('../config/constants.js');
+
+// Describe an admin request as the source of an alert change (for revision history)
+const getAdminChangeContext = (req) => ({
+  source: 'admin',
+  userId: req.userId,
+  userEmail: req.userEmail
+});
 
 // Get all alerts (admin only)
 const getAlerts = async (req, res) => {
@@ -148,11 +179,13 @@ const updateAlertStatus = async (req, res) => {
     }
 
     const previousStatus = alert.status;
+    const previousAlert = alert.toObject();
 
     // Update the status
     alert.status = status;
 
     await alert.save();
+    await alertEvents.alertUpdated(previousAlert, alert, getAdminChangeContext(req));
 
     // Log alert status change
     try {
@@ -192,6 +225,7 @@ const deleteAlert = async (req, res) => {
 
     // Permanently delete the alert from database
     await Alert.findByIdAndDelete(alertId);
+    await AlertRevision.deleteMany({ alert: alertId });
 
     // Log alert deletion
     try {
@@ -222,11 +256,13 @@ const archiveAlert = async (req, res) => {
     }
 
     // Set the endDate to now to mark it as archived
+    const previousAlert = alert.toObject();
     const currentDate = new Date();
     alert.endDate = currentDate;
     alert.status = "expired";
 
     await alert.save();
+    await alertEvents.alertUpdated(previousAlert, alert, getAdminChangeContext(req));
 
     res.json({
       success: true,
@@ -266,6 +302,7 @@ const duplicateAlert = async (req, res) => {
     // Create new alert
     const newAlert = new Alert(duplicateData);
     await newAlert.save();
+    await alertEvents.alertCreated(newAlert, getAdminChangeContext(req));
 
     res.status(201).json({
       success: true,
@@ -295,6 +332,94 @@ const getAlertDetails = async (req, res) => {
   }
 };
 
+// Get the revision history of an alert with field-level diffs (admin only)
+const getAlertHistory = async (req, res) => {
+  try {
+    const { alertId } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(alertId)) {
+      return res.status(400).json({ message: "Invalid alert ID" });
+    }
+
+    const alert = await Alert.findById(alertId).select('title status confidence updatedAt').lean();
+    if (!alert) {
+      return res.status(404).json({ message: "Alert not found" });
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const revisions = await AlertRevision.find({ alert: alertId })
+      .populate('changedBy', 'email firstName lastName')
+      .sort({ revision: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await AlertRevision.countDocuments({ alert: alertId });
+
+    res.json({
+      alert,
+      revisions,
+      totalCount: total,
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(total / parseInt(limit))
+    });
+  } catch (error) {
+    console.error('Error fetching alert history:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Restore an alert to the values of an earlier revision (admin only)
+const restoreAlertRevision = async (req, res) => {
+  try {
+    const { alertId, revision } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(alertId) || isNaN(parseInt(revision))) {
+      return res.status(400).json({ message: "Invalid alert ID or revision" });
+    }
+
+    const alert = await Alert.findById(alertId);
+    if (!alert) {
+      return res.status(404).json({ message: "Alert not found" });
+    }
+
+    const targetRevision = await AlertRevision.findOne({ alert: alertId, revision: parseInt(revision) }).lean();
+    if (!targetRevision) {
+      return res.status(404).json({ message: "Revision not found" });
+    }
+
+    const previousAlert = alert.toObject();
+
+    for (const field of AlertRevision.TRACKED_FIELDS) {
+      alert[field] = targetRevision.snapshot[field] ?? undefined;
+    }
+
+    await alert.save();
+    await alertEvents.alertUpdated(previousAlert, alert, {
+      ...getAdminChangeContext(req),
+      action: 'restored',
+      restoredFrom: targetRevision.revision
+    });
+
+    await Logger.log({ action: 'admin_alert_restored', req, details: {
+      alertId,
+      alertTitle: alert.title,
+      restoredFrom: targetRevision.revision
+    }});
+
+    res.json({
+      success: true,
+      message: `Alert restored to revision ${targetRevision.revision}`,
+      alert
+    });
+  } catch (error) {
+    console.error('Error restoring alert revision:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
 // Update alert (admin only)
 const updateAlert = async (req, res) => {
   try {
@@ -316,6 +441,7 @@ const updateAlert = async (req, res) => {
       validUpdateData,
       { new: true }
     );
+    await alertEvents.alertUpdated(alert, updatedAlert, getAdminChangeContext(req));
 
     res.json({
       success: true,
@@ -332,9 +458,23 @@ const createAlert = async (req, res) => {
   try {
     const alertData = req.body;
 
+    // Record the admin-supplied source as the alert's first piece of evidence
+    if (!alertData.sources && (alertData.source || alertData.url)) {
+      const credibility = alertProcessor.getSourceCredibility(alertData.source);
+      alertData.sources = [{
+        url: alertData.url,
+        publisher: alertData.source,
+        title: alertData.title,
+        credibility,
+        feed: 'admin'
+      }];
+      alertData.sourceBreakdown = { [credibility]: 1 };
+    }
+
     // Create new alert
     const newAlert = new Alert(alertData);
     await newAlert.save();
+    await alertEvents.alertCreated(newAlert, getAdminChangeContext(req));
 
     res.status(201).json({
       success: true,
@@ -514,8 +654,9 @@ const getCityRiskStats = async (req, res) => {
     const sevenDaysAgo = subDays(today, 7);
 
     // Validate city
-    if (!isValidCity(city)) {
-      return res.status(400).json({ message: `Invalid city. Must be one of: ${CITIES.join(', ')}` });
+    if (!await cityCatalogue.isValidCity(city)) {
+      const cityNames = await cityCatalogue.getCityNames();
+      return res.status(400).json({ message: `Invalid city. Must be one of: ${cityNames.join(', ')}` });
     }
 
     // Get alerts for this city that could affect hotels
@@ -554,30 +695,29 @@ const triggerAlertGeneration = async (req, res) => {
     // Import scheduler dynamically to avoid circular imports
     const { alertScheduler } = await import('../config/index.js');
 
-    // Check if scheduler is already running
-    if (alertScheduler.isRunning) {
+    // Queue the run; a run already queued or running (from any instance) is reused
+    const { job, deduplicated } = await alertScheduler.runFullFetch({ trigger: 'admin', triggeredBy: req.userId });
+
+    if (deduplicated) {
       return res.status(409).json({
-        message: 'Alert generation is already in progress. Please wait for it to complete.'
+        message: 'Alert generation is already in progress. Please wait for it to complete.',
+        jobId: job._id
       });
     }
 
     // Log the manual trigger
     await Logger.log(req, 'admin_trigger_alert_generation', {
       action: 'manual_trigger',
-      triggeredBy: req.userId || req.user?.email || 'unknown'
-    });
-
-    // Start the alert generation process asynchronously
-    alertScheduler.runFullFetch().then(() => {
-      console.log('✅ Manual alert generation completed successfully');
-    }).catch((error) => {
-      console.error('❌ Manual alert generation failed:', error);
+      triggeredBy: req.userId || req.user?.email || 'unknown',
+      jobId: job._id
     });
 
     res.json({
       success: true,
-      message: 'Alert generation triggered successfully. The process will run in the background and may take several minutes to complete.',
-      status: 'running'
+      message: 'Alert generation queued. The process will run in the background and may take several minutes to complete.',
+      status: job.status,
+      // The run appears under /ingestion/runs?job=<jobId> once a worker picks the job up
+      jobId: job._id
     });
 
   } catch (error) {
@@ -587,10 +727,17 @@ const triggerAlertGeneration = async (req, res) => {
 };
 
 // Send alert to user's actual guests (Pro users only)
+// Only guests whose stay overlaps the alert dates in the hotel's city are emailed, and each
+// booking is emailed at most once per alert. Pass dryRun=true to preview the recipients.
 const sendAlertToGuests = async (req, res) => {
   try {
     const { alertId } = req.params;
     const userId = req.userId;
+    const dryRun = req.body?.dryRun === true || req.query.dryRun === 'true';
+
+    if (!mongoose.Types.ObjectId.isValid(alertId)) {
+      return res.status(400).json({ message: "Invalid alert ID" });
+    }
 
     // Get alert details
     const alert = await Alert.findById(alertId);
@@ -599,23 +746,92 @@ const sendAlertToGuests = async (req, res) => {
     }
 
     // Get user profile for hotel information
-    const User = require('../models/User.js');
     const user = await User.findById(userId);
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Get user's bookings to find guest emails
-    const Booking = require('../models/Booking.js');
-    const bookings = await Booking.find({
-      hotelId: userId,
-      guestEmail: { $exists: true, $ne: null, $ne: '' }
+    // Send for one property's guests, or for the bookings not assigned to a property
+    const propertyId = req.body?.propertyId || req.query.propertyId;
+    let property = null;
+    if (propertyId) {
+      property = await Property.findOwned(userId, propertyId);
+      if (!property) {
+        return res.status(404).json({ message: "Property not found" });
+      }
+    }
+
+    const hotelProfile = property ? property.toRiskProfile() : user;
+    const hotelCity = hotelProfile.company?.city;
+    if (!hotelCity) {
+      return res.status(400).json({
+        success: false,
+        message: "Set your hotel city in your profile before sending alerts to guests"
+      });
+    }
+
+    if (!bookingRiskMatcher.isSameCity(alert.city, hotelCity)) {
+      return res.status(400).json({
+        success: false,
+        message: `This alert is for ${alert.city} and does not affect guests staying in ${hotelCity}`
+      });
+    }
+
+    // Bookings whose stay overlaps the disruption; all of them count towards the risk, but only
+    // guests with an email address can be sent the alert
+    const bookingsAtRisk = await bookingRiskMatcher.findBookingsAtRisk(
+      alert,
+      { hotelId: userId, propertyId: property ? property._id : null, city: hotelCity }
+    );
+    const matches = bookingsAtRisk.filter(booking => booking.guestEmail);
+
+    // Skip bookings that were already emailed about this alert (failed sends can be retried)
+    const previousSends = await GuestNotification.find({
+      alert: alert._id,
+      channel: 'email',
+      booking: { $in: matches.map(match => match._id) },
+      status: { $in: GuestNotification.CONTACTED_STATUSES }
+    }).select('booking sentAt queuedAt').lean();
+    const alreadyNotified = new Map(previousSends.map(send => [send.booking.toString(), send.sentAt || send.queuedAt]));
+
+    const recipients = matches.filter(match => !alreadyNotified.has(match._id.toString()));
+    const skipped = matches.filter(match => alreadyNotified.has(match._id.toString()));
+
+    const toPreview = (match) => ({
+      bookingId: match.bookingId,
+      _id: match._id,
+      guestFirstName: match.guestFirstName,
+      guestEmail: match.guestEmail,
+      checkInDate: match.checkInDate,
+      checkOutDate: match.checkOutDate,
+      overlapNights: match.overlapNights,
+      alreadyNotifiedAt: alreadyNotified.get(match._id.toString()) || null
     });
 
-    if (bookings.length === 0) {
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        message: `Alert would be sent to ${recipients.length} guests`,
+        data: {
+          totalAtRisk: bookingsAtRisk.length,
+          totalMatched: matches.length,
+          recipients: recipients.map(toPreview),
+          alreadyNotified: skipped.map(toPreview)
+        }
+      });
+    }
+
+    if (recipients.length === 0) {
       return res.status(400).json({
         success: false,
-        message: "No bookings with guest email addresses found"
+        message: matches.length > 0
+          ? "All affected guests have already been notified about this alert"
+          : "No guests with an email address are staying during this disruption",
+        data: {
+          totalMatched: matches.length,
+          alreadyNotified: skipped.length
+        }
       });
     }
 
@@ -623,12 +839,11 @@ const sendAlertToGuests = async (req, res) => {
     const sendAlertNotificationToGuest = require('../utils/emailTemplates/alertNotification-guests.js');
 
     // Prepare email content using the disruption report logic
-    const hotelName = user.company?.name || 'Your Hotel';
-    const contactName = user.company?.contactName || user.email;
+    const hotelName = hotelProfile.company?.name || 'Your Hotel';
 
     // Calculate disruption risk using the utility
     const disruptionCalculations = require('../utils/disruptionCalculations.js');
-    const riskData = disruptionCalculations.calculateDisruptionRisk(alert, user);
+    const riskData = disruptionCalculations.calculateDisruptionRisk(alert, hotelProfile, bookingsAtRisk);
     const when = disruptionCalculations.formatWhenText(alert.startDate);
 
     // Create personalized message for guests
@@ -636,8 +851,8 @@ const sendAlertToGuests = async (req, res) => {
 
 Your booking is safe with us — and to make it easier we offer:
 
-${user.company?.incentives?.length > 0 ?
-  user.company.incentives.slice(0, 2).map(incentive => `→ ${incentive}`).join('\n') :
+${hotelProfile.company?.incentives?.length > 0 ?
+  hotelProfile.company.incentives.slice(0, 2).map(incentive => `→ ${incentive}`).join('\n') :
   '→ Free parking all day\n→ Late check-out until 1 PM'
 }
 
@@ -646,14 +861,49 @@ Just show this at the reception.
 See you soon!
 ${hotelName} Team`;
 
-    // Send emails to all guests
+    // Send emails to affected guests
     let sentCount = 0;
     let failedCount = 0;
     const failedEmails = [];
 
-    for (const booking of bookings) {
+    for (const booking of recipients) {
+      // Queue the ledger entry before sending so a crash mid-run never leads to a second email.
+      // Only a new or failed entry can be claimed, so a concurrent send for the same alert
+      // (double click, two managers) hits the unique index instead and skips the guest.
+      let notification = null;
+      try {
+        notification = await GuestNotification.findOneAndUpdate(
+          {
+            booking: booking._id,
+            alert: alert._id,
+            channel: 'email',
+            status: { $nin: GuestNotification.CONTACTED_STATUSES }
+          },
+          {
+            hotelId: userId,
+            guestEmail: booking.guestEmail,
+            guestFirstName: booking.guestFirstName,
+            status: 'queued',
+            queuedAt: new Date(),
+            sentBy: req.userEmail,
+            $unset: { error: 1, failedAt: 1 }
+          },
+          { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+
+      if (!notification) {
+        skipped.push(booking);
+        continue;
+      }
+
+      let result = false;
+      let sendError = null;
+
       try {
-        const success = await sendAlertNotificationToGuest(
+        result = await sendAlertNotificationToGuest(
           booking.guestEmail,
           booking.guestFirstName,
           riskData.header,
@@ -668,35 +918,54 @@ ${hotelName} Team`;
             createdAt: alert.createdAt
           }
         );
-
-        if (success) {
-          sentCount++;
-        } else {
-          failedCount++;
-          failedEmails.push(booking.guestEmail);
-        }
       } catch (error) {
         console.error(`Failed to send email to ${booking.guestEmail}:`, error);
+        sendError = error.message;
+      }
+
+      if (result) {
+        sentCount++;
+        notification.status = 'sent';
+        notification.sentAt = new Date();
+        notification.providerMessageId = result.messageId;
+      } else {
         failedCount++;
         failedEmails.push(booking.guestEmail);
+        notification.status = 'failed';
+        notification.failedAt = new Date();
+        notification.error = sendError || 'Email provider rejected the message';
+      }
+
+      await notification.save();
+
+      // Move the booking to "contacted" so its outcome can be traced back to this alert
+      if (result && Booking.canTransition(booking.status, 'contacted')) {
+        const bookingDoc = await Booking.findById(booking._id);
+        if (bookingDoc) {
+          bookingDoc.transitionTo('contacted', { alert: alert._id, changedBy: req.userEmail });
+          await bookingDoc.save();
+        }
       }
     }
 
     // Log the action
-    await Logger.log(req, 'alert_sent_to_guests', {
+    await Logger.log({ action: 'alert_sent_to_guests', req, details: {
       alertId: alert._id,
       alertTitle: alert.title,
-      totalBookings: bookings.length,
+      totalAtRisk: bookingsAtRisk.length,
+      totalMatched: matches.length,
+      alreadyNotified: skipped.length,
       emailsSent: sentCount,
       emailsFailed: failedCount,
       failedEmails: failedEmails.slice(0, 10) // Log first 10 failed emails
-    });
+    }});
 
     res.json({
       success: true,
       message: `Alert sent to ${sentCount} guests${failedCount > 0 ? ` (${failedCount} failed)` : ''}`,
       data: {
-        totalGuests: bookings.length,
+        totalGuests: sentCount + failedCount,
+        alreadyNotified: skipped.length,
         sentTo: sentCount,
         failed: failedCount,
         failedEmails: failedEmails.slice(0, 5) // Return first 5 failed emails in response
@@ -706,10 +975,10 @@ ${hotelName} Team`;
   } catch (error) {
     console.error('Error sending alert to guests:', error);
 
-    await Logger.log(req, 'alert_send_to_guests_error', {
+    await Logger.log({ action: 'alert_send_to_guests_error', req, details: {
       alertId: req.params.alertId,
       error: error.message
-    });
+    }});
 
     res.status(500).json({
       success: false,
@@ -869,8 +1138,10 @@ const processAlert = async (req, res) => {
     }
 
     // Update alert status
+    const previousAlert = alert.toObject();
     alert.status = newStatus;
     await alert.save();
+    await alertEvents.alertUpdated(previousAlert, alert, getAdminChangeContext(req));
 
     // Log the action
     await Logger.log(req, logAction, {
@@ -1068,13 +1339,97 @@ const getUserDetails = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    res.json(user);
+    // Signed-in devices of the account holder and its collaborators
+    const sessions = await Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ lastSeenAt: -1 });
+
+    const lockouts = await rateLimiter.getAccountLockouts(getAccountIdentifiers(user));
+
+    res.json({ ...user, sessions: sessions.map(session => session.toSummary()), lockouts });
   } catch (error) {
     console.error('Error fetching user details:', error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
+// Emails and IDs an account's login attempts are counted under (collaborators included)
+const getAccountIdentifiers = (user) => [
+  user._id.toString(),
+  user.email,
+  ...(user.collaborators || []).map(collaborator => collaborator.email)
+];
+
+// Clear login / one-time-code lockouts for an account (admin only)
+const unlockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
+
+    const user = await User.findById(userId).select('email collaborators.email').lean();
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const cleared = await rateLimiter.unlockAccount(getAccountIdentifiers(user));
+
+    await Logger.log({ action: 'admin_account_unlocked', req, details: { userId, email: user.email, cleared } });
+
+    res.json({ message: "Account unlocked", cleared });
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Sign out one of a user's sessions (admin only)
+const revokeUserSession = async (req, res) => {
+  try {
+    const { userId, sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId) || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({ message: "Invalid user or session ID" });
+    }
+
+    const revoked = await tokenManager.revokeSessions({ _id: sessionId, user: userId }, 'admin_revoked');
+    if (revoked === 0) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    await Logger.log({ action: 'admin_session_revoked', req, details: { userId, sessionId } });
+
+    res.json({ message: "Session signed out" });
+  } catch (error) {
+    console.error('Error revoking user session:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Sign out every session of a user, collaborators included (admin only)
+const revokeUserSessions = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
+
+    const user = await User.exists({ _id: userId });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // Also rejects access tokens already issued, not just refresh tokens
+    await tokenManager.revokeAllForUser(userId, { includeCollaborators: true, reason: 'admin_revoked' });
+
+    await Logger.log({ action: 'admin_sessions_revoked', req, details: { userId } });
+
+    res.json({ message: "All sessions signed out" });
+  } catch (error) {
+    console.error('Error revoking user sessions:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
 // Update user (admin only)
 const updateUser = async (req, res) => {
   try {
@@ -1139,6 +1494,11 @@ const updateUserStatus = async (req, res) => {
     user.updated = Date.now();
     await user.save();
 
+    // Sign out the account and its collaborators so reactivating it doesn't revive old tokens
+    if (status === 'restricted' || status === 'deleted') {
+      await tokenManager.revokeAllForUser(user._id, { includeCollaborators: true });
+    }
+
     // Log status change
     await Logger.log(req, 'admin_user_status_changed', {
       userId,
@@ -1218,6 +1578,10 @@ const deleteUser = async (req, res) => {
     // Delete all bookings associated with this user (hotelId)
     const bookingsDeleted = await Booking.deleteMany({ hotelId: userId });
     console.log(`Deleted ${bookingsDeleted.deletedCount} bookings for user ${userId}`);
+    await GuestNotification.deleteMany({ hotelId: userId });
+    await Notification.deleteMany({ user: userId });
+    await Property.deleteMany({ owner: userId });
+    await Session.deleteMany({ user: userId });
 
     // Remove user from alerts' followedBy arrays
     const alertsUpdated = await Alert.updateMany(
@@ -1300,33 +1664,6 @@ const getUserStats = async (req, res) => {
   }
 };
 
-// Helper function to determine source credibility for confidence calculation
-const getSourceCredibility = (source) => {
-  if (!source) return 'other_news';
-
-  const lowerSource = source.toLowerCase();
-
-  // Official sources
-  if (lowerSource.includes('bbc') || lowerSource.includes('met') || lowerSource.includes('gov.uk')) {
-    return 'official';
-  }
-
-  // Major news sources
-  if (lowerSource.includes('sky') || lowerSource.includes('reuters') || lowerSource.includes('guardian') ||
-      lowerSource.includes('independent') || lowerSource.includes('telegraph')) {
-    return 'major_news';
-  }
-
-  // Social media
-  if (lowerSource.includes('twitter') || lowerSource.includes('x ') || lowerSource.includes('reddit') ||
-      lowerSource.includes('forum')) {
-    return 'social';
-  }
-
-  // Default to other news
-  return 'other_news';
-};
-
 // Get comprehensive analytics data (admin only)
 const getAnalytics = async (req, res) => {
   try {
@@ -1773,6 +2110,33 @@ const getRevenueAnalytics = async (startDate, endDate) => {
     // Import disruption calculations
     const disruptionCalculations = require('../utils/disruptionCalculations');
 
+    // Prefetch each hotel's bookings overlapping the alerts once, so risk can be
+    // booking-based for hotels that uploaded bookings in the alert's city
+    const bookingsByUser = new Map();
+    const alertWindows = alerts.map(alert => bookingRiskMatcher.getAlertWindow(alert)).filter(Boolean);
+
+    if (alertWindows.length > 0) {
+      const overallWindow = {
+        start: new Date(Math.min(...alertWindows.map(window => window.start.getTime()))),
+        end: new Date(Math.max(...alertWindows.map(window => window.end.getTime())))
+      };
+
+      const bookings = await Booking.find({
+        hotelId: { $in: users.map(user => user._id) },
+        ...bookingRiskMatcher.buildOverlapQuery(overallWindow)
+      })
+        .select('hotelId checkInDate nights bookingRate status')
+        .lean();
+
+      for (const booking of bookings) {
+        const key = booking.hotelId.toString();
+        if (!bookingsByUser.has(key)) bookingsByUser.set(key, []);
+        bookingsByUser.get(key).push(booking);
+      }
+    }
+
+    let bookingBasedCount = 0;
+
     let totalRevenueAtRisk = 0;
     let totalRevenueSaved = 0;
     const revenueByType = {};
@@ -1781,7 +2145,11 @@ const getRevenueAnalytics = async (startDate, endDate) => {
     // Calculate revenue impact for each alert against each user
     for (const alert of alerts) {
       for (const user of users) {
-        const riskData = disruptionCalculations.calculateDisruptionRisk(alert, user);
+        const userBookings = bookingRiskMatcher.isSameCity(alert.city, user.company?.city)
+          ? bookingsByUser.get(user._id.toString())
+          : null;
+        const riskData = disruptionCalculations.calculateDisruptionRisk(alert, user, userBookings);
+        if (riskData.method === 'booking-based') bookingBasedCount++;
 
         // Accumulate totals
         totalRevenueAtRisk += riskData.poundsAtRisk;
@@ -1859,7 +2227,10 @@ const getRevenueAnalytics = async (startDate, endDate) => {
       totalRevenueAtRisk: Math.round(totalRevenueAtRisk),
       totalRevenueSaved: Math.round(totalRevenueSaved),
       totalAlerts: alerts.length,
-      totalUsers: users.length
+      totalUsers: users.length,
+      // Alert/hotel pairs calculated from uploaded bookings rather than the profile estimate
+      bookingBasedCalculations: bookingBasedCount,
+      profileEstimateCalculations: alerts.length * users.length - bookingBasedCount
     };
 
     return {
@@ -1947,6 +2318,7 @@ const uploadBulkAlerts = async (req, res) => {
     }
 
     const { buffer, originalname, mimetype } = req.file;
+    const cities = await cityCatalogue.getCities();
     const csv = require('csv-parser');
     const { Readable } = require('stream');
 
@@ -1976,11 +2348,12 @@ const uploadBulkAlerts = async (req, res) => {
             }
 
             // Validate city
-            if (!isValidCity(row.city)) {
+            const catalogueCity = cityCatalogue.resolveCity(row.city, cities);
+            if (!catalogueCity) {
               errors.push({
                 row: processedCount,
                 field: 'city',
-                message: `City must be one of: ${CITIES.join(', ')}`
+                message: `City must be one of: ${cities.map(city => city.name).join(', ')}`
               });
               return;
             }
@@ -2048,7 +2421,7 @@ const uploadBulkAlerts = async (req, res) => {
               // Calculate confidence based on source credibility
               const source = row.source?.trim() || 'Manual Upload';
               const mockCluster = [{
-                sourceCredibility: getSourceCredibility(source)
+                sourceCredibility: alertProcessor.getSourceCredibility(source)
               }];
               const confidenceResult = alertProcessor.calculateConfidence(mockCluster);
               confidence = confidenceResult.score;
@@ -2058,7 +2431,7 @@ const uploadBulkAlerts = async (req, res) => {
             const alertData = {
               title: row.title.trim(),
               summary: row.summary.trim(),
-              city: row.city.trim(),
+              city: catalogueCity.name,
               mainType: row.mainType?.trim() || 'other',
               subType: row.subType?.trim() || 'general disruption',
               status: status,
@@ -2067,6 +2440,14 @@ const uploadBulkAlerts = async (req, res) => {
               source: row.source?.trim() || 'Manual Upload',
               url: row.url?.trim() || null,
               confidence: confidence,
+              sources: [{
+                url: row.url?.trim() || undefined,
+                publisher: row.source?.trim() || 'Manual Upload',
+                title: row.title.trim(),
+                credibility: alertProcessor.getSourceCredibility(row.source?.trim()),
+                feed: 'admin'
+              }],
+              sourceBreakdown: { [alertProcessor.getSourceCredibility(row.source?.trim())]: 1 },
               sourceCsv: {
                 fileId: csvFile.fileId,
                 fileName: csvFile.originalName,
@@ -2110,6 +2491,9 @@ const uploadBulkAlerts = async (req, res) => {
     // Save alerts to database
     if (alerts.length > 0) {
       const savedAlerts = await Alert.insertMany(alerts, { ordered: false });
+      for (const savedAlert of savedAlerts) {
+        await alertEvents.alertCreated(savedAlert, getAdminChangeContext(req));
+      }
 
       // Update CSV file with upload statistics
       csvFile.uploadStats = {
@@ -2292,12 +2676,42 @@ const deleteCsvFile = async (req, res) => {
   }
 };
 
+// Build City fields from an admin request body
+const getCityFields = (body) => {
+  const fields = {};
+
+  if (body.country !== undefined) fields.country = body.country;
+  if (body.timezone !== undefined) fields.timezone = body.timezone;
+  if (Array.isArray(body.aliases)) {
+    fields.aliases = body.aliases.map(alias => String(alias).trim().toLowerCase()).filter(Boolean);
+  }
+  if (Array.isArray(body.transportHubs)) {
+    fields.transportHubs = body.transportHubs.map(hub => ({
+      ...hub,
+      keywords: (hub.keywords && hub.keywords.length > 0 ? hub.keywords : [hub.name])
+        .map(keyword => String(keyword).trim().toLowerCase())
+        .filter(Boolean)
+    }));
+  }
+
+  const latitude = parseFloat(body.latitude);
+  const longitude = parseFloat(body.longitude);
+  if (!isNaN(latitude) && !isNaN(longitude)) {
+    fields.location = { type: 'Point', coordinates: [longitude, latitude] };
+  }
+
+  return fields;
+};
+
 // Get list of configured cities (admin only)
 const getCities = async (req, res) => {
   try {
+    const cities = await cityCatalogue.getCities({ fresh: true });
+
     res.json({
-      cities: CITIES,
-      total: CITIES.length
+      cities: cities.map(city => city.name),
+      details: cities,
+      total: cities.length
     });
   } catch (error) {
     console.error('Error fetching cities:', error);
@@ -2305,7 +2719,7 @@ const getCities = async (req, res) => {
   }
 };
 
-// Add a new city to the configuration (admin only)
+// Add a new city to the catalogue (admin only)
 const addCity = async (req, res) => {
   try {
     const { city } = req.body;
@@ -2316,24 +2730,32 @@ const addCity = async (req, res) => {
 
     const trimmedCity = city.trim();
 
-    if (isValidCity(trimmedCity)) {
+    if (await cityCatalogue.isValidCity(trimmedCity)) {
       return res.status(400).json({ message: "City already exists" });
     }
 
-    // Add city to the configuration
-    CITIES.push(trimmedCity);
+    // Re-activate a previously removed city, or create it
+    const escapedCity = trimmedCity.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    await City.findOneAndUpdate(
+      { name: new RegExp(`^${escapedCity}$`, 'i') },
+      { $set: { name: trimmedCity, isActive: true, ...getCityFields(req.body) } },
+      { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+
+    cityCatalogue.invalidate();
+    const cities = await cityCatalogue.getCityNames();
 
     // Log the action
-    await Logger.log(req, 'city_added', {
+    await Logger.log({ action: 'city_added', req, details: {
       city: trimmedCity,
-      totalCities: CITIES.length
-    });
+      totalCities: cities.length
+    }});
 
     res.json({
       success: true,
       message: `City "${trimmedCity}" added successfully`,
-      cities: CITIES,
-      total: CITIES.length
+      cities,
+      total: cities.length
     });
   } catch (error) {
     console.error('Error adding city:', error);
@@ -2341,18 +2763,55 @@ const addCity = async (req, res) => {
   }
 };
 
-// Remove a city from the configuration (admin only)
-const removeCity = async (req, res) => {
+// Update a city's metadata - country, timezone, location, aliases, transport hubs (admin only)
+const updateCity = async (req, res) => {
   try {
-    const { city } = req.params;
+    const catalogueCity = cityCatalogue.resolveCity(req.params.city, await cityCatalogue.getCities({ fresh: true }));
+    if (!catalogueCity) {
+      return res.status(404).json({ message: "City not found" });
+    }
+    const city = catalogueCity.name;
 
-    if (!city || typeof city !== 'string') {
+    const updatedCity = await City.findOneAndUpdate(
+      { name: city, isActive: true },
+      { $set: getCityFields(req.body) },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedCity) {
+      return res.status(404).json({ message: "City not found" });
+    }
+
+    cityCatalogue.invalidate();
+
+    await Logger.log({ action: 'city_updated', req, details: {
+      city,
+      fields: Object.keys(getCityFields(req.body))
+    }});
+
+    res.json({
+      success: true,
+      message: `City "${city}" updated successfully`,
+      city: updatedCity
+    });
+  } catch (error) {
+    console.error('Error updating city:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Remove a city from the catalogue (admin only)
+const removeCity = async (req, res) => {
+  try {
+    if (!req.params.city || typeof req.params.city !== 'string') {
       return res.status(400).json({ message: "City name is required" });
     }
 
-    if (!isValidCity(city)) {
+    const catalogueCity = cityCatalogue.resolveCity(req.params.city, await cityCatalogue.getCities({ fresh: true }));
+    if (!catalogueCity) {
       return res.status(404).json({ message: "City not found" });
     }
+    const city = catalogueCity.name;
 
     // Check if city is being used by any alerts
     const alertsCount = await Alert.countDocuments({ city });
@@ -2366,23 +2825,23 @@ const removeCity = async (req, res) => {
       });
     }
 
-    // Remove city from the configuration
-    const index = CITIES.indexOf(city);
-    if (index > -1) {
-      CITIES.splice(index, 1);
-    }
+    // Deactivate rather than delete, so the catalogue is not re-seeded when the last city goes
+    await City.updateOne({ name: city }, { $set: { isActive: false } });
+
+    cityCatalogue.invalidate();
+    const cities = await cityCatalogue.getCityNames();
 
     // Log the action
-    await Logger.log(req, 'city_removed', {
+    await Logger.log({ action: 'city_removed', req, details: {
       city,
-      totalCities: CITIES.length
-    });
+      totalCities: cities.length
+    }});
 
     res.json({
       success: true,
       message: `City "${city}" removed successfully`,
-      cities: CITIES,
-      total: CITIES.length
+      cities,
+      total: cities.length
     });
   } catch (error) {
     console.error('Error removing city:', error);
@@ -2390,6 +2849,745 @@ const removeCity = async (req, res) => {
   }
 };
 
+// Get the active recovery rate table, with the default rates used as fallback (admin only)
+const getRecoveryRates = async (req, res) => {
+  try {
+    const active = await RecoveryRateTable.findOne({ isActive: true }).lean();
+
+    res.json({
+      active,
+      defaults: disruptionCalculations.recoveryRates,
+      calibrator: recoveryRateCalibrator.getStatus()
+    });
+  } catch (error) {
+    console.error('Error fetching recovery rates:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// List recovery rate table versions, newest first (admin only)
+const getRecoveryRateVersions = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const versions = await RecoveryRateTable.find()
+      .select('-rates')
+      .sort({ version: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await RecoveryRateTable.countDocuments();
+
+    res.json({
+      versions,
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    console.error('Error fetching recovery rate versions:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Learn a new recovery rate table from booking outcomes (admin only)
+const calibrateRecoveryRates = async (req, res) => {
+  try {
+    const { minSampleSize, lookbackDays, activate } = req.body || {};
+
+    if (minSampleSize !== undefined && (!Number.isInteger(minSampleSize) || minSampleSize < 1)) {
+      return res.status(400).json({ message: "minSampleSize must be a positive integer" });
+    }
+
+    if (lookbackDays !== undefined && (!Number.isInteger(lookbackDays) || lookbackDays < 1)) {
+      return res.status(400).json({ message: "lookbackDays must be a positive integer" });
+    }
+
+    if (recoveryRateCalibrator.isRunning) {
+      return res.status(409).json({ message: "Recovery rate calibration is already running" });
+    }
+
+    const table = await recoveryRateCalibrator.calibrate({
+      minSampleSize,
+      lookbackDays,
+      activate: activate !== false,
+      trigger: 'admin',
+      createdBy: req.userEmail
+    });
+
+    await Logger.log({ action: 'recovery_rates_calibrated', req, details: {
+      version: table.version,
+      activated: table.isActive,
+      ratesLearned: table.stats.ratesLearned,
+      bookingsAnalysed: table.stats.bookingsAnalysed
+    }});
+
+    res.json({
+      success: true,
+      message: `Recovery rate table v${table.version} created${table.isActive ? ' and activated' : ''}`,
+      table
+    });
+  } catch (error) {
+    console.error('Error calibrating recovery rates:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Activate a recovery rate table version, e.g. to roll back (admin only)
+const activateRecoveryRateTable = async (req, res) => {
+  try {
+    const version = parseInt(req.params.version);
+    if (isNaN(version)) {
+      return res.status(400).json({ message: "Invalid version" });
+    }
+
+    const table = await recoveryRateCalibrator.activate(version);
+    if (!table) {
+      return res.status(404).json({ message: "Recovery rate table not found" });
+    }
+
+    await Logger.log({ action: 'recovery_rates_activated', req, details: {
+      version
+    }});
+
+    res.json({
+      success: true,
+      message: `Recovery rate table v${version} activated`,
+      table
+    });
+  } catch (error) {
+    console.error('Error activating recovery rate table:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Validate the editable fields of an ingestion source and return them
+const getIngestionSourceFields = (body = {}, type) => {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) return { error: 'name must be a non-empty string' };
+    fields.name = body.name.trim();
+  }
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') return { error: 'enabled must be true or false' };
+    fields.enabled = body.enabled;
+  }
+  if (body.defaultCityEnabled !== undefined) {
+    if (typeof body.defaultCityEnabled !== 'boolean') return { error: 'defaultCityEnabled must be true or false' };
+    fields.defaultCityEnabled = body.defaultCityEnabled;
+  }
+  if (body.credibility !== undefined) {
+    if (body.credibility !== null && !CONFIDENCE_SOURCE_TYPES.includes(body.credibility)) {
+      return { error: `credibility must be null or one of: ${CONFIDENCE_SOURCE_TYPES.join(', ')}` };
+    }
+    fields.credibility = body.credibility;
+  }
+  if (body.schedule !== undefined) {
+    if (!Array.isArray(body.schedule) || body.schedule.some(run => !INGESTION_RUN_TYPES.includes(run))) {
+      return { error: `schedule must be a list of: ${INGESTION_RUN_TYPES.join(', ')}` };
+    }
+    fields.schedule = [...new Set(body.schedule)];
+  }
+  if (body.config !== undefined) {
+    if (!body.config || typeof body.config !== 'object' || Array.isArray(body.config)) {
+      return { error: 'config must be an object' };
+    }
+    const configError = sourceRegistry.validateConfig(type, body.config);
+    if (configError) return { error: configError };
+    fields.config = body.config;
+  }
+
+  return { fields };
+};
+
+// Get ingestion sources with their per-city settings (admin only)
+const getIngestionSources = async (req, res) => {
+  try {
+    const sources = await sourceRegistry.getSources({ fresh: true });
+
+    res.json({
+      sources: sources.map(source => ({
+        ...source.definition.toObject(),
+        configured: source.isConfigured()
+      })),
+      types: sourceRegistry.getConfigurableTypes(),
+      runTypes: INGESTION_RUN_TYPES
+    });
+  } catch (error) {
+    console.error('Error fetching ingestion sources:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Add a configured feed as an ingestion source (admin only)
+const createIngestionSource = async (req, res) => {
+  try {
+    const { key, type } = req.body;
+
+    if (!sourceRegistry.getConfigurableTypes().includes(type)) {
+      return res.status(400).json({ message: `type must be one of: ${sourceRegistry.getConfigurableTypes().join(', ')}` });
+    }
+    if (typeof key !== 'string' || !/^[a-z0-9_-]+$/.test(key) || ['manual', 'admin', 'scheduler', 'system'].includes(key)) {
+      return res.status(400).json({ message: "key must use lower-case letters, numbers, '-' or '_' and not be a reserved name" });
+    }
+
+    const { fields, error } = getIngestionSourceFields({ config: {}, ...req.body }, type);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (!fields.name) {
+      return res.status(400).json({ message: "name is required" });
+    }
+
+    const source = await IngestionSource.create({ ...fields, key, type, isBuiltIn: false });
+    sourceRegistry.invalidate();
+
+    await Logger.log({ action: 'ingestion_source_created', req, details: { key, type } });
+
+    res.status(201).json({ message: "Source added", source });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "A source with this key already exists" });
+    }
+    console.error('Error creating ingestion source:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Update an ingestion source (admin only)
+const updateIngestionSource = async (req, res) => {
+  try {
+    const source = await IngestionSource.findOne({ key: req.params.key });
+    if (!source) {
+      return res.status(404).json({ message: "Source not found" });
+    }
+
+    const { fields, error } = getIngestionSourceFields(req.body, source.type);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    source.set(fields);
+    await source.save();
+    sourceRegistry.invalidate();
+
+    await Logger.log({ action: 'ingestion_source_updated', req, details: {
+      key: source.key,
+      fields: Object.keys(fields)
+    }});
+
+    res.json({ message: "Source updated", source });
+  } catch (error) {
+    console.error('Error updating ingestion source:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Enable or disable an ingestion source for one city (admin only)
+const setIngestionSourceCity = async (req, res) => {
+  try {
+    const { enabled } = req.body;
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ message: "enabled must be true or false" });
+    }
+
+    const catalogueCity = cityCatalogue.resolveCity(req.params.city, await cityCatalogue.getCities());
+    if (!catalogueCity) {
+      return res.status(404).json({ message: "City not found" });
+    }
+
+    const source = await IngestionSource.findOne({ key: req.params.key });
+    if (!source) {
+      return res.status(404).json({ message: "Source not found" });
+    }
+
+    // An override matching the default is dropped so the city follows defaultCityEnabled again
+    source.cities = source.cities.filter(city => city.name !== catalogueCity.name);
+    if (enabled !== source.defaultCityEnabled) {
+      source.cities.push({ name: catalogueCity.name, enabled });
+    }
+    await source.save();
+    sourceRegistry.invalidate();
+
+    await Logger.log({ action: 'ingestion_source_city_updated', req, details: {
+      key: source.key,
+      city: catalogueCity.name,
+      enabled
+    }});
+
+    res.json({
+      message: `${source.name} ${enabled ? 'enabled' : 'disabled'} for ${catalogueCity.name}`,
+      source
+    });
+  } catch (error) {
+    console.error('Error updating ingestion source city:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Remove a configured ingestion source (admin only) - built-in sources can only be disabled
+const deleteIngestionSource = async (req, res) => {
+  try {
+    const source = await IngestionSource.findOne({ key: req.params.key });
+    if (!source) {
+      return res.status(404).json({ message: "Source not found" });
+    }
+    if (source.isBuiltIn) {
+      return res.status(400).json({ message: "Built-in sources can be disabled but not removed" });
+    }
+
+    await source.deleteOne();
+    sourceRegistry.invalidate();
+
+    await Logger.log({ action: 'ingestion_source_deleted', req, details: { key: source.key } });
+
+    res.json({ message: "Source removed" });
+  } catch (error) {
+    console.error('Error deleting ingestion source:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// List ingestion runs, newest first (admin only)
+// Filters: status, trigger, runType, schedule, source (runs that fetched that source key) and job
+const getIngestionRuns = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, trigger, runType, schedule, source, job } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (trigger) {
+      if (!INGESTION_TRIGGERS.includes(trigger)) {
+        return res.status(400).json({ message: `trigger must be one of: ${INGESTION_TRIGGERS.join(', ')}` });
+      }
+      filter.trigger = trigger;
+    }
+    if (runType) filter.runType = runType;
+    if (schedule) filter.schedule = schedule;
+    if (source) filter['sources.key'] = source;
+    if (job) {
+      if (!mongoose.Types.ObjectId.isValid(job)) {
+        return res.status(400).json({ message: "Invalid job ID" });
+      }
+      filter.job = job;
+    }
+
+    // Per-city failures can be long; they're returned by getIngestionRun
+    const runs = await IngestionRun.find(filter)
+      .select('-sources.failures -failedCities')
+      .populate('triggeredBy', 'email firstName lastName')
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await IngestionRun.countDocuments(filter);
+
+    res.json({
+      runs,
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    console.error('Error fetching ingestion runs:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Get one ingestion run with every source's errors (admin only)
+const getIngestionRun = async (req, res) => {
+  try {
+    const { runId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(runId)) {
+      return res.status(400).json({ message: "Invalid run ID" });
+    }
+
+    const run = await IngestionRun.findById(runId)
+      .populate('triggeredBy', 'email firstName lastName')
+      .lean();
+    if (!run) {
+      return res.status(404).json({ message: "Run not found" });
+    }
+
+    res.json({ run });
+  } catch (error) {
+    console.error('Error fetching ingestion run:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Per-source health over the last ?days= days (default 30): failure rate, errors, latency,
+// what each source produced and a daily trend (admin only)
+const getIngestionHealth = async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const since = startOfDay(subDays(new Date(), days - 1));
+
+    const [dailyStats, lastOutcomes, sources] = await Promise.all([
+      IngestionRun.aggregate([
+        { $match: { startedAt: { $gte: since }, status: { $ne: 'running' } } },
+        { $unwind: '$sources' },
+        { $group: {
+          _id: {
+            key: '$sources.key',
+            day: { $dateToString: { format: '%Y-%m-%d', date: '$startedAt' } }
+          },
+          runs: { $sum: 1 },
+          failedRuns: { $sum: { $cond: [{ $eq: ['$sources.status', 'failed'] }, 1, 0] } },
+          partialRuns: { $sum: { $cond: [{ $eq: ['$sources.status', 'partial'] }, 1, 0] } },
+          skippedRuns: { $sum: { $cond: [{ $eq: ['$sources.status', 'skipped'] }, 1, 0] } },
+          errors: { $sum: { $size: { $ifNull: ['$sources.failures', []] } } },
+          cities: { $sum: '$sources.cities' },
+          fetched: { $sum: '$sources.fetched' },
+          transformed: { $sum: '$sources.transformed' },
+          dropped: { $sum: '$sources.dropped' },
+          created: { $sum: '$sources.created' },
+          updated: { $sum: '$sources.updated' },
+          latencyMs: { $sum: '$sources.latencyMs' }
+        }},
+        { $sort: { '_id.day': 1 } }
+      ]),
+      // Last success and last failure are looked up over all history, so a source that has
+      // been failing for longer than the window still shows when it last worked
+      IngestionRun.aggregate([
+        { $match: { status: { $ne: 'running' } } },
+        { $unwind: '$sources' },
+        { $group: {
+          _id: '$sources.key',
+          lastRunAt: { $max: '$startedAt' },
+          lastSuccessAt: { $max: {
+            $cond: [{ $in: ['$sources.status', ['ok', 'partial']] }, '$startedAt', null]
+          }},
+          lastFailure: { $max: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$sources.failures', []] } }, 0] },
+              {
+                at: '$startedAt',
+                runId: '$_id',
+                message: { $arrayElemAt: ['$sources.failures.message', -1] }
+              },
+              null
+            ]
+          }}
+        }}
+      ]),
+      sourceRegistry.getSources()
+    ]);
+
+    const emptyTotals = () => ({
+      runs: 0, failedRuns: 0, partialRuns: 0, skippedRuns: 0, errors: 0, cities: 0,
+      fetched: 0, transformed: 0, dropped: 0, created: 0, updated: 0, latencyMs: 0
+    });
+
+    // Every registered source is listed, plus removed sources that still have runs in the window
+    const health = new Map(sources.map(source => [source.key, {
+      key: source.key,
+      name: source.name,
+      enabled: source.definition.enabled,
+      configured: source.isConfigured(),
+      totals: emptyTotals(),
+      trend: []
+    }]));
+
+    for (const { _id, ...stats } of dailyStats) {
+      if (!health.has(_id.key)) {
+        health.set(_id.key, { key: _id.key, name: _id.key, enabled: false, configured: false, totals: emptyTotals(), trend: [] });
+      }
+
+      const entry = health.get(_id.key);
+      Object.keys(entry.totals).forEach(field => {
+        entry.totals[field] += stats[field];
+      });
+      entry.trend.push({ day: _id.day, ...stats });
+    }
+
+    const outcomesByKey = new Map(lastOutcomes.map(outcome => [outcome._id, outcome]));
+
+    res.json({
+      days,
+      since,
+      sources: [...health.values()].map(entry => {
+        const { totals } = entry;
+        const outcome = outcomesByKey.get(entry.key);
+
+        return {
+          ...entry,
+          // Runs where at least one city failed
+          failureRate: totals.runs ? (totals.failedRuns + totals.partialRuns) / totals.runs : 0,
+          // Average wait per city fetch
+          avgLatencyMs: totals.cities ? Math.round(totals.latencyMs / totals.cities) : null,
+          lastRunAt: outcome?.lastRunAt || null,
+          lastSuccessAt: outcome?.lastSuccessAt || null,
+          lastFailure: outcome?.lastFailure || null
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error fetching ingestion health:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Validate the editable fields of a fetch schedule and return them
+// Source keys must exist and city names are stored as the catalogue spells them.
+const getFetchScheduleFields = async (body = {}) => {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) return { error: 'name must be a non-empty string' };
+    fields.name = body.name.trim();
+  }
+  if (body.cron !== undefined) {
+    if (!cronSchedule.isValidExpression(body.cron)) return { error: 'cron must be a valid cron expression, e.g. "0 8 * * 1"' };
+    fields.cron = body.cron.trim();
+  }
+  if (body.timezone !== undefined) {
+    if (!cronSchedule.isValidTimezone(body.timezone)) return { error: 'timezone must be an IANA timezone, e.g. "Europe/London"' };
+    fields.timezone = body.timezone;
+  }
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') return { error: 'enabled must be true or false' };
+    fields.enabled = body.enabled;
+  }
+  if (body.runType !== undefined) {
+    if (!INGESTION_RUN_TYPES.includes(body.runType)) {
+      return { error: `runType must be one of: ${INGESTION_RUN_TYPES.join(', ')}` };
+    }
+    fields.runType = body.runType;
+  }
+  if (body.sources !== undefined) {
+    if (!Array.isArray(body.sources) || body.sources.some(key => typeof key !== 'string')) {
+      return { error: 'sources must be a list of source keys' };
+    }
+    const sourceKeys = (await sourceRegistry.getSources()).map(source => source.key);
+    const unknown = body.sources.filter(key => !sourceKeys.includes(key));
+    if (unknown.length) return { error: `Unknown sources: ${unknown.join(', ')}` };
+    fields.sources = [...new Set(body.sources)];
+  }
+  if (body.cities !== undefined) {
+    if (!Array.isArray(body.cities) || body.cities.some(name => typeof name !== 'string')) {
+      return { error: 'cities must be a list of city names' };
+    }
+    const catalogue = await cityCatalogue.getCities();
+    const resolved = body.cities.map(name => cityCatalogue.resolveCity(name, catalogue));
+    const unknown = body.cities.filter((name, index) => !resolved[index]);
+    if (unknown.length) return { error: `Unknown cities: ${unknown.join(', ')}` };
+    fields.cities = [...new Set(resolved.map(city => city.name))];
+  }
+
+  return { fields };
+};
+
+// Rebuild this instance's cron tasks after a schedule change (other instances sync within a minute)
+const reloadFetchSchedules = async () => {
+  // Import scheduler dynamically to avoid circular imports
+  const { alertScheduler } = await import('../config/index.js');
+  await alertScheduler.loadSchedules();
+};
+
+// Add the next few run times to a schedule
+const withNextRuns = (schedule, count = 3) => ({
+  ...(schedule.toObject ? schedule.toObject() : schedule),
+  nextRuns: schedule.enabled ? cronSchedule.getNextRuns(schedule.cron, schedule.timezone, { count }) : []
+});
+
+// Get fetch schedules with their next run times (admin only)
+const getFetchSchedules = async (req, res) => {
+  try {
+    const schedules = await FetchSchedule.find().sort({ key: 1 }).lean();
+
+    res.json({
+      schedules: schedules.map(schedule => withNextRuns(schedule)),
+      runTypes: INGESTION_RUN_TYPES
+    });
+  } catch (error) {
+    console.error('Error fetching fetch schedules:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Preview the next run times of a cron expression before saving it (admin only)
+// Query: cron, timezone (default Europe/London), count (default 5, at most 20)
+const previewFetchSchedule = async (req, res) => {
+  try {
+    const { cron, timezone = 'Europe/London' } = req.query;
+    const count = Math.min(Math.max(parseInt(req.query.count) || 5, 1), 20);
+
+    if (!cronSchedule.isValidExpression(cron)) {
+      return res.status(400).json({ message: 'cron must be a valid cron expression, e.g. "0 8 * * 1"' });
+    }
+    if (!cronSchedule.isValidTimezone(timezone)) {
+      return res.status(400).json({ message: 'timezone must be an IANA timezone, e.g. "Europe/London"' });
+    }
+
+    res.json({
+      cron,
+      timezone,
+      nextRuns: cronSchedule.getNextRuns(cron, timezone, { count })
+    });
+  } catch (error) {
+    console.error('Error previewing fetch schedule:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Add a fetch schedule (admin only)
+const createFetchSchedule = async (req, res) => {
+  try {
+    const { key } = req.body;
+    if (typeof key !== 'string' || !/^[a-z0-9_-]+$/.test(key)) {
+      return res.status(400).json({ message: "key must use lower-case letters, numbers, '-' or '_'" });
+    }
+
+    const { fields, error } = await getFetchScheduleFields(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (!fields.name || !fields.cron) {
+      return res.status(400).json({ message: "name and cron are required" });
+    }
+
+    const schedule = await FetchSchedule.create({ ...fields, key, updatedBy: req.userId });
+    await reloadFetchSchedules();
+
+    await Logger.log({ action: 'fetch_schedule_created', req, details: { key, cron: schedule.cron, timezone: schedule.timezone } });
+
+    res.status(201).json({ message: "Schedule added", schedule: withNextRuns(schedule) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "A schedule with this key already exists" });
+    }
+    console.error('Error creating fetch schedule:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Update a fetch schedule (admin only)
+const updateFetchSchedule = async (req, res) => {
+  try {
+    const schedule = await FetchSchedule.findOne({ key: req.params.key });
+    if (!schedule) {
+      return res.status(404).json({ message: "Schedule not found" });
+    }
+
+    const { fields, error } = await getFetchScheduleFields(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    schedule.set({ ...fields, updatedBy: req.userId });
+    await schedule.save();
+    await reloadFetchSchedules();
+
+    await Logger.log({ action: 'fetch_schedule_updated', req, details: {
+      key: schedule.key,
+      fields: Object.keys(fields)
+    }});
+
+    res.json({ message: "Schedule updated", schedule: withNextRuns(schedule) });
+  } catch (error) {
+    console.error('Error updating fetch schedule:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Remove a fetch schedule (admin only)
+const deleteFetchSchedule = async (req, res) => {
+  try {
+    const schedule = await FetchSchedule.findOneAndDelete({ key: req.params.key });
+    if (!schedule) {
+      return res.status(404).json({ message: "Schedule not found" });
+    }
+
+    await reloadFetchSchedules();
+
+    await Logger.log({ action: 'fetch_schedule_deleted', req, details: { key: schedule.key } });
+
+    res.json({ message: "Schedule removed" });
+  } catch (error) {
+    console.error('Error deleting fetch schedule:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Get security settings (admin only)
+const getSecuritySettings = async (req, res) => {
+  try {
+    const requireAdminTwoFactor = await twoFactor.isAdminTwoFactorRequired();
+
+    // Admins who would be asked to set up 2FA at their next email/password login
+    const adminsWithoutTwoFactor = await User.countDocuments({
+      role: 'admin',
+      status: 'active',
+      'twoFactor.enabled': { $ne: true }
+    });
+
+    res.json({ requireAdminTwoFactor, adminsWithoutTwoFactor });
+  } catch (error) {
+    console.error('Error fetching security settings:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Update security settings (admin only)
+const updateSecuritySettings = async (req, res) => {
+  try {
+    const { requireAdminTwoFactor } = req.body;
+    if (typeof requireAdminTwoFactor !== 'boolean') {
+      return res.status(400).json({ message: "requireAdminTwoFactor must be true or false" });
+    }
+
+    await SystemSetting.setValue(twoFactor.REQUIRE_ADMIN_TWO_FACTOR, requireAdminTwoFactor, req.userId);
+
+    await Logger.log({ action: 'admin_security_settings_updated', req, details: { requireAdminTwoFactor } });
+
+    res.json({ message: "Security settings updated", requireAdminTwoFactor });
+  } catch (error) {
+    console.error('Error updating security settings:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Turn off a user's 2FA, e.g. after they lost their authenticator and recovery codes (admin only)
+const resetUserTwoFactor = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.enabledAt': 1,
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.recoveryCodes': 1,
+          'twoFactor.lastUsedStep': 1
+        }
+      },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    await Logger.log({ action: 'admin_two_factor_reset', req, details: { userId, email: user.email } });
+
+    res.json({ message: "Two-factor authentication reset. The user can set it up again after logging in." });
+  } catch (error) {
+    console.error('Error resetting two-factor:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
 module.exports = {
   getAlerts,
   updateAlertStatus,
@@ -2397,6 +3595,8 @@ module.exports = {
   archiveAlert,
   duplicateAlert,
   getAlertDetails,
+  getAlertHistory,
+  restoreAlertRevision,
   updateAlert,
   createAlert,
   getCityRiskStats,
@@ -2408,6 +3608,9 @@ module.exports = {
   createUser,
   getUsers,
   getUserDetails,
+  revokeUserSession,
+  revokeUserSessions,
+  unlockUser,
   updateUser,
   updateUserStatus,
   updateUserRole,
@@ -2423,5 +3626,26 @@ module.exports = {
   deleteCsvFile,
   getCities,
   addCity,
-  removeCity
+  updateCity,
+  removeCity,
+  getRecoveryRates,
+  getRecoveryRateVersions,
+  calibrateRecoveryRates,
+  activateRecoveryRateTable,
+  getIngestionSources,
+  createIngestionSource,
+  updateIngestionSource,
+  setIngestionSourceCity,
+  deleteIngestionSource,
+  getIngestionRuns,
+  getIngestionRun,
+  getIngestionHealth,
+  getFetchSchedules,
+  previewFetchSchedule,
+  createFetchSchedule,
+  updateFetchSchedule,
+  deleteFetchSchedule,
+  getSecuritySettings,
+  updateSecuritySettings,
+  resetUserTwoFactor
 }; 
\ No newline at end of file
@@ -1,6 +1,9 @@
+const mongoose = require("mongoose");
 const Alert = require("../models/Alert.js");
 const Logger = require('../utils/logger.js');
-const { io } = require("../index.js");
+const cityCatalogue = require('../config/cityCatalogue.js');
+const { GEO_MATCHING } = require('../config/constants.js');
+const { fromGeoJsonPoint, isValidPoint, getAlertImpact, EARTH_RADIUS_KM } = require('../utils/geo.js');
 
 // Get all alerts for feed page
 const getAllAlerts = async (req, res) => {
@@ -156,8 +159,192 @@ const getCitySummary = async (req, res) => {
 };
 
 
+// Follow an alert to get notified when it changes
+const followAlert = async (req, res) => {
+  try {
+    const { alertId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(alertId)) {
+      return res.status(400).json({ message: "Invalid alert ID" });
+    }
+
+    const alert = await Alert.findOneAndUpdate(
+      { _id: alertId, status: 'approved' },
+      { $addToSet: { followedBy: req.userId } },
+      { new: true }
+    );
+
+    if (!alert) {
+      return res.status(404).json({ message: "Alert not found" });
+    }
+
+    await Logger.log({ action: 'alert_followed', req, details: {
+      alertId,
+      alertTitle: alert.title
+    }});
+
+    res.json({
+      success: true,
+      isFollowing: true,
+      followerCount: alert.followedBy.length
+    });
+  } catch (error) {
+    console.error('Error following alert:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Stop following an alert
+const unfollowAlert = async (req, res) => {
+  try {
+    const { alertId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(alertId)) {
+      return res.status(400).json({ message: "Invalid alert ID" });
+    }
+
+    const alert = await Alert.findByIdAndUpdate(
+      alertId,
+      { $pull: { followedBy: req.userId } },
+      { new: true }
+    );
+
+    if (!alert) {
+      return res.status(404).json({ message: "Alert not found" });
+    }
+
+    await Logger.log({ action: 'alert_unfollowed', req, details: {
+      alertId,
+      alertTitle: alert.title
+    }});
+
+    res.json({
+      success: true,
+      isFollowing: false,
+      followerCount: alert.followedBy.length
+    });
+  } catch (error) {
+    console.error('Error unfollowing alert:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Get the alerts the authenticated user follows
+const getFollowedAlerts = async (req, res) => {
+  try {
+    const { limit = 10, page = 1, includeExpired } = req.query;
+
+    const query = { followedBy: req.userId };
+    if (includeExpired !== 'true') {
+      query.status = { $ne: 'expired' };
+    }
+
+    const limitValue = parseInt(limit);
+    const skipValue = (parseInt(page) - 1) * limitValue;
+
+    const total = await Alert.countDocuments(query);
+    const alerts = await Alert.find(query)
+      .select('-followedBy')
+      .sort({ startDate: 1 })
+      .skip(skipValue)
+      .limit(limitValue)
+      .lean();
+
+    res.json({
+      alerts: alerts.map(alert => ({ ...alert, isFollowing: true })),
+      totalCount: total,
+      currentPage: parseInt(page)
+    });
+  } catch (error) {
+    console.error('Error fetching followed alerts:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+/**
+ * Get the current and upcoming alerts affecting each of the hotel's locations, nearest first
+ * Locations without coordinates fall back to the centre of the hotel's city.
+ */
+const getAlertsNearLocations = async (req, res) => {
+  try {
+    const company = req.user?.company || {};
+    const cities = await cityCatalogue.getCities();
+    const hotelCity = cityCatalogue.resolveCity(company.city, cities);
+    const hotelCityCentre = fromGeoJsonPoint(hotelCity?.location);
+
+    let locations = (company.locations || [])
+      .filter(location => isValidPoint(location))
+      .map(location => ({
+        name: location.name,
+        placeId: location.placeId,
+        latitude: location.latitude,
+        longitude: location.longitude
+      }));
+
+    if (locations.length === 0 && isValidPoint(hotelCityCentre)) {
+      locations = [{ name: company.name || hotelCity.name, ...hotelCityCentre, isCityCentre: true }];
+    }
+
+    if (locations.length === 0) {
+      return res.status(400).json({ message: "No hotel locations with coordinates found" });
+    }
+
+    const searchRadius = GEO_MATCHING.SEARCH_RADIUS_KM / EARTH_RADIUS_KM;
+    const candidateFilters = locations.map(location => ({
+      location: { $geoWithin: { $centerSphere: [[location.longitude, location.latitude], searchRadius] } }
+    }));
+    if (hotelCity) {
+      const escapedCity = hotelCity.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      candidateFilters.push({ city: new RegExp(`^${escapedCity}$`, 'i') });
+    }
+
+    const alerts = await Alert.find({
+      status: 'approved',
+      $and: [
+        { $or: candidateFilters },
+        { $or: [{ endDate: { $gte: new Date() } }, { endDate: null }] }
+      ]
+    })
+      .select('-followedBy -sources')
+      .lean();
+
+    const results = locations.map(location => {
+      const affecting = [];
+
+      for (const alert of alerts) {
+        const alertCity = cityCatalogue.resolveCity(alert.city, cities);
+        const impact = getAlertImpact(alert, location, {
+          sameCity: !!hotelCity && alertCity?.name === hotelCity.name,
+          cityCentre: fromGeoJsonPoint(alertCity?.location)
+        });
+
+        if (impact.affected) {
+          affecting.push({
+            ...alert,
+            distanceKm: impact.distanceKm === null ? null : Math.round(impact.distanceKm * 10) / 10,
+            matchedBy: impact.matchedBy
+          });
+        }
+      }
+
+      // Nearest first, alerts without a distance last
+      affecting.sort((a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity));
+
+      return { location, alerts: affecting, totalCount: affecting.length };
+    });
+
+    res.json({ locations: results });
+  } catch (error) {
+    console.error('Error fetching alerts near hotel locations:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
 module.exports = {
   getAllAlerts,
-  getCitySummary
+  getCitySummary,
+  followAlert,
+  unfollowAlert,
+  getFollowedAlerts,
+  getAlertsNearLocations
 };
 
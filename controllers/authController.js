@@ -9,6 +9,9 @@ const sendVerificationEmail = require("../utils/emailTemplates/verification.js")
 const SibApiV3Sdk = require("sib-api-v3-sdk");
 const Subscriber = require("../models/subscribers.js");
 const tokenManager = require("../utils/tokenManager.js");
+const Session = require("../models/Session.js");
+const { getPrincipal, getPermissions } = require("../config/permissions.js");
+const twoFactor = require("../utils/twoFactor.js");
 
 // Configure Google Strategy
 const configureGoogleStrategy = () => {
@@ -323,10 +326,8 @@ const verifyEmail = async (req, res) => {
     user.otpExpiry = undefined;
     await user.save();
 
-    const { accessToken: token, expiresIn } = tokenManager.generateTokens(user);
-
-    // Set authentication cookie
-    tokenManager.setAuthCookie(res, token, expiresIn);
+    // Start a session (sets the access and refresh token cookies)
+    await tokenManager.startSession(req, res, user);
 
     // Log email verification
     await Logger.log(req, "email_verified", {
@@ -524,6 +525,9 @@ const resetPassword = async (req, res) => {
     user.otpExpiry = undefined;
     await user.save();
 
+    // Sign out every existing session (the password may have been compromised)
+    await tokenManager.revokeAllForUser(user._id, { reason: "password_change" });
+
     // Log password reset completion
     await Logger.log(req, "password_reset", {
       stage: "completed",
@@ -535,21 +539,44 @@ const resetPassword = async (req, res) => {
   }
 };
 
+// User data returned after a main account signs in (token is in cookie, not response body)
+const toLoginUser = (user) => ({
+  _id: user._id,
+  id: user._id,
+  email: user.email,
+  role: user.role,
+  isVerified: user.isVerified,
+  isPremium: user.isPremium,
+  status: user.status,
+  isCollaborator: false,
+  twoFactorEnabled: !!user.twoFactor?.enabled,
+  company: user.company,
+  weeklyForecastSubscribed: user.weeklyForecastSubscribed,
+  weeklyForecastSubscribedAt: user.weeklyForecastSubscribedAt,
+  lastWeeklyForecastReceived: user.lastWeeklyForecastReceived,
+  followedAlerts: user.followedAlerts,
+});
+
 // Login - works for both main users and collaborators
 const login = async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    // First check if email belongs to a collaborator
-    const parentUser = await User.findOne({
-      "collaborators.email": email,
-    });
+    // First check if email belongs to a collaborator (an email revoked on one account
+    // may have been invited to another, so prefer the entry that is not revoked)
+    const parentUser =
+      (await User.findOne({
+        collaborators: { $elemMatch: { email, status: { $ne: "deleted" } } },
+      })) ||
+      (await User.findOne({
+        "collaborators.email": email,
+      }));
 
     if (parentUser) {
       // Find the matching collaborator
-      const collaborator = parentUser.collaborators.find(
-        (c) => c.email === email
-      );
+      const collaborator =
+        parentUser.collaborators.find((c) => c.email === email && c.status !== "deleted") ||
+        parentUser.collaborators.find((c) => c.email === email);
 
       if (collaborator) {
         // Check if collaborator has password set
@@ -625,14 +652,8 @@ const login = async (req, res) => {
             parentUser.lastLogin = new Date();
             await parentUser.save();
 
-            // Generate JWT with comprehensive user and collaborator info
-            const { accessToken: token, expiresIn } = tokenManager.generateTokens(
-              parentUser,
-              collaborator
-            );
-
-            // Set authentication cookie
-            tokenManager.setAuthCookie(res, token, expiresIn);
+            // Start a session with comprehensive user and collaborator info (sets the auth cookies)
+            await tokenManager.startSession(req, res, parentUser, collaborator);
 
             // Log successful collaborator login
             await Logger.log(req, "login", {
@@ -778,15 +799,43 @@ const login = async (req, res) => {
           });
         }
 
+        // Accounts with 2FA finish signing in at /auth/2fa/verify
+        if (user.twoFactor?.enabled) {
+          await Logger.log(req, "login", {
+            method: "email",
+            success: false,
+            reason: "two_factor_required",
+          });
+
+          return res.status(200).json({
+            message: "Enter the code from your authenticator app",
+            twoFactorRequired: true,
+            challengeToken: tokenManager.generateChallengeToken(user, "two_factor"),
+            methods: ["totp", "recovery", "email"],
+          });
+        }
+
+        // Admins must set up 2FA first when it is mandatory for their role
+        if (await twoFactor.isSetupRequired(user)) {
+          await Logger.log(req, "login", {
+            method: "email",
+            success: false,
+            reason: "two_factor_setup_required",
+          });
+
+          return res.status(200).json({
+            message: "Two-factor authentication is required for admin accounts. Please set it up to continue.",
+            twoFactorSetupRequired: true,
+            challengeToken: tokenManager.generateChallengeToken(user, "two_factor_setup"),
+          });
+        }
+
         // Update last login timestamp
         user.lastLogin = new Date();
         await user.save();
 
-        // Generate JWT with comprehensive user data
-        const { accessToken: token, expiresIn } = tokenManager.generateTokens(user);
-
-        // Set authentication cookie
-        tokenManager.setAuthCookie(res, token, expiresIn);
+        // Start a session with comprehensive user data (sets the auth cookies)
+        await tokenManager.startSession(req, res, user);
 
         // Log successful login
         await Logger.log(req, "login", {
@@ -795,24 +844,7 @@ const login = async (req, res) => {
           role: user.role,
         });
 
-        // Return comprehensive user data (token is in cookie, not response body)
-        return res.json({
-          user: {
-            _id: user._id,
-            id: user._id,
-            email: user.email,
-            role: user.role,
-            isVerified: user.isVerified,
-            isPremium: user.isPremium,
-            status: user.status,
-            isCollaborator: false,
-            company: user.company,
-            weeklyForecastSubscribed: user.weeklyForecastSubscribed,
-            weeklyForecastSubscribedAt: user.weeklyForecastSubscribedAt,
-            lastWeeklyForecastReceived: user.lastWeeklyForecastReceived,
-            followedAlerts: user.followedAlerts,
-          },
-        });
+        return res.json({ user: toLoginUser(user) });
       }
 
       // Log failed login due to incorrect password
@@ -838,6 +870,154 @@ const login = async (req, res) => {
   }
 };
 
+// Second login step for accounts with 2FA
+// Takes the challengeToken from login and a code. A 'two_factor_setup' challenge (admins who
+// must set up 2FA) confirms the secret from /auth/2fa/setup instead and returns recovery codes.
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, method = "totp" } = req.body;
+    if (!challengeToken || !code) {
+      return res.status(400).json({ message: "Challenge token and code are required" });
+    }
+
+    const challenge =
+      tokenManager.verifyChallengeToken(challengeToken, "two_factor") ||
+      tokenManager.verifyChallengeToken(challengeToken, "two_factor_setup");
+    if (!challenge) {
+      return res.status(401).json({ message: "Your login has expired. Please log in again." });
+    }
+
+    const user = await User.findById(challenge.userId).select(twoFactor.TWO_FACTOR_SECRET_FIELDS);
+    if (!user || user.status !== "active") {
+      return res.status(401).json({ message: "Your login has expired. Please log in again." });
+    }
+
+    let recoveryCodes = null;
+    let verified = false;
+
+    if (challenge.purpose === "two_factor_setup") {
+      if (user.twoFactor?.enabled) {
+        return res.status(400).json({ message: "Two-factor authentication is already set up. Please log in again." });
+      }
+      recoveryCodes = twoFactor.enableTotp(user, code);
+      verified = !!recoveryCodes;
+    } else {
+      if (!user.twoFactor?.enabled) {
+        return res.status(400).json({ message: "Two-factor authentication is not enabled. Please log in again." });
+      }
+      verified = await twoFactor.verifySecondFactor(user, method, code);
+    }
+
+    if (!verified) {
+      await Logger.log({ action: "two_factor_failed", req, details: {
+        userId: user._id,
+        method: challenge.purpose === "two_factor_setup" ? "setup" : method,
+      }});
+
+      return res.status(400).json({ message: "Invalid or expired code" });
+    }
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    await tokenManager.startSession(req, res, user);
+
+    await Logger.log(req, "login", {
+      method: "email",
+      success: true,
+      role: user.role,
+      twoFactorMethod: challenge.purpose === "two_factor_setup" ? "setup" : method,
+    });
+
+    const response = { user: toLoginUser(user) };
+    if (recoveryCodes) {
+      // Only time the codes are shown
+      response.recoveryCodes = recoveryCodes;
+    }
+    if (method === "recovery") {
+      response.recoveryCodesRemaining = user.twoFactor.recoveryCodes.length;
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error("Two-factor login error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Email a login code to an account with 2FA (fallback when the authenticator app isn't available)
+const sendTwoFactorEmailCode = async (req, res) => {
+  try {
+    const challenge = tokenManager.verifyChallengeToken(req.body.challengeToken, "two_factor");
+    if (!challenge) {
+      return res.status(401).json({ message: "Your login has expired. Please log in again." });
+    }
+
+    const user = await User.findById(challenge.userId);
+    if (!user || user.status !== "active" || !user.twoFactor?.enabled) {
+      return res.status(401).json({ message: "Your login has expired. Please log in again." });
+    }
+
+    // Check if 1 minute has passed since last OTP
+    const lastSent = user.otpLastSent || new Date(0);
+    const timeDiff = Date.now() - lastSent.getTime();
+    if (timeDiff < 60000) {
+      return res.status(400).json({
+        message: `Please wait before requesting another code. Please wait ${Math.ceil((60000 - timeDiff) / 1000)} seconds.`,
+        waitTime: Math.ceil((60000 - timeDiff) / 1000),
+      });
+    }
+
+    const otp = generateOTP();
+    user.otp = otp;
+    user.otpExpiry = new Date(Date.now() + 5 * 60 * 1000); // 5 minutes expiry
+    user.otpLastSent = new Date();
+    await user.save();
+
+    await sendVerificationEmail(user.email, otp, "login");
+
+    await Logger.log({ action: "two_factor_email_sent", req, details: { userId: user._id } });
+
+    res.json({ message: "A login code has been sent to your email" });
+  } catch (error) {
+    console.error("Two-factor email error:", error);
+    res.status(500).json({ message: "Failed to send login code" });
+  }
+};
+
+// Google and Microsoft can sign in to existing email/password accounts (linked by email), so
+// they get the same 2FA checks as login. Returns the query for the frontend callback when the
+// login has to finish at /auth/2fa/verify, or null when a session can start.
+const getOAuthTwoFactorParams = async (req, user, method) => {
+  if (user.twoFactor?.enabled) {
+    await Logger.log(req, "login", {
+      method,
+      success: false,
+      reason: "two_factor_required",
+    });
+
+    return {
+      twoFactorRequired: "true",
+      challengeToken: tokenManager.generateChallengeToken(user, "two_factor"),
+    };
+  }
+
+  if (await twoFactor.isSetupRequired(user)) {
+    await Logger.log(req, "login", {
+      method,
+      success: false,
+      reason: "two_factor_setup_required",
+    });
+
+    return {
+      twoFactorSetupRequired: "true",
+      challengeToken: tokenManager.generateChallengeToken(user, "two_factor_setup"),
+    };
+  }
+
+  return null;
+};
+
 // Google OAuth Callback
 const googleCallback = async (req, res) => {
   try {
@@ -874,11 +1054,11 @@ const googleCallback = async (req, res) => {
       await user.save();
     }
 
-    // Generate token using tokenManager (OAuth creates main user accounts, not collaborators)
-    const { accessToken: token, expiresIn } = tokenManager.generateTokens(user);
-    
-    // Set authentication cookie
-    tokenManager.setAuthCookie(res, token, expiresIn);
+    // Start a session (OAuth creates main user accounts, not collaborators) unless 2FA is needed first
+    const twoFactorParams = await getOAuthTwoFactorParams(req, user, "google");
+    if (!twoFactorParams) {
+      await tokenManager.startSession(req, res, user);
+    }
     
     // Determine frontend URL based on environment
     const isProduction = process.env.NODE_ENV === 'production';
@@ -889,8 +1069,9 @@ const googleCallback = async (req, res) => {
         ? 'https://vos.local'
         : (process.env.FRONTEND_URL || 'http://localhost:3000');
 
-    // Redirect without token in URL - token is in cookie
-    res.redirect(`${frontendUrl}/auth/google/callback`);
+    // Redirect without token in URL - token is in cookie (only a 2FA challenge token is passed on)
+    const query = twoFactorParams ? `?${new URLSearchParams(twoFactorParams)}` : '';
+    res.redirect(`${frontendUrl}/auth/google/callback${query}`);
   } catch (error) {
     console.error("Google callback error:", error);
     res.status(500).json({ message: "Server error" });
@@ -933,11 +1114,11 @@ const microsoftCallback = async (req, res) => {
       await user.save();
     }
 
-    // Generate token using tokenManager (OAuth creates main user accounts, not collaborators)
-    const { accessToken: token, expiresIn } = tokenManager.generateTokens(user);
-    
-    // Set authentication cookie
-    tokenManager.setAuthCookie(res, token, expiresIn);
+    // Start a session (OAuth creates main user accounts, not collaborators) unless 2FA is needed first
+    const twoFactorParams = await getOAuthTwoFactorParams(req, user, "microsoft");
+    if (!twoFactorParams) {
+      await tokenManager.startSession(req, res, user);
+    }
     
     // Determine frontend URL based on environment
     const isProduction = process.env.NODE_ENV === 'production';
@@ -948,8 +1129,9 @@ const microsoftCallback = async (req, res) => {
         ? 'https://vos.local'
         : (process.env.FRONTEND_URL || 'http://localhost:3000');
 
-    // Redirect without token in URL - token is in cookie
-    res.redirect(`${frontendUrl}/auth/microsoft/callback`);
+    // Redirect without token in URL - token is in cookie (only a 2FA challenge token is passed on)
+    const query = twoFactorParams ? `?${new URLSearchParams(twoFactorParams)}` : '';
+    res.redirect(`${frontendUrl}/auth/microsoft/callback${query}`);
   } catch (error) {
     console.error("Microsoft callback error:", error);
     res.status(500).json({ message: "Server error" });
@@ -979,6 +1161,9 @@ const verifyToken = async (req, res) => {
       return res.status(403).json({ message: "Account is not active" });
     }
 
+    // Capabilities the frontend can use to show or hide features
+    const permissions = getPermissions(getPrincipal(decoded));
+
     // If this is a collaborator token, verify collaborator
     if (decoded.isCollaborator && decoded.collaboratorData) {
       const collaborator = decoded.collaboratorData;
@@ -1012,6 +1197,7 @@ const verifyToken = async (req, res) => {
           name: collaborator.name,
           status: collaborator.status,
         },
+        permissions,
       });
     }
 
@@ -1021,7 +1207,7 @@ const verifyToken = async (req, res) => {
     delete userResponse.otp;
     delete userResponse.otpExpiry;
 
-    res.json(userResponse);
+    res.json({ ...userResponse, permissions });
   } catch (error) {
     console.error("Token verification error:", error);
     res.status(401).json({ message: "Invalid token" });
@@ -1146,6 +1332,15 @@ const changePassword = async (req, res) => {
     user.password = hashedPassword;
     await user.save();
 
+    // Sign out every other session, then start a new one for this device
+    await tokenManager.revokeAllForUser(user._id, { reason: "password_change" });
+    await tokenManager.startSession(
+      req,
+      res,
+      user,
+      decoded.isCollaborator ? decoded.collaboratorData : null
+    );
+
     res.json({ message: "Password changed successfully" });
   } catch (error) {
     console.error("Change password error:", error);
@@ -1153,6 +1348,107 @@ const changePassword = async (req, res) => {
   }
 };
 
+// Refresh - exchange the refresh token cookie for new access and refresh tokens
+const refreshToken = async (req, res) => {
+  try {
+    const presentedToken = req.cookies?.refreshToken;
+    if (!presentedToken) {
+      return res.status(401).json({ message: "No refresh token provided" });
+    }
+
+    const result = await tokenManager.refreshSession(presentedToken, req);
+
+    if (result.error === "rotated") {
+      // Another request refreshed this session moments ago; its cookies are already set
+      return res.status(409).json({ message: "Session was just refreshed, retry the request" });
+    }
+
+    if (result.error) {
+      if (result.error === "reused") {
+        await Logger.log({ action: "refresh_token_reuse", req, details: {
+          sessionId: presentedToken.split(".")[0],
+        }});
+      }
+
+      tokenManager.clearAuthCookie(res);
+      return res.status(401).json({ message: "Session expired. Please log in again." });
+    }
+
+    tokenManager.setAuthCookie(res, result.accessToken, result.expiresIn);
+    tokenManager.setRefreshCookie(res, result.refreshToken, result.refreshExpiresIn);
+
+    res.json({ message: "Token refreshed", expiresAt: result.expiresAt });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Sessions of the signed-in person (the account holder's own, or the collaborator's own)
+const getSessionFilter = (req) => ({
+  user: req.userId,
+  collaboratorId: req.isCollaborator ? req.collaborator._id : null,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+});
+
+// List active sessions
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find(getSessionFilter(req)).sort({ lastSeenAt: -1 });
+
+    res.json({ sessions: sessions.map((session) => session.toSummary(req.sessionId)) });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Sign out one session
+const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!/^[a-f0-9]{24}$/.test(sessionId)) {
+      return res.status(400).json({ message: "Invalid session ID" });
+    }
+
+    const revoked = await tokenManager.revokeSessions({ ...getSessionFilter(req), _id: sessionId }, "signed_out");
+    if (revoked === 0) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    if (sessionId === req.sessionId) {
+      tokenManager.clearAuthCookie(res);
+    }
+
+    await Logger.log({ action: "session_revoked", req, details: { sessionId } });
+
+    res.json({ message: "Session signed out" });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Sign out every session except the current one
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const filter = getSessionFilter(req);
+    if (req.sessionId) {
+      filter._id = { $ne: req.sessionId };
+    }
+
+    const revoked = await tokenManager.revokeSessions(filter, "signed_out");
+
+    await Logger.log({ action: "sessions_revoked", req, details: { count: revoked } });
+
+    res.json({ message: `Signed out ${revoked} other sessions`, count: revoked });
+  } catch (error) {
+    console.error("Revoke sessions error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
 // Logout
 const handleLogout = async (req, res) => {
   try {
@@ -1248,6 +1544,12 @@ module.exports = {
   getUserProfile,
   changePassword,
   handleLogout,
+  verifyTwoFactorLogin,
+  sendTwoFactorEmailCode,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   deleteAccount
 };
 
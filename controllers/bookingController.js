@@ -1,8 +1,14 @@
 const { Booking, Upload } = require('../models/Booking.js');
+const Alert = require('../models/Alert.js');
+const GuestNotification = require('../models/GuestNotification.js');
+const Property = require('../models/Property.js');
 const Logger = require('../utils/logger.js');
 const csv = require('csv-parser');
 const { Readable } = require('stream');
 const mongoose = require('mongoose');
+const bookingRiskMatcher = require('../utils/bookingRiskMatcher.js');
+const disruptionCalculations = require('../utils/disruptionCalculations.js');
+const { BOOKING_STATUSES, BOOKING_STATUS_TRANSITIONS } = require('../config/constants.js');
 
 /**
  * Upload and parse CSV file containing bookings
@@ -19,12 +25,26 @@ const uploadBookings = async (req, res) => {
     const { buffer, originalname, size } = req.file;
     const hotelId = req.userId;
 
+    // Optional property the whole file belongs to
+    let propertyId = null;
+    if (req.body.propertyId) {
+      const property = await Property.findOwned(hotelId, req.body.propertyId);
+      if (!property) {
+        return res.status(404).json({
+          success: false,
+          message: 'Property not found'
+        });
+      }
+      propertyId = property._id;
+    }
+
     // Generate unique import batch ID
     const importBatch = `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
     // Create upload tracking record
     const upload = new Upload({
       hotelId,
+      propertyId,
       fileName: `${importBatch}.csv`,
       originalFileName: originalname,
       fileSize: size,
@@ -119,6 +139,7 @@ const uploadBookings = async (req, res) => {
             // Parse and validate data
             const bookingData = {
               hotelId,
+              propertyId,
               bookingId: row.bookingId.toString().trim(),
               guestFirstName: row.guestFirstName.toString().trim(),
               guestEmail: row.guestEmail && row.guestEmail.toString().trim() ? row.guestEmail.toString().trim().toLowerCase() : undefined,
@@ -309,11 +330,25 @@ const getBookings = async (req, res) => {
       startDate,
       endDate,
       sortBy = 'checkInDate',
-      sortOrder = 'asc'
+      sortOrder = 'asc',
+      propertyId
     } = req.query;
 
     const query = { hotelId };
 
+    // Filter by property ('none' for bookings not assigned to one)
+    if (propertyId === 'none') {
+      query.propertyId = null;
+    } else if (propertyId) {
+      if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid property ID'
+        });
+      }
+      query.propertyId = propertyId;
+    }
+
     // Add date range filter
     if (startDate || endDate) {
       query.checkInDate = {};
@@ -336,6 +371,36 @@ const getBookings = async (req, res) => {
 
     const total = await Booking.countDocuments(query);
 
+    // Show which alerts each guest has already been contacted about
+    const notifications = await GuestNotification.find({
+      booking: { $in: bookings.map(booking => booking._id) }
+    })
+      .populate('alert', 'title')
+      .select('booking alert channel status sentAt openedAt')
+      .lean();
+
+    const notificationsByBooking = {};
+    for (const notification of notifications) {
+      const key = notification.booking.toString();
+      (notificationsByBooking[key] = notificationsByBooking[key] || []).push({
+        alertId: notification.alert?._id,
+        alertTitle: notification.alert?.title,
+        channel: notification.channel,
+        status: notification.status,
+        sentAt: notification.sentAt,
+        openedAt: notification.openedAt
+      });
+    }
+
+    const bookingsWithNotifications = bookings.map(booking => {
+      const bookingNotifications = notificationsByBooking[booking._id.toString()] || [];
+      return {
+        ...booking,
+        notifications: bookingNotifications,
+        contacted: bookingNotifications.some(n => GuestNotification.CONTACTED_STATUSES.includes(n.status))
+      };
+    });
+
     await Logger.log(req, 'bookings_list', {
       page,
       limit,
@@ -346,7 +411,7 @@ const getBookings = async (req, res) => {
     return res.status(200).json({
       success: true,
       data: {
-        bookings,
+        bookings: bookingsWithNotifications,
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -531,23 +596,23 @@ const getBookingSummary = async (req, res) => {
 
 /**
  * Update booking status
+ * Moves a booking through its lifecycle (confirmed, at_risk, contacted, cancelled, rescued, no_show),
+ * optionally linking the change to the alert that caused it.
  */
 const updateBookingStatus = async (req, res) => {
   try {
     const { bookingId } = req.params;
-    const updateData = req.body;
+    const { status, alertId, note } = req.body;
     const hotelId = req.userId;
 
-    // Remove fields that shouldn't be updated
-    delete updateData._id;
-    delete updateData.createdAt;
-    delete updateData.updatedAt;
+    if (!BOOKING_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${BOOKING_STATUSES.join(', ')}`
+      });
+    }
 
-    const booking = await Booking.findOneAndUpdate(
-      { _id: bookingId, hotelId },
-      updateData,
-      { new: true }
-    );
+    const booking = await Booking.findOne({ _id: bookingId, hotelId });
 
     if (!booking) {
       return res.status(404).json({
@@ -556,24 +621,53 @@ const updateBookingStatus = async (req, res) => {
       });
     }
 
-    await Logger.log(req, 'booking_update', {
-      bookingId,
-      updateData
+    const previousStatus = booking.status || 'confirmed';
+    if (!Booking.canTransition(previousStatus, status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change booking status from ${previousStatus} to ${status}`,
+        allowedStatuses: BOOKING_STATUS_TRANSITIONS[previousStatus]
+      });
+    }
+
+    let alert = null;
+    if (alertId) {
+      alert = mongoose.Types.ObjectId.isValid(alertId) ? await Alert.findById(alertId).select('_id') : null;
+      if (!alert) {
+        return res.status(404).json({
+          success: false,
+          message: 'Alert not found'
+        });
+      }
+    }
+
+    booking.transitionTo(status, {
+      alert: alert?._id,
+      changedBy: req.userEmail,
+      note
     });
+    await booking.save();
+
+    await Logger.log({ action: 'booking_status_changed', req, details: {
+      bookingId,
+      previousStatus,
+      newStatus: status,
+      alertId: alert?._id || null
+    }});
 
     return res.status(200).json({
       success: true,
-      message: 'Booking updated successfully',
+      message: 'Booking status updated successfully',
       data: booking
     });
 
   } catch (error) {
     console.error('Error updating booking:', error);
 
-    await Logger.log(req, 'booking_update_error', {
+    await Logger.log({ action: 'booking_update_error', req, details: {
       bookingId: req.params.bookingId,
       error: error.message
-    });
+    }});
 
     return res.status(500).json({
       success: false,
@@ -583,6 +677,121 @@ const updateBookingStatus = async (req, res) => {
   }
 };
 
+/**
+ * Get booking outcomes per alert
+ * For each alert linked to a booking status change, counts how many bookings were lost
+ * (cancelled / no_show) and how many were rescued after outreach.
+ */
+const getBookingOutcomes = async (req, res) => {
+  try {
+    const hotelId = req.userId;
+    const { alertId, propertyId } = req.query;
+
+    const query = { hotelId, 'statusHistory.alert': { $exists: true } };
+    if (propertyId) {
+      if (propertyId !== 'none' && !mongoose.Types.ObjectId.isValid(propertyId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid property ID'
+        });
+      }
+      query.propertyId = propertyId === 'none' ? null : propertyId;
+    }
+    if (alertId) {
+      if (!mongoose.Types.ObjectId.isValid(alertId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid alert ID'
+        });
+      }
+      query['statusHistory.alert'] = new mongoose.Types.ObjectId(alertId);
+    }
+
+    const bookings = await Booking.find(query)
+      .select('status statusHistory bookingRate nights')
+      .lean();
+
+    const outcomesByAlert = {};
+
+    for (const booking of bookings) {
+      const linkedAlerts = new Set(
+        booking.statusHistory
+          .filter(entry => entry.alert)
+          .map(entry => entry.alert.toString())
+      );
+      const wasContacted = booking.statusHistory.some(entry => entry.status === 'contacted');
+      const revenue = booking.bookingRate * booking.nights;
+
+      for (const linkedAlertId of linkedAlerts) {
+        if (alertId && linkedAlertId !== alertId) continue;
+
+        const outcome = outcomesByAlert[linkedAlertId] = outcomesByAlert[linkedAlertId] || {
+          alertId: linkedAlertId,
+          totalBookings: 0,
+          contacted: 0,
+          byStatus: {},
+          revenueLost: 0,
+          revenueRescued: 0
+        };
+
+        outcome.totalBookings++;
+        if (wasContacted) outcome.contacted++;
+        outcome.byStatus[booking.status] = (outcome.byStatus[booking.status] || 0) + 1;
+
+        if (booking.status === 'cancelled' || booking.status === 'no_show') {
+          outcome.revenueLost += revenue;
+        } else if (booking.status === 'rescued') {
+          outcome.revenueRescued += revenue;
+        }
+      }
+    }
+
+    const alerts = await Alert.find({ _id: { $in: Object.keys(outcomesByAlert) } })
+      .select('title city mainType subType startDate endDate')
+      .lean();
+    const alertsById = new Map(alerts.map(alert => [alert._id.toString(), alert]));
+
+    const outcomes = Object.values(outcomesByAlert).map(outcome => {
+      const lost = (outcome.byStatus.cancelled || 0) + (outcome.byStatus.no_show || 0);
+      const rescued = outcome.byStatus.rescued || 0;
+
+      return {
+        ...outcome,
+        alert: alertsById.get(outcome.alertId) || null,
+        lost,
+        rescued,
+        // Share of contacted guests who ended up staying
+        rescueRate: outcome.contacted > 0 ? Math.round((rescued / outcome.contacted) * 100) / 100 : null
+      };
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        outcomes,
+        totals: {
+          totalBookings: bookings.length,
+          revenueLost: outcomes.reduce((sum, outcome) => sum + outcome.revenueLost, 0),
+          revenueRescued: outcomes.reduce((sum, outcome) => sum + outcome.revenueRescued, 0)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting booking outcomes:', error);
+
+    await Logger.log({ action: 'booking_outcomes_error', req, details: {
+      error: error.message
+    }});
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get booking outcomes',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Delete a booking
  */
@@ -603,6 +812,8 @@ const deleteBooking = async (req, res) => {
       });
     }
 
+    await GuestNotification.deleteMany({ booking: booking._id });
+
     await Logger.log(req, 'booking_delete', {
       bookingId
     });
@@ -629,39 +840,118 @@ const deleteBooking = async (req, res) => {
 };
 
 /**
- * Get bookings at risk for a specific alert
+ * Get bookings at risk from alerts
+ * With ?alertId= only that alert is matched, otherwise every active alert for the hotel's city.
+ * With ?propertyId= the property's city, profile and bookings are used; otherwise the account
+ * profile and the bookings not assigned to a property.
+ * A booking is at risk when its stay (check-in plus nights) overlaps the alert dates.
  */
 const getBookingsAtRisk = async (req, res) => {
   try {
     const hotelId = req.userId;
-    const { startDate, endDate } = req.query;
+    const { alertId, startDate, endDate, propertyId } = req.query;
+
+    let property = null;
+    if (propertyId) {
+      property = await Property.findOwned(hotelId, propertyId);
+      if (!property) {
+        return res.status(404).json({
+          success: false,
+          message: 'Property not found'
+        });
+      }
+    }
 
-    const query = { hotelId };
-    if (startDate || endDate) {
-      query.checkInDate = {};
-      if (startDate) query.checkInDate.$gte = new Date(startDate);
-      if (endDate) query.checkInDate.$lte = new Date(endDate);
+    const riskProfile = property ? property.toRiskProfile() : req.user;
+    const hotelCity = riskProfile?.company?.city;
+
+    if (!hotelCity) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set your hotel city in your profile to match alerts against bookings'
+      });
     }
 
-    const bookings = await Booking.find(query).sort({ checkInDate: 1 });
+    let alerts;
+    if (alertId) {
+      if (!mongoose.Types.ObjectId.isValid(alertId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid alert ID'
+        });
+      }
 
-    await Logger.log(req, 'bookings_at_risk', {
-      startDate,
-      endDate,
-      count: bookings.length
-    });
+      const alert = await Alert.findOne({ _id: alertId, status: 'approved' }).lean();
+      if (!alert) {
+        return res.status(404).json({
+          success: false,
+          message: 'Alert not found'
+        });
+      }
+      alerts = [alert];
+    } else {
+      alerts = await bookingRiskMatcher.findActiveAlertsForCity(hotelCity, {
+        from: startDate,
+        to: endDate
+      });
+    }
+
+    const results = [];
+    const uniqueBookings = new Map();
+
+    for (const alert of alerts) {
+      const matches = await bookingRiskMatcher.findBookingsAtRisk(alert, {
+        hotelId,
+        propertyId: property ? property._id : null,
+        city: hotelCity
+      });
+
+      matches.forEach(match => uniqueBookings.set(match._id.toString(), match));
+
+      results.push({
+        alert: {
+          _id: alert._id,
+          title: alert.title,
+          city: alert.city,
+          mainType: alert.mainType,
+          subType: alert.subType,
+          startDate: alert.startDate,
+          endDate: alert.endDate,
+          confidence: alert.confidence
+        },
+        bookings: matches,
+        ...bookingRiskMatcher.summariseMatches(matches),
+        risk: disruptionCalculations.calculateDisruptionRisk(alert, riskProfile, matches)
+      });
+    }
+
+    const totals = bookingRiskMatcher.summariseMatches(Array.from(uniqueBookings.values()));
+
+    await Logger.log({ action: 'bookings_at_risk', req, details: {
+      alertId: alertId || null,
+      propertyId: property ? property._id : null,
+      mode: alertId ? 'single_alert' : 'active_alerts',
+      alertsMatched: alerts.length,
+      bookingsAtRisk: totals.bookingsAtRisk
+    }});
 
     return res.status(200).json({
       success: true,
-      data: bookings
+      data: {
+        alerts: results,
+        totals: {
+          alerts: alerts.length,
+          ...totals
+        }
+      }
     });
 
   } catch (error) {
     console.error('Error getting bookings at risk:', error);
 
-    await Logger.log(req, 'bookings_at_risk_error', {
+    await Logger.log({ action: 'bookings_at_risk_error', req, details: {
       error: error.message
-    });
+    }});
 
     return res.status(500).json({
       success: false,
@@ -678,6 +968,7 @@ module.exports = {
   getBookingSummary,
   getBookingStats,
   updateBookingStatus,
+  getBookingOutcomes,
   deleteBooking,
   getBookingsAtRisk
 };
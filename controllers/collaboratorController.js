@@ -0,0 +1,310 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const mongoose = require("mongoose");
+const User = require("../models/User.js");
+const Logger = require("../utils/logger.js");
+const tokenManager = require("../utils/tokenManager.js");
+const sendCollaboratorInvitation = require("../utils/emailTemplates/collaboratorInvitation.js");
+
+const COLLABORATOR_ROLES = ["viewer", "manager"];
+const INVITATION_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000; // Matches the 7 days stated in the email
+
+const hashInvitationToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Collaborator fields safe to return to the account owner
+const toCollaboratorResponse = (collaborator) => ({
+  _id: collaborator._id,
+  name: collaborator.name,
+  email: collaborator.email,
+  role: collaborator.role,
+  status: collaborator.status,
+  invitedAt: collaborator.invitedAt,
+  acceptedAt: collaborator.acceptedAt,
+  invitationExpiry: collaborator.status === "invited" ? collaborator.invitationExpiry : undefined,
+});
+
+/**
+ * Give a collaborator a fresh invitation token and email the link
+ * Only the hash is stored; the raw token only exists in the email.
+ * @returns {Promise<boolean>} - Whether the email was sent
+ */
+const sendInvitation = async (owner, collaborator) => {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  collaborator.invitationToken = hashInvitationToken(token);
+  collaborator.invitationExpiry = new Date(Date.now() + INVITATION_EXPIRY_MS);
+  collaborator.invitedAt = new Date();
+  await owner.save();
+
+  const inviteUrl = `${process.env.FRONTEND_URL || "https://tourprism.com"}/collaborator/accept?token=${token}&email=${encodeURIComponent(collaborator.email)}`;
+
+  return sendCollaboratorInvitation(
+    collaborator.email,
+    owner.company?.contactName || owner.company?.name,
+    "",
+    inviteUrl,
+    collaborator.role,
+    collaborator.name
+  );
+};
+
+// Find a collaborator of the owner's account from the route parameter
+const findCollaborator = (owner, collaboratorId) => {
+  if (!mongoose.Types.ObjectId.isValid(collaboratorId)) return null;
+  return owner.collaborators.id(collaboratorId);
+};
+
+/**
+ * List the account's collaborators
+ * Revoked collaborators are left out unless ?includeRevoked=true.
+ */
+const getCollaborators = async (req, res) => {
+  try {
+    const owner = await User.findById(req.userId).select("collaborators");
+    if (!owner) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const collaborators = owner.collaborators
+      .filter((collaborator) => req.query.includeRevoked === "true" || collaborator.status !== "deleted")
+      .map(toCollaboratorResponse);
+
+    res.json({ collaborators });
+  } catch (error) {
+    console.error("Get collaborators error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Invite a collaborator by email
+ * A previously revoked collaborator can be invited again and keeps the same entry.
+ */
+const inviteCollaborator = async (req, res) => {
+  try {
+    const email = req.body.email?.trim().toLowerCase();
+    const { name, role = "viewer" } = req.body;
+
+    if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ message: "A valid email is required" });
+    }
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${COLLABORATOR_ROLES.join(", ")}` });
+    }
+
+    const owner = await User.findById(req.userId);
+    if (!owner) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // Login looks collaborators up by email across all accounts, so an email can only be used once
+    if (await User.exists({ email })) {
+      return res.status(409).json({ message: "This email already has its own account" });
+    }
+
+    const existingElsewhere = await User.exists({
+      _id: { $ne: owner._id },
+      collaborators: { $elemMatch: { email, status: { $ne: "deleted" } } },
+    });
+    if (existingElsewhere) {
+      return res.status(409).json({ message: "This email is already a collaborator on another account" });
+    }
+
+    let collaborator = owner.collaborators.find((c) => c.email === email);
+    if (collaborator && collaborator.status !== "deleted") {
+      return res.status(409).json({ message: "This email is already a collaborator on your account" });
+    }
+
+    if (collaborator) {
+      collaborator.set({ name: name || collaborator.name, role, status: "invited", password: undefined, acceptedAt: undefined });
+    } else {
+      owner.collaborators.push({ email, name, role, status: "invited" });
+      collaborator = owner.collaborators[owner.collaborators.length - 1];
+    }
+
+    const emailSent = await sendInvitation(owner, collaborator);
+
+    await Logger.log({ action: "collaborator_invited", req, details: {
+      collaboratorEmail: email,
+      role,
+      emailSent,
+    }});
+
+    res.status(201).json({
+      message: emailSent ? "Invitation sent" : "Collaborator added but the invitation email could not be sent",
+      emailSent,
+      collaborator: toCollaboratorResponse(collaborator),
+    });
+  } catch (error) {
+    console.error("Invite collaborator error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Send a new invitation link to a collaborator who has not accepted yet
+ * The previous link stops working.
+ */
+const resendInvitation = async (req, res) => {
+  try {
+    const owner = await User.findById(req.userId);
+    if (!owner) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const collaborator = findCollaborator(owner, req.params.collaboratorId);
+    if (!collaborator) {
+      return res.status(404).json({ message: "Collaborator not found" });
+    }
+    if (collaborator.status !== "invited") {
+      return res.status(400).json({ message: "Only pending invitations can be resent" });
+    }
+
+    const emailSent = await sendInvitation(owner, collaborator);
+
+    await Logger.log({ action: "collaborator_invitation_resent", req, details: {
+      collaboratorEmail: collaborator.email,
+      emailSent,
+    }});
+
+    if (!emailSent) {
+      return res.status(502).json({ message: "The invitation email could not be sent" });
+    }
+
+    res.json({ message: "Invitation resent", collaborator: toCollaboratorResponse(collaborator) });
+  } catch (error) {
+    console.error("Resend invitation error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Change a collaborator's role
+ * Takes effect on the collaborator's next request (the role is re-read when tokens are verified).
+ */
+const updateCollaboratorRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${COLLABORATOR_ROLES.join(", ")}` });
+    }
+
+    const owner = await User.findById(req.userId);
+    if (!owner) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const collaborator = findCollaborator(owner, req.params.collaboratorId);
+    if (!collaborator || collaborator.status === "deleted") {
+      return res.status(404).json({ message: "Collaborator not found" });
+    }
+
+    const previousRole = collaborator.role;
+    collaborator.role = role;
+    await owner.save();
+
+    await Logger.log({ action: "collaborator_role_changed", req, details: {
+      collaboratorEmail: collaborator.email,
+      from: previousRole,
+      to: role,
+    }});
+
+    res.json({ message: "Role updated", collaborator: toCollaboratorResponse(collaborator) });
+  } catch (error) {
+    console.error("Update collaborator role error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Revoke a collaborator's access
+ * Pending invitations stop working and tokens already issued to the collaborator are rejected.
+ */
+const revokeCollaborator = async (req, res) => {
+  try {
+    const owner = await User.findById(req.userId);
+    if (!owner) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const collaborator = findCollaborator(owner, req.params.collaboratorId);
+    if (!collaborator || collaborator.status === "deleted") {
+      return res.status(404).json({ message: "Collaborator not found" });
+    }
+
+    collaborator.status = "deleted";
+    collaborator.invitationToken = undefined;
+    collaborator.invitationExpiry = undefined;
+    collaborator.tokensRevokedAt = new Date();
+    await owner.save();
+    await tokenManager.revokeSessions({ user: owner._id, collaboratorId: collaborator._id }, "collaborator_revoked");
+
+    await Logger.log({ action: "collaborator_revoked", req, details: {
+      collaboratorEmail: collaborator.email,
+    }});
+
+    res.json({ message: "Collaborator access revoked" });
+  } catch (error) {
+    console.error("Revoke collaborator error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Accept an invitation (public)
+ * Sets the collaborator's password and activates them; the invitation link can't be used again.
+ */
+const acceptInvitation = async (req, res) => {
+  try {
+    const { token, password, name } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: "Token and password are required" });
+    }
+    if (password.length < 6) {
+      return res.status(400).json({ message: "Password must be at least 6 characters long" });
+    }
+
+    const tokenHash = hashInvitationToken(token);
+    const owner = await User.findOne({ "collaborators.invitationToken": tokenHash });
+    const collaborator = owner?.collaborators.find((c) => c.invitationToken === tokenHash);
+
+    if (!collaborator || collaborator.status !== "invited") {
+      return res.status(400).json({ message: "This invitation link is invalid or has already been used" });
+    }
+    if (!collaborator.invitationExpiry || collaborator.invitationExpiry < new Date()) {
+      return res.status(400).json({ message: "This invitation has expired. Ask the account owner to resend it." });
+    }
+    if (owner.status !== "active") {
+      return res.status(403).json({ message: "The account you were invited to is no longer active" });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    collaborator.password = await bcrypt.hash(password, salt);
+    if (name) collaborator.name = name;
+    collaborator.status = "active";
+    collaborator.acceptedAt = new Date();
+    collaborator.invitationToken = undefined;
+    collaborator.invitationExpiry = undefined;
+    await owner.save();
+
+    await Logger.log({ action: "collaborator_invitation_accepted", req, details: {
+      collaboratorEmail: collaborator.email,
+      parentAccount: owner.email,
+    }});
+
+    res.json({ message: "Invitation accepted. You can now log in.", email: collaborator.email });
+  } catch (error) {
+    console.error("Accept invitation error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  getCollaborators,
+  inviteCollaborator,
+  resendInvitation,
+  updateCollaboratorRole,
+  revokeCollaborator,
+  acceptInvitation,
+};
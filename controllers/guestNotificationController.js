@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const GuestNotification = require('../models/GuestNotification.js');
+const Logger = require('../utils/logger.js');
+
+// Fields the ledger can be sorted by
+const SORT_FIELDS = ['createdAt', 'queuedAt', 'sentAt', 'openedAt', 'status', 'channel', 'guestEmail', 'guestFirstName'];
+
+// Compare secrets without leaking their contents through timing
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Brevo webhook events mapped to ledger statuses
+const BREVO_EVENT_STATUS = {
+  delivered: 'sent',
+  opened: 'opened',
+  unique_opened: 'opened',
+  proxy_open: 'opened',
+  click: 'opened',
+  hard_bounce: 'bounced',
+  soft_bounce: 'bounced',
+  blocked: 'bounced',
+  invalid_email: 'bounced',
+  spam: 'bounced',
+  error: 'failed'
+};
+
+// A delivery event may only move a notification forward, never back (e.g. opened → bounced)
+const STATUS_RANK = {
+  queued: 0,
+  failed: 1,
+  sent: 2,
+  bounced: 3,
+  opened: 4
+};
+
+/**
+ * Get the guest notification ledger for the authenticated hotel
+ */
+const getGuestNotifications = async (req, res) => {
+  try {
+    const hotelId = req.userId;
+    const {
+      page = 1,
+      limit = 50,
+      status,
+      channel,
+      alertId,
+      bookingId,
+      search,
+      startDate,
+      endDate,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const query = { hotelId: new mongoose.Types.ObjectId(hotelId) };
+
+    if (status && status !== 'all') {
+      query.status = status.includes(',') ? { $in: status.split(',') } : status;
+    }
+
+    if (channel) {
+      query.channel = channel;
+    }
+
+    if (alertId) {
+      if (!mongoose.Types.ObjectId.isValid(alertId)) {
+        return res.status(400).json({ success: false, message: 'Invalid alert ID' });
+      }
+      query.alert = new mongoose.Types.ObjectId(alertId);
+    }
+
+    if (bookingId) {
+      if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+        return res.status(400).json({ success: false, message: 'Invalid booking ID' });
+      }
+      query.booking = new mongoose.Types.ObjectId(bookingId);
+    }
+
+    if (search) {
+      const escapedSearch = String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$or = [
+        { guestEmail: { $regex: escapedSearch, $options: 'i' } },
+        { guestFirstName: { $regex: escapedSearch, $options: 'i' } }
+      ];
+    }
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    if (!SORT_FIELDS.includes(sortBy)) {
+      return res.status(400).json({ success: false, message: `sortBy must be one of: ${SORT_FIELDS.join(', ')}` });
+    }
+
+    const sortOptions = {};
+    sortOptions[sortBy] = sortOrder === 'asc' ? 1 : -1;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const notifications = await GuestNotification.find(query)
+      .populate('alert', 'title city startDate endDate mainType')
+      .populate('booking', 'bookingId checkInDate nights roomType')
+      .sort(sortOptions)
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await GuestNotification.countDocuments(query);
+
+    // Status breakdown for the same filters (ignoring the status filter itself)
+    const { status: _status, ...countQuery } = query;
+    const statusCounts = await GuestNotification.aggregate([
+      { $match: countQuery },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        notifications,
+        statusCounts: statusCounts.reduce((counts, entry) => {
+          counts[entry._id] = entry.count;
+          return counts;
+        }, {}),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting guest notifications:', error);
+
+    await Logger.log({ action: 'guest_notifications_list_error', req, details: {
+      error: error.message
+    }});
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve guest notifications',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Receive delivery events from Brevo and update the ledger
+ * Secured with a shared secret passed as ?token= (BREVO_WEBHOOK_SECRET)
+ */
+const handleBrevoWebhook = async (req, res) => {
+  try {
+    const secret = process.env.BREVO_WEBHOOK_SECRET;
+    if (!secret || !req.query.token || !safeEqual(req.query.token, secret)) {
+      return res.status(401).json({ message: 'Invalid webhook token' });
+    }
+
+    // Brevo sends a single event object, batched webhooks send an array
+    const events = Array.isArray(req.body) ? req.body : [req.body];
+    let updated = 0;
+
+    for (const event of events) {
+      const status = BREVO_EVENT_STATUS[event?.event];
+      const messageId = event?.['message-id'];
+      if (!status || !messageId) continue;
+
+      const notification = await GuestNotification.findOne({ providerMessageId: messageId });
+      if (!notification || STATUS_RANK[status] <= STATUS_RANK[notification.status]) continue;
+
+      const eventDate = event.ts_event ? new Date(event.ts_event * 1000) : new Date();
+
+      notification.status = status;
+      if (status === 'sent') notification.sentAt = notification.sentAt || eventDate;
+      if (status === 'opened') notification.openedAt = eventDate;
+      if (status === 'bounced') {
+        notification.bouncedAt = eventDate;
+        notification.error = event.reason || event.event;
+      }
+      if (status === 'failed') {
+        notification.failedAt = eventDate;
+        notification.error = event.reason || event.event;
+      }
+
+      await notification.save();
+      updated++;
+    }
+
+    res.json({ success: true, updated });
+  } catch (error) {
+    console.error('Error handling Brevo webhook:', error);
+    res.status(500).json({ message: 'Failed to process webhook', error: error.message });
+  }
+};
+
+module.exports = {
+  getGuestNotifications,
+  handleBrevoWebhook
+};
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification.js');
+
+// Get the authenticated user's notifications, newest first
+const getNotifications = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unreadOnly } = req.query;
+
+    const query = { user: req.userId };
+    if (unreadOnly === 'true') {
+      query.readAt = null;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const notifications = await Notification.find(query)
+      .populate('alert', 'title city status startDate endDate')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await Notification.countDocuments(query);
+    const unreadCount = await Notification.countDocuments({ user: req.userId, readAt: null });
+
+    res.json({
+      notifications,
+      unreadCount,
+      totalCount: total,
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(total / parseInt(limit))
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Mark a single notification as read
+const markNotificationRead = async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+      return res.status(400).json({ message: 'Invalid notification ID' });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: notificationId, user: req.userId },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ success: true, notification });
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Mark all of the user's notifications as read
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.userId, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({ success: true, updated: result.modifiedCount });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
@@ -0,0 +1,403 @@
+const mongoose = require('mongoose');
+const Property = require('../models/Property.js');
+const { Booking } = require('../models/Booking.js');
+const Logger = require('../utils/logger.js');
+const bookingRiskMatcher = require('../utils/bookingRiskMatcher.js');
+const disruptionCalculations = require('../utils/disruptionCalculations.js');
+const cityCatalogue = require('../config/cityCatalogue.js');
+
+// Fields a hotel can set on its properties
+const PROPERTY_FIELDS = ['name', 'city', 'rooms', 'avgRoomRate', 'size', 'incentives', 'location'];
+
+const getPropertyFields = (body = {}) => PROPERTY_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Get the account's properties
+ * Pass ?includeInactive=true to include deactivated properties.
+ */
+const getProperties = async (req, res) => {
+  try {
+    const query = { owner: req.userId };
+    if (req.query.includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    const properties = await Property.find(query).sort({ name: 1 }).lean();
+
+    // Booking counts per property
+    const counts = await Booking.aggregate([
+      { $match: { hotelId: new mongoose.Types.ObjectId(req.userId), propertyId: { $in: properties.map(property => property._id) } } },
+      { $group: { _id: '$propertyId', totalBookings: { $sum: 1 } } }
+    ]);
+    const countsById = new Map(counts.map(count => [count._id.toString(), count.totalBookings]));
+
+    return res.status(200).json({
+      success: true,
+      data: properties.map(property => ({
+        ...property,
+        totalBookings: countsById.get(property._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting properties:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get properties',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a single property
+ */
+const getProperty = async (req, res) => {
+  try {
+    const property = await Property.findOwned(req.userId, req.params.propertyId);
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: property
+    });
+  } catch (error) {
+    console.error('Error getting property:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get property',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add a property to the account
+ */
+const createProperty = async (req, res) => {
+  try {
+    const fields = getPropertyFields(req.body);
+    if (!fields.name || !fields.city) {
+      return res.status(400).json({
+        success: false,
+        message: 'Property name and city are required'
+      });
+    }
+
+    const city = cityCatalogue.resolveCity(fields.city, await cityCatalogue.getCities());
+    if (!city) {
+      return res.status(400).json({
+        success: false,
+        message: `${fields.city} is not a supported city`
+      });
+    }
+    fields.city = city.name;
+
+    const property = await Property.create({ ...fields, owner: req.userId });
+
+    await Logger.log({ action: 'property_created', req, details: {
+      propertyId: property._id,
+      name: property.name,
+      city: property.city
+    }});
+
+    return res.status(201).json({
+      success: true,
+      data: property
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a property with this name'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error creating property:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create property',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a property's profile
+ * Send isActive: true to reactivate a deactivated property.
+ */
+const updateProperty = async (req, res) => {
+  try {
+    const property = await Property.findOwned(req.userId, req.params.propertyId);
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    const fields = getPropertyFields(req.body);
+    if (fields.city !== undefined) {
+      const city = cityCatalogue.resolveCity(fields.city, await cityCatalogue.getCities());
+      if (!city) {
+        return res.status(400).json({
+          success: false,
+          message: `${fields.city} is not a supported city`
+        });
+      }
+      fields.city = city.name;
+    }
+    if (req.body.isActive === true) {
+      fields.isActive = true;
+    }
+
+    property.set(fields);
+    await property.save();
+
+    await Logger.log({ action: 'property_updated', req, details: {
+      propertyId: property._id,
+      fields: Object.keys(fields)
+    }});
+
+    return res.status(200).json({
+      success: true,
+      data: property
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a property with this name'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error updating property:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update property',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Deactivate a property
+ * Its bookings are kept (and still count towards outcomes) but it leaves lists and roll-ups.
+ */
+const deleteProperty = async (req, res) => {
+  try {
+    const property = await Property.findOwned(req.userId, req.params.propertyId);
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    property.isActive = false;
+    await property.save();
+
+    await Logger.log({ action: 'property_deactivated', req, details: {
+      propertyId: property._id,
+      name: property.name
+    }});
+
+    return res.status(200).json({
+      success: true,
+      message: 'Property deactivated'
+    });
+  } catch (error) {
+    console.error('Error deactivating property:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate property',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Roll up risk and outcomes across the account's properties
+ * Each active property is matched against the active alerts for its city using its own bookings
+ * and profile. Bookings not assigned to a property are reported under the account profile.
+ */
+const getPortfolioSummary = async (req, res) => {
+  try {
+    const hotelId = req.userId;
+    const { startDate, endDate } = req.query;
+
+    const properties = await Property.find({ owner: hotelId, isActive: true }).sort({ name: 1 });
+
+    const units = properties.map(property => ({
+      property: {
+        _id: property._id,
+        name: property.name,
+        city: property.city,
+        rooms: property.rooms
+      },
+      propertyId: property._id,
+      profile: property.toRiskProfile()
+    }));
+
+    const hasUnassignedBookings = await Booking.exists({ hotelId, propertyId: null });
+    if (req.user?.company?.city && (hasUnassignedBookings || units.length === 0)) {
+      units.push({
+        property: null,
+        propertyId: null,
+        profile: req.user
+      });
+    }
+
+    // Alerts are shared between properties in the same city
+    const alertsByCity = new Map();
+    const getCityAlerts = async (city) => {
+      const key = city.trim().toLowerCase();
+      if (!alertsByCity.has(key)) {
+        alertsByCity.set(key, await bookingRiskMatcher.findActiveAlertsForCity(city, { from: startDate, to: endDate }));
+      }
+      return alertsByCity.get(key);
+    };
+
+    // Lost / rescued revenue from bookings linked to alerts, per property
+    const outcomes = await Booking.aggregate([
+      {
+        $match: {
+          hotelId: new mongoose.Types.ObjectId(hotelId),
+          'statusHistory.alert': { $exists: true },
+          status: { $in: ['rescued', 'cancelled', 'no_show'] }
+        }
+      },
+      {
+        $group: {
+          _id: { propertyId: '$propertyId', rescued: { $eq: ['$status', 'rescued'] } },
+          bookings: { $sum: 1 },
+          revenue: { $sum: { $multiply: ['$bookingRate', '$nights'] } }
+        }
+      }
+    ]);
+
+    const getOutcome = (propertyId) => {
+      const key = propertyId ? propertyId.toString() : null;
+      const rows = outcomes.filter(row => (row._id.propertyId ? row._id.propertyId.toString() : null) === key);
+      const rescued = rows.find(row => row._id.rescued);
+      const lost = rows.find(row => !row._id.rescued);
+
+      return {
+        bookingsRescued: rescued ? rescued.bookings : 0,
+        revenueRescued: rescued ? roundMoney(rescued.revenue) : 0,
+        bookingsLost: lost ? lost.bookings : 0,
+        revenueLost: lost ? roundMoney(lost.revenue) : 0
+      };
+    };
+
+    const results = [];
+
+    for (const unit of units) {
+      const city = unit.profile.company.city;
+      const alerts = city ? await getCityAlerts(city) : [];
+      const uniqueBookings = new Map();
+      const alertSummaries = [];
+      let poundsAtRisk = 0;
+      let poundsSaved = 0;
+
+      for (const alert of alerts) {
+        const matches = await bookingRiskMatcher.findBookingsAtRisk(
+          alert,
+          { hotelId, propertyId: unit.propertyId, city },
+          { filter: { status: { $nin: ['cancelled', 'no_show'] } } }
+        );
+        matches.forEach(match => uniqueBookings.set(match._id.toString(), match));
+
+        const risk = disruptionCalculations.calculateDisruptionRisk(alert, unit.profile, matches);
+        poundsAtRisk += risk.poundsAtRisk;
+        poundsSaved += risk.poundsSaved;
+
+        alertSummaries.push({
+          _id: alert._id,
+          title: alert.title,
+          mainType: alert.mainType,
+          startDate: alert.startDate,
+          endDate: alert.endDate,
+          bookingsAtRisk: matches.length,
+          poundsAtRisk: risk.poundsAtRisk,
+          method: risk.method
+        });
+      }
+
+      results.push({
+        property: unit.property,
+        city,
+        activeAlerts: alerts.length,
+        alerts: alertSummaries,
+        ...bookingRiskMatcher.summariseMatches(Array.from(uniqueBookings.values())),
+        poundsAtRisk: roundMoney(poundsAtRisk),
+        poundsSaved: roundMoney(poundsSaved),
+        ...getOutcome(unit.propertyId)
+      });
+    }
+
+    const sum = (field) => roundMoney(results.reduce((total, result) => total + result[field], 0));
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        properties: results,
+        totals: {
+          properties: properties.length,
+          activeAlerts: new Set(results.flatMap(result => result.alerts.map(alert => alert._id.toString()))).size,
+          bookingsAtRisk: sum('bookingsAtRisk'),
+          nightsAtRisk: sum('nightsAtRisk'),
+          revenueAtRisk: sum('revenueAtRisk'),
+          poundsAtRisk: sum('poundsAtRisk'),
+          poundsSaved: sum('poundsSaved'),
+          bookingsRescued: sum('bookingsRescued'),
+          revenueRescued: sum('revenueRescued'),
+          bookingsLost: sum('bookingsLost'),
+          revenueLost: sum('revenueLost')
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting portfolio summary:', error);
+
+    await Logger.log({ action: 'portfolio_summary_error', req, details: {
+      error: error.message
+    }});
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get portfolio summary',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getProperties,
+  getProperty,
+  createProperty,
+  updateProperty,
+  deleteProperty,
+  getPortfolioSummary
+};
@@ -0,0 +1,492 @@
+const mongoose = require('mongoose');
+const AlertTip = require('../models/AlertTip.js');
+const Property = require('../models/Property.js');
+const Logger = require('../utils/logger.js');
+const tipAttachments = require('../utils/tipAttachments.js');
+const cityCatalogue = require('../config/cityCatalogue.js');
+const { ALERT_MAIN_TYPES, CONFIDENCE_SOURCE_TYPES, TIP_CREDIBILITY, TIP_STATUSES } = require('../config/constants.js');
+
+// Fields a submitter (or an admin triaging the tip) can set
+const TIP_FIELDS = ['city', 'mainType', 'subType', 'title', 'summary', 'startDate', 'endDate', 'sourceUrl', 'sourceName'];
+
+// Who a tip can be from (the ?submitterType= filter on the queue)
+const SUBMITTER_TYPES = AlertTip.schema.path('submitterType').enumValues;
+
+// Admin triage actions and the status each one moves a tip to
+const TRIAGE_ACTIONS = {
+  hold: 'held',
+  release: 'pending',
+  reject: 'rejected'
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate tip fields from a request body
+ * @param {Object} body
+ * @param {Object} existing - Tip being edited, for checking the date range against its current dates
+ * @returns {Promise<Object>} - { fields } or { error }
+ */
+const getTipFields = async (body = {}, existing = null) => {
+  const fields = {};
+
+  for (const field of ['subType', 'title', 'summary', 'sourceName']) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== 'string' || !body[field].trim()) return { error: `${field} must be a non-empty string` };
+    fields[field] = body[field].trim();
+  }
+  if (body.city !== undefined) {
+    const city = cityCatalogue.resolveCity(body.city, await cityCatalogue.getCities());
+    if (!city) return { error: `${body.city} is not a supported city` };
+    fields.city = city.name;
+  }
+  if (body.mainType !== undefined) {
+    if (!ALERT_MAIN_TYPES.includes(body.mainType)) {
+      return { error: `mainType must be one of: ${ALERT_MAIN_TYPES.join(', ')}` };
+    }
+    fields.mainType = body.mainType;
+  }
+  for (const field of ['startDate', 'endDate']) {
+    if (body[field] === undefined) continue;
+    const date = new Date(body[field]);
+    if (isNaN(date.getTime())) return { error: `${field} must be a valid date` };
+    fields[field] = date;
+  }
+  if (body.sourceUrl !== undefined) {
+    if (typeof body.sourceUrl !== 'string' || !isHttpUrl(body.sourceUrl.trim())) {
+      return { error: 'sourceUrl must be an http(s) link' };
+    }
+    fields.sourceUrl = body.sourceUrl.trim();
+  }
+
+  const startDate = fields.startDate || existing?.startDate;
+  const endDate = fields.endDate || existing?.endDate;
+  if (startDate && endDate && endDate < startDate) {
+    return { error: 'endDate must be on or after startDate' };
+  }
+
+  return { fields };
+};
+
+// Collaborators act for their account but never with its admin powers, so only the admin
+// account holder submits as staff
+const getSubmitterType = (req) => {
+  if (!req.isCollaborator && req.user.role === 'admin') return 'staff';
+  return req.user.isTrustedPartner ? 'partner' : 'hotel';
+};
+
+/**
+ * Submit a tip about a disruption
+ * Staff (admins), trusted hotel partners and hotels reporting something local all submit here; the
+ * tip goes into the next ingestion run with its submitter's credibility tier and can corroborate an
+ * existing alert or start a new one. Hotel reports can name one of the account's properties
+ * (propertyId) instead of a city, and don't need a source link. Send as multipart/form-data to
+ * attach a file.
+ */
+const submitTip = async (req, res) => {
+  let attachment = null;
+
+  try {
+    const submitterType = getSubmitterType(req);
+
+    let property = null;
+    if (req.body.propertyId) {
+      property = await Property.findOwned(req.userId, req.body.propertyId);
+      if (!property || !property.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Property not found'
+        });
+      }
+    }
+
+    const body = { ...req.body };
+    if (body.city === undefined && property) {
+      body.city = property.city;
+    }
+    if (submitterType === 'hotel') {
+      if (body.city === undefined && req.user.company?.city) {
+        body.city = req.user.company.city;
+      }
+      // Credit the report to the hotel, so reports from different hotels corroborate each other
+      if (body.sourceName === undefined && (property?.name || req.user.company?.name)) {
+        body.sourceName = property?.name || req.user.company.name;
+      }
+    }
+
+    const { fields, error } = await getTipFields(body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    const optional = submitterType === 'hotel' ? ['sourceName', 'sourceUrl'] : ['sourceName'];
+    const missing = TIP_FIELDS.filter(field => !optional.includes(field) && fields[field] === undefined);
+    if (missing.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Missing required fields: ${missing.join(', ')}`
+      });
+    }
+
+    attachment = req.file ? tipAttachments.save(req.file) : null;
+
+    const tip = await AlertTip.create({
+      ...fields,
+      attachment,
+      submittedBy: req.userId,
+      submitterEmail: req.userEmail,
+      submitterType,
+      property: property?._id || null,
+      credibility: TIP_CREDIBILITY[submitterType]
+    });
+
+    await Logger.log({ action: 'alert_tip_submitted', req, details: {
+      tipId: tip._id,
+      city: tip.city,
+      title: tip.title,
+      submitterType
+    }});
+
+    return res.status(201).json({
+      success: true,
+      data: tip
+    });
+  } catch (error) {
+    // Don't leave a file behind without a tip pointing to it
+    if (attachment) {
+      try {
+        tipAttachments.remove(attachment.fileId);
+      } catch (removeError) {
+        console.error('Error removing tip attachment:', removeError);
+      }
+    }
+
+    console.error('Error submitting tip:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to submit tip',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the tips submitted from this account, with what became of each one
+ */
+const getMyTips = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = { submittedBy: req.userId };
+    if (status) {
+      if (!TIP_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${TIP_STATUSES.join(', ')}`
+        });
+      }
+      query.status = status;
+    }
+
+    const tips = await AlertTip.find(query)
+      .select('-triage.by')
+      .populate('outcome.alert', 'title status')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await AlertTip.countDocuments(query);
+
+    return res.status(200).json({
+      success: true,
+      data: tips,
+      pagination: {
+        total,
+        page: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error getting tips:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get tips',
+      error: error.message
+    });
+  }
+};
+
+const findTip = async (tipId) => {
+  if (!mongoose.Types.ObjectId.isValid(tipId)) return null;
+  return AlertTip.findById(tipId);
+};
+
+/**
+ * Get the tip queue (admin only)
+ * Filter with ?status=, ?city= and ?submitterType=. Within a status, the oldest tips come first.
+ */
+const getTips = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, city, submitterType } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = {};
+    if (status) {
+      if (!TIP_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${TIP_STATUSES.join(', ')}`
+        });
+      }
+      query.status = status;
+    }
+    if (city) {
+      if (typeof city !== 'string') {
+        return res.status(400).json({ success: false, message: 'city must be a single value' });
+      }
+      query.city = city;
+    }
+    if (submitterType) {
+      if (!SUBMITTER_TYPES.includes(submitterType)) {
+        return res.status(400).json({
+          success: false,
+          message: `submitterType must be one of: ${SUBMITTER_TYPES.join(', ')}`
+        });
+      }
+      query.submitterType = submitterType;
+    }
+
+    const tips = await AlertTip.find(query)
+      .populate('submittedBy', 'email company.name')
+      .populate('outcome.alert', 'title status')
+      .sort({ status: 1, createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await AlertTip.countDocuments(query);
+
+    return res.status(200).json({
+      success: true,
+      data: tips,
+      pagination: {
+        total,
+        page: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error getting tip queue:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get tips',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a tip with its submitter, triage and outcome (admin only)
+ */
+const getTip = async (req, res) => {
+  try {
+    const tip = await findTip(req.params.tipId);
+    if (!tip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tip not found'
+      });
+    }
+
+    await tip.populate([
+      { path: 'submittedBy', select: 'email company.name isTrustedPartner' },
+      { path: 'triage.by', select: 'email firstName lastName' },
+      { path: 'outcome.alert', select: 'title status city' },
+      { path: 'outcome.run', select: 'status trigger startedAt finishedAt' }
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: tip
+    });
+  } catch (error) {
+    console.error('Error getting tip:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get tip',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Edit a tip, or change its credibility tier, before it is processed (admin only)
+ */
+const updateTip = async (req, res) => {
+  try {
+    const tip = await findTip(req.params.tipId);
+    if (!tip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tip not found'
+      });
+    }
+    if (tip.status === 'processed') {
+      return res.status(409).json({
+        success: false,
+        message: 'This tip has already been processed'
+      });
+    }
+
+    const { fields, error } = await getTipFields(req.body, tip);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    if (req.body.credibility !== undefined) {
+      if (!CONFIDENCE_SOURCE_TYPES.includes(req.body.credibility)) {
+        return res.status(400).json({
+          success: false,
+          message: `credibility must be one of: ${CONFIDENCE_SOURCE_TYPES.join(', ')}`
+        });
+      }
+      fields.credibility = req.body.credibility;
+    }
+
+    tip.set(fields);
+    await tip.save();
+
+    await Logger.log({ action: 'alert_tip_updated', req, details: {
+      tipId: tip._id,
+      fields: Object.keys(fields)
+    }});
+
+    return res.status(200).json({
+      success: true,
+      data: tip
+    });
+  } catch (error) {
+    console.error('Error updating tip:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update tip',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Hold, release or reject a tip (admin only)
+ * Held tips stay out of ingestion runs until released; rejected tips never go in.
+ * Body: { action: 'hold' | 'release' | 'reject', note }
+ */
+const triageTip = async (req, res) => {
+  try {
+    const { action, note } = req.body;
+    const status = TRIAGE_ACTIONS[action];
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: `action must be one of: ${Object.keys(TRIAGE_ACTIONS).join(', ')}`
+      });
+    }
+
+    const tip = await findTip(req.params.tipId);
+    if (!tip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tip not found'
+      });
+    }
+    if (tip.status === 'processed') {
+      return res.status(409).json({
+        success: false,
+        message: 'This tip has already been processed'
+      });
+    }
+    if (tip.processingRun) {
+      return res.status(409).json({
+        success: false,
+        message: 'This tip is going through an ingestion run. Try again once the run has finished.'
+      });
+    }
+
+    // A run may claim the tip in between, so only move it if no run has taken it since
+    const triaged = await AlertTip.findOneAndUpdate(
+      { _id: tip._id, status: { $ne: 'processed' }, processingRun: null },
+      { $set: { status, triage: { by: req.userId, at: new Date(), note } } },
+      { new: true }
+    );
+    if (!triaged) {
+      return res.status(409).json({
+        success: false,
+        message: 'This tip was taken in by an ingestion run while you were triaging it'
+      });
+    }
+
+    await Logger.log({ action: `alert_tip_${status}`, req, details: {
+      tipId: triaged._id,
+      previousStatus: tip.status,
+      note
+    }});
+
+    return res.status(200).json({
+      success: true,
+      data: triaged
+    });
+  } catch (error) {
+    console.error('Error triaging tip:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to triage tip',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Download the file attached to a tip (admin only)
+ */
+const downloadTipAttachment = async (req, res) => {
+  try {
+    const tip = await findTip(req.params.tipId);
+    const filePath = tip?.attachment && tipAttachments.getPath(tip.attachment.fileId);
+    if (!filePath) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    res.download(filePath, tip.attachment.originalName || tip.attachment.fileId);
+  } catch (error) {
+    console.error('Error downloading tip attachment:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to download attachment',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  submitTip,
+  getMyTips,
+  getTips,
+  getTip,
+  updateTip,
+  triageTip,
+  downloadTipAttachment
+};
@@ -0,0 +1,202 @@
+const bcrypt = require("bcryptjs");
+const User = require("../models/User.js");
+const Logger = require("../utils/logger.js");
+const tokenManager = require("../utils/tokenManager.js");
+const twoFactor = require("../utils/twoFactor.js");
+
+/**
+ * Find the account 2FA is being managed for
+ * 2FA protects email/password logins of account holders, so collaborators and
+ * Google / Microsoft accounts are turned away.
+ * @returns {Promise<Object>} - { user } or { status, message }
+ */
+const getTwoFactorAccount = async (userId, isCollaborator) => {
+  if (isCollaborator) {
+    return { status: 403, message: "Two-factor authentication is managed by the account owner" };
+  }
+
+  const user = await User.findById(userId).select(twoFactor.TWO_FACTOR_SECRET_FIELDS);
+  if (!user) {
+    return { status: 404, message: "User not found" };
+  }
+  if (!user.password) {
+    return { status: 400, message: "Two-factor authentication is only available for email and password logins" };
+  }
+
+  return { user };
+};
+
+/**
+ * Get the account's 2FA status
+ */
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const { user, status, message } = await getTwoFactorAccount(req.userId, req.isCollaborator);
+    if (!user) {
+      return res.status(status).json({ message });
+    }
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0,
+      required: user.role === "admin" && await twoFactor.isAdminTwoFactorRequired(),
+    });
+  } catch (error) {
+    console.error("Get two-factor status error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Start setting up an authenticator app
+ * Returns a new secret and otpauth URL (for a QR code). Nothing changes until it is confirmed
+ * with /enable - or, for an admin made to set up 2FA at login, with /auth/2fa/verify.
+ * Signed-in users call this normally; that admin sends the login's challengeToken instead.
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    let userId = req.userId;
+    if (!userId) {
+      const challenge = tokenManager.verifyChallengeToken(req.body.challengeToken, "two_factor_setup");
+      if (!challenge) {
+        return res.status(401).json({ message: "Invalid or missing token" });
+      }
+      userId = challenge.userId;
+    }
+
+    const { user, status, message } = await getTwoFactorAccount(userId, req.isCollaborator);
+    if (!user) {
+      return res.status(status).json({ message });
+    }
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = twoFactor.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUrl: twoFactor.getOtpauthUrl(secret, user.email),
+    });
+  } catch (error) {
+    console.error("Two-factor setup error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Turn on 2FA with a code from the newly added authenticator app
+ * The recovery codes are returned once and only their hashes are stored.
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { user, status, message } = await getTwoFactorAccount(req.userId, req.isCollaborator);
+    if (!user) {
+      return res.status(status).json({ message });
+    }
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({ message: "Two-factor authentication is already enabled" });
+    }
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: "Start the setup first" });
+    }
+
+    const recoveryCodes = twoFactor.enableTotp(user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: "Invalid code" });
+    }
+    await user.save();
+
+    await Logger.log({ action: "two_factor_enabled", req, details: { userId: user._id } });
+
+    res.json({ message: "Two-factor authentication enabled", recoveryCodes });
+  } catch (error) {
+    console.error("Enable two-factor error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Turn off 2FA
+ * Needs the password and a current code (authenticator or recovery). Admins can't turn it
+ * off while it is mandatory for their role.
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, method = "totp" } = req.body;
+    if (!password || !code) {
+      return res.status(400).json({ message: "Password and code are required" });
+    }
+
+    const { user, status, message } = await getTwoFactorAccount(req.userId, req.isCollaborator);
+    if (!user) {
+      return res.status(status).json({ message });
+    }
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+    if (user.role === "admin" && await twoFactor.isAdminTwoFactorRequired()) {
+      return res.status(403).json({ message: "Two-factor authentication is required for admin accounts" });
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch || !["totp", "recovery"].includes(method) || !(await twoFactor.verifySecondFactor(user, method, code))) {
+      return res.status(400).json({ message: "Incorrect password or code" });
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.enabledAt = undefined;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.recoveryCodes = undefined;
+    user.twoFactor.lastUsedStep = undefined;
+    await user.save();
+
+    await Logger.log({ action: "two_factor_disabled", req, details: { userId: user._id } });
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("Disable two-factor error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Replace the recovery codes (the old ones stop working)
+ * Needs a current authenticator code.
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { user, status, message } = await getTwoFactorAccount(req.userId, req.isCollaborator);
+    if (!user) {
+      return res.status(status).json({ message });
+    }
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+    if (!(await twoFactor.verifySecondFactor(user, "totp", req.body.code))) {
+      return res.status(400).json({ message: "Invalid code" });
+    }
+
+    const { codes, hashes } = twoFactor.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    await Logger.log({ action: "two_factor_recovery_codes_regenerated", req, details: { userId: user._id } });
+
+    res.json({ recoveryCodes: codes });
+  } catch (error) {
+    console.error("Regenerate recovery codes error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
@@ -6,6 +6,9 @@ const cors = require("cors");
 const cookieParser = require("cookie-parser");
 const passport = require("passport");
 const connectDB = require("./config/db.js");
+const recoveryRateCalibrator = require("./config/recoveryRateCalibrator.js");
+const alertScheduler = require("./config/scheduler.js");
+const socketService = require("./config/socket.js");
 const authRoutes = require("./routes/auth.js");
 const profileRoutes = require("./routes/profile.js");
 const alertRoutes = require("./routes/alerts.js");
@@ -13,6 +16,10 @@ const bookingRoutes = require("./routes/bookings.js");
 const adminRoutes = require("./routes/admin.js");
 const subscribersRoutes = require("./routes/subscribers.js");
 const logsRoutes = require("./routes/logs.js");
+const webhookRoutes = require("./routes/webhooks.js");
+const notificationRoutes = require("./routes/notifications.js");
+const propertyRoutes = require("./routes/properties.js");
+const tipRoutes = require("./routes/tips.js");
 const { optionalAuth } = require("./middleware/auth.js");
 const { createServer } = require("http");
 const { Server } = require("socket.io"); 
@@ -20,6 +27,11 @@ const { Server } = require("socket.io");
 const app = express();
 const httpServer = createServer(app);
 
+// Behind a load balancer / proxy, take the client IP from X-Forwarded-For (rate limiting and logs use req.ip)
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 const corsOptions = {
   origin: function (origin, callback) {
     if (!origin) return callback(null, true);
@@ -79,14 +91,8 @@ const io = new Server(httpServer, {
     credentials: true,
   }
 });
-// Socket.io connection handler
-io.on("connection", (socket) => {
-  console.log("New client connected");
-  
-  socket.on("disconnect", () => {
-    console.log("Client disconnected");
-  });
-});
+// Socket.io authentication, rooms and alert push
+socketService.initialize(io);
 
 module.exports = { io };
 
@@ -107,8 +113,16 @@ app.use("/api/alerts", alertRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/subscribers", subscribersRoutes);
 app.use("/api/logs", logsRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/properties", propertyRoutes);
+app.use("/api/tips", tipRoutes);
 
-connectDB();
+connectDB().then(() => {
+  recoveryRateCalibrator.initialize();
+  // Cron entries only queue jobs, so every instance can run the scheduler and job worker
+  alertScheduler.initialize();
+});
 const HOST = "0.0.0.0";
 const PORT = process.env.PORT || 5000;
 httpServer.listen(PORT, HOST, () => console.log(`Server running on port ${PORT}`));
\ No newline at end of file
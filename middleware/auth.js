@@ -1,5 +1,6 @@
 const tokenManager = require("../utils/tokenManager.js");
 const Logger = require("../utils/logger.js");
+const { getPrincipal, hasPermission, getPermissions } = require("../config/permissions.js");
 
 /**
  * Extract and verify JWT token using the global token manager
@@ -14,18 +15,15 @@ const getTokenData = async (req) => {
 };
 
 /**
- * Basic authentication - requires valid token verified against database
+ * Attach verified token data to the request
  */
-const isAuthenticated = async (req, res, next) => {
-  const decoded = await getTokenData(req);
-
-  if (!decoded) {
-    return res.status(401).json({ message: "Invalid or missing token" });
-  }
-
+const setAuthContext = (req, decoded) => {
   req.userId = decoded.userId;
   req.user = decoded.userData;
-  
+  req.userRole = decoded.userData.role;
+  req.permissions = getPermissions(getPrincipal(decoded));
+  req.sessionId = decoded.sessionId || null;
+
   // Add collaborator info to request if present in token
   if (decoded.isCollaborator) {
     req.isCollaborator = true;
@@ -37,309 +35,59 @@ const isAuthenticated = async (req, res, next) => {
     req.isCollaborator = false;
     req.userEmail = decoded.email;
   }
-  
-  next();
 };
 
 /**
- * Optional authentication - adds req.userId if token is valid and verified against database
- */
-const optionalAuth = async (req, res, next) => {
-  const decoded = await getTokenData(req);
-  if (decoded) {
-    req.userId = decoded.userId;
-    req.user = decoded.userData;
-    
-    // Add collaborator info to request if present in token
-    if (decoded.isCollaborator) {
-      req.isCollaborator = true;
-      req.collaboratorEmail = decoded.collaboratorEmail;
-      req.collaboratorRole = decoded.collaboratorRole;
-      req.collaborator = decoded.collaboratorData;
-      req.userEmail = decoded.collaboratorEmail;
-    } else {
-      req.isCollaborator = false;
-      req.userEmail = decoded.email;
-    }
-  }
-  next();
-}; 
-
-/**
- * Authorize roles - checks if user has any of the specified roles (main or collaborator)
- * Usage: authorizeRoles(['admin', 'user', 'manager', 'viewer'])
- */
-const authorizeRoles = (allowedRoles = []) => {
-  if (typeof allowedRoles === "string") {
-    allowedRoles = [allowedRoles];
-  }
-
-  return async (req, res, next) => {
-    const decoded = await getTokenData(req);
-
-    if (!decoded) {
-      return res.status(401).json({ message: "Invalid or missing token" });
-    }
-
-    req.userId = decoded.userId;
-    req.user = decoded.userData;
-
-    let userRole;
-
-    // Get the appropriate role (collaborator role or main role)
-    if (decoded.isCollaborator) {
-      req.isCollaborator = true;
-      req.collaboratorEmail = decoded.collaboratorEmail;
-      req.collaboratorRole = decoded.collaboratorRole;
-      req.collaborator = decoded.collaboratorData;
-      req.userEmail = decoded.collaboratorEmail;
-      userRole = decoded.collaboratorRole;
-    } else {
-      req.isCollaborator = false;
-      req.userRole = decoded.userData.role;
-      req.userEmail = decoded.email;
-      userRole = decoded.userData.role;
-    }
-
-    // Check if user role is in allowed roles
-    if (!allowedRoles.includes(userRole)) {
-      return res.status(403).json({ 
-        message: "Access denied. Insufficient privileges.",
-        requiredRoles: allowedRoles,
-        userRole: userRole
-      });
-    }
-
-    next();
-  };
-};
-
-/**
- * Check if user is a collaborator
- */
-const isCollaborator = async (req, res, next) => {
-  const decoded = await getTokenData(req);
-
-  if (!decoded) {
-    return res.status(401).json({ message: "Invalid or missing token" });
-  }
-
-  if (!decoded.isCollaborator) {
-    return res.status(403).json({ message: "Access denied. This endpoint is for collaborators only." });
-  }
-
-  req.userId = decoded.userId;
-  req.user = decoded.userData;
-  req.isCollaborator = true;
-  req.collaboratorEmail = decoded.collaboratorEmail;
-  req.collaboratorRole = decoded.collaboratorRole;
-  req.collaborator = decoded.collaboratorData;
-  req.userEmail = decoded.collaboratorEmail;
-
-  next();
-};
-
-/**
- * Check if user is a collaborator of a user account (parent role is 'user')
+ * Basic authentication - requires valid token verified against database
  */
-const isCollaboratorUser = async (req, res, next) => {
+const isAuthenticated = async (req, res, next) => {
   const decoded = await getTokenData(req);
 
   if (!decoded) {
     return res.status(401).json({ message: "Invalid or missing token" });
   }
 
-  if (!decoded.isCollaborator) {
-    return res.status(403).json({ message: "Access denied. This endpoint is for collaborators only." });
-  }
-
-  if (decoded.userData.role !== 'user') {
-    return res.status(403).json({ message: "Access denied. This endpoint is for user account collaborators only." });
-  }
-
-  req.userId = decoded.userId;
-  req.user = decoded.userData;
-  req.isCollaborator = true;
-  req.collaboratorEmail = decoded.collaboratorEmail;
-  req.collaboratorRole = decoded.collaboratorRole;
-  req.collaborator = decoded.collaboratorData;
-  req.userEmail = decoded.collaboratorEmail;
-
+  setAuthContext(req, decoded);
   next();
 };
 
 /**
- * Check if user is a collaborator of an admin account (parent role is 'admin')
+ * Optional authentication - adds req.userId if token is valid and verified against database
  */
-const isCollaboratorAdmin = async (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
   const decoded = await getTokenData(req);
-
-  if (!decoded) {
-    return res.status(401).json({ message: "Invalid or missing token" });
-  }
-
-  if (!decoded.isCollaborator) {
-    return res.status(403).json({ message: "Access denied. This endpoint is for collaborators only." });
-  }
-
-  if (decoded.userData.role !== 'admin') {
-    return res.status(403).json({ message: "Access denied. This endpoint is for admin account collaborators only." });
+  if (decoded) {
+    setAuthContext(req, decoded);
   }
-
-  req.userId = decoded.userId;
-  req.user = decoded.userData;
-  req.isCollaborator = true;
-  req.collaboratorEmail = decoded.collaboratorEmail;
-  req.collaboratorRole = decoded.collaboratorRole;
-  req.collaborator = decoded.collaboratorData;
-  req.userEmail = decoded.collaboratorEmail;
-
   next();
 };
 
 /**
- * Check if user is a manager collaborator (manager role, can be from admin or user account)
+ * Require one or more capabilities from config/permissions.js
+ * Usage: requirePermission('bookings:upload') or requirePermission('alerts:manage', 'alerts:approve')
  */
-const isCollaboratorManager = async (req, res, next) => {
+const requirePermission = (...capabilities) => {
+  return async (req, res, next) => {
     const decoded = await getTokenData(req);
 
     if (!decoded) {
       return res.status(401).json({ message: "Invalid or missing token" });
     }
 
-  if (!decoded.isCollaborator) {
-    return res.status(403).json({ message: "Access denied. This endpoint is for collaborators only." });
-  }
-
-  if (decoded.collaboratorRole !== 'manager') {
-    return res.status(403).json({ message: "Access denied. This endpoint requires manager collaborator role." });
-  }
-
-    req.userId = decoded.userId;
-  req.user = decoded.userData;
-  req.isCollaborator = true;
-  req.collaboratorEmail = decoded.collaboratorEmail;
-  req.collaboratorRole = decoded.collaboratorRole;
-  req.collaborator = decoded.collaboratorData;
-  req.userEmail = decoded.collaboratorEmail;
-
-  next();
-};
-
-/**
- * Check if user is a viewer collaborator (viewer role, can be from admin or user account)
- */
-const isCollaboratorViewer = async (req, res, next) => {
-  const decoded = await getTokenData(req);
-
-  if (!decoded) {
-    return res.status(401).json({ message: "Invalid or missing token" });
-  }
-
-  if (!decoded.isCollaborator) {
-    return res.status(403).json({ message: "Access denied. This endpoint is for collaborators only." });
-  }
-
-  if (decoded.collaboratorRole !== 'viewer') {
-    return res.status(403).json({ message: "Access denied. This endpoint requires viewer collaborator role." });
-  }
-
-  req.userId = decoded.userId;
-  req.user = decoded.userData;
-      req.isCollaborator = true;
-      req.collaboratorEmail = decoded.collaboratorEmail;
-      req.collaboratorRole = decoded.collaboratorRole;
-  req.collaborator = decoded.collaboratorData;
-  req.userEmail = decoded.collaboratorEmail;
-
-  next();
-};
-
-/**
- * Check if user is admin (main role only, not collaborators)
- */
-const isAdmin = async (req, res, next) => {
-  const decoded = await getTokenData(req);
+    setAuthContext(req, decoded);
 
-  if (!decoded) {
-    return res.status(401).json({ message: "Invalid or missing token" });
-  }
+    const principal = getPrincipal(decoded);
+    const missing = capabilities.filter(capability => !hasPermission(principal, capability));
 
-  if (decoded.isCollaborator) {
-    return res.status(403).json({ message: "Access denied. This endpoint is for admin main account holders only." });
-  }
-
-  if (decoded.userData.role !== 'admin') {
-    return res.status(403).json({ message: "Access denied. Admin privileges required." });
-  }
-
-  req.userId = decoded.userId;
-  req.user = decoded.userData;
-  req.isCollaborator = false;
-    req.userRole = decoded.userData.role;
-  req.userEmail = decoded.email;
-
-  next();
-};
-
-/**
- * Check if user is regular user (main role only, not collaborators)
- */
-const isUser = async (req, res, next) => {
-  const decoded = await getTokenData(req);
-
-  if (!decoded) {
-    return res.status(401).json({ message: "Invalid or missing token" });
-  }
-
-  if (decoded.isCollaborator) {
-    return res.status(403).json({ message: "Access denied. This endpoint is for main account holders only." });
-  }
-
-  if (decoded.userData.role !== 'user') {
-    return res.status(403).json({ message: "Access denied. User account required." });
-  }
-
-  req.userId = decoded.userId;
-  req.user = decoded.userData;
-  req.isCollaborator = false;
-  req.userRole = decoded.userData.role;
-  req.userEmail = decoded.email;
-
-  next();
-};
-
-/**
- * Check if user has premium subscription (main users or collaborators inherit from parent)
- */
-const isPremium = async (req, res, next) => {
-  const decoded = await getTokenData(req);
-
-  if (!decoded) {
-    return res.status(401).json({ message: "Invalid or missing token" });
-  }
-
-  req.userId = decoded.userId;
-  req.user = decoded.userData;
-  
-  // Collaborators inherit premium status from parent account
-  if (decoded.isCollaborator) {
-    req.isCollaborator = true;
-    req.collaboratorEmail = decoded.collaboratorEmail;
-    req.collaboratorRole = decoded.collaboratorRole;
-    req.collaborator = decoded.collaboratorData;
-    req.userEmail = decoded.collaboratorEmail;
-  } else {
-    req.isCollaborator = false;
-    req.userEmail = decoded.email;
-  }
-
-  // Check premium status (same for both main users and collaborators)
-    if (!decoded.userData.isPremium) {
-    return res.status(403).json({ message: "Access denied. This feature requires a premium subscription." });
-  }
+    if (missing.length > 0) {
+      return res.status(403).json({
+        message: "Access denied. Insufficient privileges.",
+        requiredPermissions: missing
+      });
+    }
 
-  next();
+    next();
+  };
 };
 
 /**
@@ -353,17 +101,10 @@ const getRole = async (req, res, next) => {
     return res.status(401).json({ message: "Invalid or missing token" });
   }
 
-  req.userId = decoded.userId;
-  req.user = decoded.userData;
+  setAuthContext(req, decoded);
 
   // Build comprehensive role information
   if (decoded.isCollaborator) {
-    req.isCollaborator = true;
-    req.collaboratorEmail = decoded.collaboratorEmail;
-    req.collaboratorRole = decoded.collaboratorRole;
-    req.collaborator = decoded.collaboratorData;
-    req.userEmail = decoded.collaboratorEmail;
-
     req.roleInfo = {
       isCollaborator: true,
       loginType: 'collaborator',
@@ -373,12 +114,9 @@ const getRole = async (req, res, next) => {
       parentAccountId: decoded.userId,
       parentAccountEmail: decoded.userData.email,
       collaboratorEmail: decoded.collaboratorEmail,
+      permissions: req.permissions,
     };
   } else {
-    req.isCollaborator = false;
-    req.userRole = decoded.userData.role;
-    req.userEmail = decoded.email;
-
     req.roleInfo = {
       isCollaborator: false,
       loginType: 'main',
@@ -386,6 +124,7 @@ const getRole = async (req, res, next) => {
       effectiveRole: decoded.userData.role, // The role used for authorization
       accountId: decoded.userId,
       accountEmail: decoded.email,
+      permissions: req.permissions,
     };
   }
 
@@ -400,9 +139,13 @@ const logout = async (req, res, next) => {
     const token = tokenManager.extractTokenFromRequest(req);
     const decoded = await getTokenData(req);
 
+    // Sign out the device's session so its refresh token stops working too
+    // (also when the short-lived access token has already expired)
+    await tokenManager.endSession({ sessionId: decoded?.sessionId, refreshToken: req.cookies?.refreshToken });
+
     if (token) {
-      // Blacklist the current token
-      tokenManager.blacklistToken(token);
+      // Revoke the current token (stored in MongoDB so every instance rejects it)
+      await tokenManager.blacklistToken(token);
 
       // Log logout action
       if (decoded) {
@@ -428,15 +171,7 @@ const logout = async (req, res, next) => {
 module.exports = {
   isAuthenticated,
   optionalAuth,
-  authorizeRoles,
-  isCollaborator,
-  isCollaboratorUser,
-  isCollaboratorAdmin,
-  isCollaboratorManager,
-  isCollaboratorViewer,
-  isAdmin,
-  isUser,
-  isPremium,
+  requirePermission,
   getRole,
   logout
 };
@@ -0,0 +1,66 @@
+const rateLimiter = require("../utils/rateLimiter.js");
+const { RATE_LIMITS } = require("../config/constants.js");
+
+const formatWait = (seconds) => seconds < 120
+  ? `${seconds} seconds`
+  : `${Math.ceil(seconds / 60)} minutes`;
+
+const sendTooManyRequests = (res, retryAfterSeconds, reason) => {
+  res.set("Retry-After", String(retryAfterSeconds));
+  return res.status(429).json({
+    message: reason === "delay"
+      ? `Please wait ${formatWait(retryAfterSeconds)} before trying again.`
+      : `Too many attempts. Please try again in ${formatWait(retryAfterSeconds)}.`,
+    retryAfter: retryAfterSeconds,
+  });
+};
+
+/**
+ * Limit attempts per IP and per account (see RATE_LIMITS in config/constants.js)
+ * Usage: rateLimit('login', { account: (req) => req.body.email })
+ * For policies with resetOnSuccess, a successful response clears the account's attempts.
+ * If the counters can't be reached the request is let through rather than failed.
+ */
+const rateLimit = (policy, options = {}) => {
+  if (!RATE_LIMITS[policy]) {
+    throw new Error(`Unknown rate limit policy: ${policy}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const identifiers = {
+        ip: req.ip,
+        account: options.account ? options.account(req) : null,
+      };
+
+      const block = await rateLimiter.getBlock(policy, identifiers);
+      if (block) {
+        return sendTooManyRequests(res, block.retryAfterSeconds, block.reason);
+      }
+
+      for (const scope of ["ip", "account"]) {
+        const result = await rateLimiter.hit(policy, scope, identifiers[scope], req);
+        if (result.blocked) {
+          return sendTooManyRequests(res, result.retryAfterSeconds, result.reason);
+        }
+      }
+
+      if (RATE_LIMITS[policy].resetOnSuccess && identifiers.account) {
+        res.on("finish", () => {
+          if (res.statusCode < 400) {
+            rateLimiter.reset(policy, "account", identifiers.account)
+              .catch(error => console.error("Rate limit reset error:", error));
+          }
+        });
+      }
+    } catch (error) {
+      console.error("Rate limit error:", error);
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  rateLimit,
+};
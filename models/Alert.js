@@ -1,5 +1,35 @@
 const mongoose = require("mongoose");
 const grokService = require("../config/grok.js");
+const { CONFIDENCE_SOURCE_TYPES } = require("../config/constants.js");
+
+// A piece of evidence (article, post, manual report) supporting an alert
+const alertSourceSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String
+    },
+    publisher: {
+      type: String
+    },
+    title: {
+      type: String
+    },
+    credibility: {
+      type: String,
+      enum: CONFIDENCE_SOURCE_TYPES,
+      default: 'other_news'
+    },
+    // Feed the source came from: an ingestion source key (e.g. 'grok', 'newsdata'), 'manual' or 'admin'
+    feed: {
+      type: String
+    },
+    fetchedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
 
 const alertSchema = new mongoose.Schema(
   {
@@ -52,6 +82,40 @@ const alertSchema = new mongoose.Schema(
       max: 1,
       default: 0
     },
+    // Optional centre of the disruption as a GeoJSON point ([longitude, latitude])
+    location: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
+    },
+    // Distance from the centre within which hotels are affected
+    impactRadiusKm: {
+      type: Number,
+      min: 0
+    },
+    // Optional affected area (e.g. a closed road corridor), takes precedence over the radius
+    impactArea: {
+      type: {
+        type: String,
+        enum: ['Polygon']
+      },
+      coordinates: {
+        type: [[[Number]]],
+        default: undefined
+      }
+    },
+    // Every source that contributed to the confidence score
+    sources: [alertSourceSchema],
+    // Number of sources per credibility tier, e.g. { major_news: 2, social: 1 }
+    sourceBreakdown: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
     viewCount: {
       type: Number,
       default: 0
@@ -118,6 +182,9 @@ alertSchema.index({ confidence: 1, status: 1 });
 // Index for main/sub type filtering
 alertSchema.index({ mainType: 1, subType: 1, status: 1 });
 
+// Index for geo-radius matching against hotel locations
+alertSchema.index({ location: '2dsphere' });
+
 // Index for date range queries
 alertSchema.index({ startDate: 1, endDate: 1 });
 
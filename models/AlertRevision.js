@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Alert fields captured in each revision and restorable from history
+const TRACKED_FIELDS = [
+  'title',
+  'headerPrefix',
+  'summary',
+  'city',
+  'status',
+  'source',
+  'url',
+  'startDate',
+  'endDate',
+  'mainType',
+  'subType',
+  'confidence',
+  'location',
+  'impactRadiusKm',
+  'impactArea'
+];
+
+// One record per change to an alert, with the values before and after
+const alertRevisionSchema = new mongoose.Schema({
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['baseline', 'created', 'updated', 'restored'],
+    default: 'updated'
+  },
+  // What made the change
+  source: {
+    type: String,
+    // 'scheduler', 'manual', 'admin', or the key of the ingestion source that fetched it
+    // ('grok', 'newsdata', ...). 'system' marks the baseline stored for alerts that existed
+    // before history was kept.
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedByEmail: String,
+  // Field-level diff, e.g. [{ field: 'confidence', from: 0.6, to: 0.8 }]
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  // Tracked fields after this revision, used to restore it
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  confidence: Number,
+  restoredFrom: {
+    type: Number
+  }
+}, { timestamps: true });
+
+alertRevisionSchema.index({ alert: 1, revision: -1 }, { unique: true });
+
+alertRevisionSchema.statics.TRACKED_FIELDS = TRACKED_FIELDS;
+
+const AlertRevision = mongoose.model('AlertRevision', alertRevisionSchema);
+module.exports = AlertRevision;
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const { ALERT_MAIN_TYPES, CONFIDENCE_SOURCE_TYPES, TIP_STATUSES } = require('../config/constants.js');
+
+// File sent with a tip, stored by utils/tipAttachments.js
+const tipAttachmentSchema = new mongoose.Schema({
+  fileId: {
+    type: String,
+    required: true
+  },
+  originalName: String,
+  mimeType: String,
+  size: Number
+}, { _id: false });
+
+// A disruption reported by staff, a trusted hotel partner or a hotel user. Pending tips are picked up by the
+// 'manual' ingestion source (config/sources/ManualSource.js) in the next run.
+const alertTipSchema = new mongoose.Schema({
+  // Account the tip was submitted from, and the person who submitted it (may be a collaborator)
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  submitterEmail: String,
+  submitterType: {
+    type: String,
+    enum: ['staff', 'partner', 'hotel'],
+    required: true
+  },
+  // Property the disruption was reported near, for hotel reports
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    default: null
+  },
+  city: {
+    type: String,
+    required: true
+  },
+  mainType: {
+    type: String,
+    enum: ALERT_MAIN_TYPES,
+    required: true
+  },
+  subType: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  summary: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  // Where the information comes from. Hotels can report what they've seen locally without a link.
+  sourceUrl: {
+    type: String,
+    required: function() {
+      return this.submitterType !== 'hotel';
+    },
+    trim: true
+  },
+  sourceName: {
+    type: String,
+    trim: true
+  },
+  attachment: {
+    type: tipAttachmentSchema,
+    default: null
+  },
+  credibility: {
+    type: String,
+    enum: CONFIDENCE_SOURCE_TYPES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: TIP_STATUSES,
+    default: 'pending'
+  },
+  // Ingestion run that took the tip in and hasn't recorded its outcome yet. Admins can't triage
+  // the tip until it does (or the run fails).
+  processingRun: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IngestionRun',
+    default: null
+  },
+  // Last admin decision
+  triage: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date,
+    note: String
+  },
+  // What the run did with the tip
+  outcome: {
+    // 'created', 'updated' or 'unchanged' (an alert already had this evidence), 'duplicate' (another
+    // tip with the same title went in instead) or 'failed'
+    result: {
+      type: String,
+      enum: ['created', 'updated', 'unchanged', 'duplicate', 'failed']
+    },
+    alert: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Alert'
+    },
+    run: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'IngestionRun'
+    },
+    processedAt: Date,
+    // When the submitter was told the alert was approved
+    notifiedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+alertTipSchema.index({ status: 1, city: 1 });
+alertTipSchema.index({ submittedBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AlertTip', alertTipSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { BOOKING_STATUSES, BOOKING_STATUS_TRANSITIONS } = require('../config/constants.js');
 
 const bookingSchema = new mongoose.Schema({
   // Reference to the hotel/user who owns this booking
@@ -8,6 +9,12 @@ const bookingSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Property the booking is for, when the account runs several hotels
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    default: null
+  },
 
   // Booking identification
   bookingId: {
@@ -59,6 +66,36 @@ const bookingSchema = new mongoose.Schema({
     trim: true
   },
 
+  // Lifecycle status
+  status: {
+    type: String,
+    enum: BOOKING_STATUSES,
+    default: 'confirmed',
+    index: true
+  },
+  statusChangedAt: {
+    type: Date
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: BOOKING_STATUSES,
+      required: true
+    },
+    previousStatus: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Alert that caused the transition (optional)
+    alert: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Alert'
+    },
+    changedBy: String,
+    note: String
+  }],
+
   // Upload tracking
   importBatch: {
     type: String,
@@ -73,6 +110,39 @@ const bookingSchema = new mongoose.Schema({
 // Compound indexes for efficient queries
 bookingSchema.index({ hotelId: 1, checkInDate: 1 });
 
+bookingSchema.index({ hotelId: 1, propertyId: 1, checkInDate: 1 });
+
+bookingSchema.index({ hotelId: 1, 'statusHistory.alert': 1 });
+
+// Check whether a booking can move to a new lifecycle status
+bookingSchema.statics.canTransition = function(fromStatus, toStatus) {
+  const allowed = BOOKING_STATUS_TRANSITIONS[fromStatus || 'confirmed'] || [];
+  return allowed.includes(toStatus);
+};
+
+// Move the booking to a new lifecycle status and record the transition
+bookingSchema.methods.transitionTo = function(status, { alert, changedBy, note } = {}) {
+  const previousStatus = this.status || 'confirmed';
+
+  if (!this.constructor.canTransition(previousStatus, status)) {
+    throw new Error(`Cannot change booking status from ${previousStatus} to ${status}`);
+  }
+
+  const changedAt = new Date();
+  this.status = status;
+  this.statusChangedAt = changedAt;
+  this.statusHistory.push({
+    status,
+    previousStatus,
+    changedAt,
+    alert,
+    changedBy,
+    note
+  });
+
+  return this;
+};
+
 // Virtual for checkout date
 bookingSchema.virtual('checkOutDate').get(function() {
   const checkOut = new Date(this.checkInDate);
@@ -95,6 +165,11 @@ const uploadSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    default: null
+  },
   fileName: {
     type: String,
     required: true,
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Transport hub linked to a city (airport, station...) - news mentioning it is matched to the city
+const transportHubSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['airport', 'station', 'port', 'coach'],
+    default: 'airport'
+  },
+  code: String, // e.g. IATA code
+  // Phrases that identify the hub in article text (lower case)
+  keywords: [String]
+}, { _id: false });
+
+// Cities supported by the alert system
+const citySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  country: {
+    type: String,
+    default: 'United Kingdom'
+  },
+  timezone: {
+    type: String,
+    default: 'Europe/London'
+  },
+  // City centre as a GeoJSON point ([longitude, latitude])
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    // No default, so cities without coordinates are left out of the geo index
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  // Other names the city goes by in news text (lower case)
+  aliases: [String],
+  transportHubs: [transportHubSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+citySchema.index({ location: '2dsphere' }, { sparse: true });
+
+const City = mongoose.model('City', citySchema);
+module.exports = City;
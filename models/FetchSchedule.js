@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { INGESTION_RUN_TYPES } = require('../config/constants.js');
+const cronSchedule = require('../utils/cronSchedule.js');
+
+// When the scheduler queues an ingestion run, and for which sources and cities (see config/scheduler.js)
+const fetchScheduleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9_-]+$/
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // node-cron expression, e.g. '0 8 * * 1' for Mondays at 08:00
+  cron: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: cronSchedule.isValidExpression,
+      message: props => `Invalid cron expression: ${props.value}`
+    }
+  },
+  // IANA timezone the expression is read in
+  timezone: {
+    type: String,
+    default: 'Europe/London',
+    validate: {
+      validator: cronSchedule.isValidTimezone,
+      message: props => `Unknown timezone: ${props.value}`
+    }
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Without explicit sources, the run fetches the sources whose schedule includes this run type
+  runType: {
+    type: String,
+    enum: INGESTION_RUN_TYPES,
+    default: 'full'
+  },
+  // Source keys to fetch; empty for the run type's sources
+  sources: [String],
+  // City names to fetch; empty for every city (each source's own city settings still apply)
+  cities: [String],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('FetchSchedule', fetchScheduleSchema);
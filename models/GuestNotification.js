@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Ledger of guest notifications - one record per booking, alert and channel,
+// so a guest is only ever contacted once about the same disruption on a channel
+const guestNotificationSchema = new mongoose.Schema({
+  hotelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert',
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email'],
+    default: 'email'
+  },
+  guestEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  guestFirstName: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'failed', 'bounced', 'opened'],
+    default: 'queued',
+    index: true
+  },
+  // Message ID returned by the email provider, used to match delivery webhooks
+  providerMessageId: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  queuedAt: { type: Date, default: Date.now },
+  sentAt: Date,
+  failedAt: Date,
+  bouncedAt: Date,
+  openedAt: Date,
+  error: String,
+  // Who triggered the send (main account email or collaborator email)
+  sentBy: String
+}, { timestamps: true });
+
+guestNotificationSchema.index({ booking: 1, alert: 1, channel: 1 }, { unique: true });
+guestNotificationSchema.index({ hotelId: 1, alert: 1 });
+guestNotificationSchema.index({ hotelId: 1, createdAt: -1 });
+
+// Statuses that mean the guest has been (or is being) contacted and must not be contacted again
+guestNotificationSchema.statics.CONTACTED_STATUSES = ['queued', 'sent', 'bounced', 'opened'];
+
+const GuestNotification = mongoose.model('GuestNotification', guestNotificationSchema);
+module.exports = GuestNotification;
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const { INGESTION_RUN_TYPES, INGESTION_TRIGGERS } = require('../config/constants.js');
+
+// A fetch that failed for a city
+const sourceErrorSchema = new mongoose.Schema({
+  city: String,
+  message: {
+    type: String,
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// What one source contributed to a run
+const sourceStatsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  name: String,
+  // 'ok', 'partial' (some cities failed), 'failed' (every city failed) or 'skipped' (not configured)
+  status: {
+    type: String,
+    enum: ['ok', 'partial', 'failed', 'skipped'],
+    default: 'ok'
+  },
+  // Cities fetched
+  cities: {
+    type: Number,
+    default: 0
+  },
+  // Raw items returned by the source
+  fetched: {
+    type: Number,
+    default: 0
+  },
+  // Items that became disruptions
+  transformed: {
+    type: Number,
+    default: 0
+  },
+  // Items left out: incomplete, not a disruption, another city or a duplicate title
+  dropped: {
+    type: Number,
+    default: 0
+  },
+  // Clusters the source's disruptions ended up in, and what happened to them
+  clustered: {
+    type: Number,
+    default: 0
+  },
+  created: {
+    type: Number,
+    default: 0
+  },
+  updated: {
+    type: Number,
+    default: 0
+  },
+  // Time spent waiting on the source's API, summed over cities
+  latencyMs: {
+    type: Number,
+    default: 0
+  },
+  // Cities that failed ("errors" is reserved by Mongoose)
+  failures: [sourceErrorSchema]
+}, { _id: false });
+
+// One scheduler fetch (see config/scheduler.js runIngestionJob)
+const ingestionRunSchema = new mongoose.Schema({
+  runType: {
+    type: String,
+    enum: INGESTION_RUN_TYPES,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: INGESTION_TRIGGERS,
+    required: true
+  },
+  // FetchSchedule key (cron trigger only)
+  schedule: {
+    type: String,
+    default: null
+  },
+  // Admin who started the run (admin trigger only)
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // ingestion_run job doing the work
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  sources: [sourceStatsSchema],
+  // Cities whose job failed outright (out of attempts); what they fetched is still counted
+  failedCities: [sourceErrorSchema],
+  // Whole-run counts; manual disruptions are included here but not under sources
+  totals: {
+    disruptions: { type: Number, default: 0 },
+    clusters: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    archived: { type: Number, default: 0 }
+  },
+  // Error that stopped the run
+  error: String
+}, {
+  timestamps: true
+});
+
+ingestionRunSchema.index({ startedAt: -1 });
+ingestionRunSchema.index({ 'sources.key': 1, startedAt: -1 });
+
+module.exports = mongoose.model('IngestionRun', ingestionRunSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { CONFIDENCE_SOURCE_TYPES, INGESTION_RUN_TYPES } = require('../config/constants.js');
+
+// Per-city override of whether a source is fetched
+const sourceCitySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    required: true
+  }
+}, { _id: false });
+
+// A disruption feed the scheduler fetches from (see config/sources)
+const ingestionSourceSchema = new mongoose.Schema({
+  // Stable identifier, also stored as the feed on alert sources
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9_-]+$/
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Adapter type (key of ADAPTER_TYPES in config/sources/index.js)
+  type: {
+    type: String,
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Credibility tier for everything from this source; null works it out per publisher
+  credibility: {
+    type: String,
+    enum: [...CONFIDENCE_SOURCE_TYPES, null],
+    default: null
+  },
+  // Scheduled runs the source takes part in
+  schedule: {
+    type: [{ type: String, enum: INGESTION_RUN_TYPES }],
+    default: ['full']
+  },
+  // Whether cities without an override are fetched
+  defaultCityEnabled: {
+    type: Boolean,
+    default: true
+  },
+  cities: [sourceCitySchema],
+  // Adapter settings, e.g. { url, publisher } for feeds
+  config: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Grok, NewsData and manual tips come with the app and can be disabled but not deleted
+  isBuiltIn: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+/**
+ * Whether the source should be fetched for a city
+ * @param {string} cityName
+ * @returns {boolean}
+ */
+ingestionSourceSchema.methods.isEnabledForCity = function(cityName) {
+  if (!this.enabled) return false;
+
+  const lowerName = (cityName || '').toLowerCase();
+  const override = (this.cities || []).find(city => city.name.toLowerCase() === lowerName);
+  return override ? override.enabled : this.defaultCityEnabled;
+};
+
+module.exports = mongoose.model('IngestionSource', ingestionSourceSchema);
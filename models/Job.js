@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// A unit of background work run by config/jobQueue.js
+const jobSchema = new mongoose.Schema({
+  // Handler name, e.g. 'ingestion_run'
+  type: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // 'queued' (waiting for runAt), 'running' (leased by a worker), 'completed' or 'failed'
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // Higher runs first among jobs that are due
+  priority: {
+    type: Number,
+    default: 0
+  },
+  // Earliest time the job may run (pushed back between retries)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Only one queued or running job may hold a key; cleared when the job finishes
+  dedupeKey: String,
+  // Job that fanned this one out; it is woken when this job finishes
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  // Worker holding the lease and when it runs out
+  lockedBy: String,
+  leaseExpiresAt: Date,
+  // Saved by the handler as it goes, so a retry carries on where the last attempt stopped
+  progress: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  lastError: String,
+  startedAt: Date,
+  finishedAt: Date,
+  // TTL for finished jobs
+  expiresAt: Date
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+jobSchema.index({ status: 1, runAt: 1, priority: -1 });
+jobSchema.index({ status: 1, leaseExpiresAt: 1 });
+jobSchema.index({ parent: 1 });
+jobSchema.index({ dedupeKey: 1 }, { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } });
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Job', jobSchema);
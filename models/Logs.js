@@ -88,6 +88,10 @@ LogSchema.statics.generateUserFriendlyMessage = function(action, logData) {
       return `${actor} (${actorType}) requested a password reset`;
     case 'email_verified':
       return `${actor} (${actorType}) verified their email address`;
+    case 'rate_limit_lockout':
+      return `${details.scope === 'ip' ? `IP ${details.identifier}` : details.identifier} was locked out of ${details.policy} after too many attempts`;
+    case 'admin_account_unlocked':
+      return `${actor} (${actorType}) unlocked the account ${details.email || details.userId}`;
     
     // Alert related
     case 'alert_created':
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// In-app notifications shown to a user (e.g. changes to an alert they follow, or an alert their
+// report went into being approved)
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['alert_update', 'report_approved'],
+    required: true
+  },
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // Field-level changes, e.g. [{ field: 'confidence', from: 0.6, to: 0.8 }]
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  readAt: {
+    type: Date,
+    default: null
+  },
+  emailSent: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+module.exports = Notification;
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// A hotel run by an account - groups can have several, each with its own city and profile
+const propertySchema = new mongoose.Schema({
+  // Account that owns the property (bookings keep this as their hotelId)
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  city: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  rooms: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  avgRoomRate: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  size: {
+    type: String,
+    enum: ['micro', 'small', 'medium'],
+    default: null
+  },
+  incentives: {
+    type: [String],
+    default: []
+  },
+  // Same shape as User.company.locations entries
+  location: {
+    latitude: Number,
+    longitude: Number,
+    placeId: String
+  },
+  // Inactive properties are hidden from lists and roll-ups but keep their bookings
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+propertySchema.index({ owner: 1, name: 1 }, { unique: true });
+
+/**
+ * Find an account's property by ID
+ * @param {string} ownerId - Account ID
+ * @param {string} propertyId
+ * @returns {Promise<Object|null>} - null when the ID is invalid or belongs to another account
+ */
+propertySchema.statics.findOwned = function(ownerId, propertyId) {
+  if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ _id: propertyId, owner: ownerId });
+};
+
+/**
+ * Profile in the shape disruptionCalculations expects from a user ({ company: {...} })
+ * @returns {Object}
+ */
+propertySchema.methods.toRiskProfile = function() {
+  return {
+    company: {
+      name: this.name,
+      city: this.city,
+      rooms: this.rooms,
+      avgRoomRate: this.avgRoomRate,
+      size: this.size,
+      incentives: this.incentives
+    }
+  };
+};
+
+module.exports = mongoose.model('Property', propertySchema);
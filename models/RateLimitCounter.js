@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Attempt counters for rate-limited endpoints (see utils/rateLimiter.js), shared by every
+// server instance. One document per policy / scope / identifier, e.g. login:account:jo@hotel.com.
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  policy: {
+    type: String,
+    required: true
+  },
+  // 'ip' or 'account'
+  scope: {
+    type: String,
+    enum: ['ip', 'account'],
+    required: true
+  },
+  // IP address, normalised email or user ID
+  identifier: {
+    type: String,
+    required: true
+  },
+  // Attempts in the current window
+  count: {
+    type: Number,
+    default: 0
+  },
+  windowExpiresAt: {
+    type: Date,
+    required: true
+  },
+  // Requests are refused until this time
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // 'delay' (short wait between attempts) or 'lockout' (too many attempts)
+  lockReason: {
+    type: String,
+    enum: ['delay', 'lockout'],
+    default: null
+  },
+  // Lockouts so far - each one lasts twice as long as the last
+  lockouts: {
+    type: Number,
+    default: 0
+  },
+  // Removed by MongoDB after this time, which also forgets past lockouts
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+rateLimitCounterSchema.index({ scope: 1, identifier: 1 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
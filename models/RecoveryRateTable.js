@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Versioned recovery rate tables learned from booking outcomes after past alerts.
+// Only one table is active at a time; rates not in it fall back to the defaults in disruptionCalculations.
+const recoveryRateSchema = new mongoose.Schema({
+  mainType: {
+    type: String,
+    required: true
+  },
+  subType: {
+    type: String,
+    default: null
+  },
+  city: {
+    type: String,
+    default: null
+  },
+  recoveryRate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+  // Number of booking outcomes the rate was learned from
+  sampleSize: {
+    type: Number,
+    required: true
+  },
+  recoveredNights: Number,
+  lostNights: Number
+}, { _id: false });
+
+const recoveryRateTableSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  isActive: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  rates: [recoveryRateSchema],
+  minSampleSize: Number,
+  lookbackDays: Number,
+  stats: {
+    bookingsAnalysed: { type: Number, default: 0 },
+    alertsAnalysed: { type: Number, default: 0 },
+    ratesLearned: { type: Number, default: 0 },
+    // Groups that had some outcomes but not enough to replace the default
+    ratesBelowSampleSize: { type: Number, default: 0 }
+  },
+  trigger: {
+    type: String,
+    enum: ['cron', 'admin'],
+    default: 'admin'
+  },
+  createdBy: String,
+  activatedAt: Date
+}, { timestamps: true });
+
+const RecoveryRateTable = mongoose.model('RecoveryRateTable', recoveryRateTableSchema);
+module.exports = RecoveryRateTable;
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Individually revoked JWTs (e.g. on logout), shared by every server instance.
+// Records are removed by MongoDB once the token would have expired anyway.
+const revokedTokenSchema = new mongoose.Schema({
+  // The token's tokenId claim
+  tokenId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    default: 'logout'
+  },
+  // The token's exp claim
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
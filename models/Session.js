@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// One record per signed-in device. Holds the hash of the session's current refresh token;
+// access tokens carry the session ID so signing a session out takes effect immediately.
+const sessionSchema = new mongoose.Schema({
+  // Account the session belongs to (the parent account for collaborators)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Set when a collaborator signed in
+  collaboratorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  collaboratorEmail: String,
+
+  userAgent: String,
+  ip: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // SHA-256 of the current refresh token secret, and of the one it replaced
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  previousRefreshTokenHash: String,
+  rotatedAt: Date,
+
+  // Sliding expiry, pushed back on every refresh
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // e.g. logout, signed_out, revoked_all, refresh_reuse, admin
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, collaboratorId: 1, revokedAt: 1 });
+
+// Drop sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Shape returned to the session management pages
+sessionSchema.methods.toSummary = function(currentSessionId = null) {
+  return {
+    _id: this._id,
+    collaboratorEmail: this.collaboratorEmail || null,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastSeenAt: this.lastSeenAt,
+    expiresAt: this.expiresAt,
+    current: !!currentSessionId && this._id.toString() === currentSessionId.toString()
+  };
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Platform-wide settings changed by admins at runtime (one document per key)
+const systemSettingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Read a setting
+ * @param {string} key - Setting key
+ * @param {*} defaultValue - Returned when the setting has never been saved
+ * @returns {Promise<*>}
+ */
+systemSettingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const setting = await this.findOne({ key }).lean();
+  return setting && setting.value !== undefined ? setting.value : defaultValue;
+};
+
+/**
+ * Save a setting
+ * @param {string} key - Setting key
+ * @param {*} value - New value
+ * @param {string} updatedBy - Admin making the change
+ * @returns {Promise<Object>} - The saved setting
+ */
+systemSettingSchema.statics.setValue = function(key, value, updatedBy = null) {
+  return this.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('SystemSetting', systemSettingSchema);
@@ -7,10 +7,14 @@ const userSchema = new mongoose.Schema(
     microsoftId: String,
     password: String,
     isPremium: { type: Boolean, default: false },
+    // Hotel partners trusted to submit alert tips (set by admins)
+    isTrustedPartner: { type: Boolean, default: false },
     isVerified: { type: Boolean, default: false },
     role: { type: String, enum: ['user', 'admin'], default: 'user' },
     status: { type: String, enum: ['active', 'restricted', 'pending', 'deleted'], default: 'active' },
     lastLogin: { type: Date },
+    // Tokens issued to the account holder before this time are rejected ("revoke all sessions")
+    tokensRevokedAt: { type: Date },
     collaborators: [{
       name: String,
       email: String,
@@ -18,9 +22,22 @@ const userSchema = new mongoose.Schema(
       role: { type: String, enum: ['viewer', 'manager'], default: 'viewer' },
       password: String, // Collaborators have their own password for login
       status: { type: String, enum: ['active', 'restricted', 'deleted', 'invited', 'accepted'], default: 'invited' },
-      invitationToken: String,
-      invitationExpiry: Date
+      invitationToken: String, // SHA-256 of the token sent in the invitation link
+      invitationExpiry: Date,
+      invitedAt: Date,
+      acceptedAt: Date,
+      // Tokens issued before this time are rejected (set when access is revoked)
+      tokensRevokedAt: Date
     }],
+    // Two-factor authentication for email/password logins (secrets are never selected by default)
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: Date,
+      secret: { type: String, select: false }, // Base32 TOTP secret
+      pendingSecret: { type: String, select: false }, // Set up but not confirmed with a code yet
+      recoveryCodes: { type: [String], select: false }, // SHA-256 of each unused recovery code
+      lastUsedStep: { type: Number, select: false } // Stops a TOTP code being used twice
+    },
     otp: String,
     otpExpiry: Date,
     otpLastSent: Date,
@@ -1,6 +1,6 @@
 const express = require("express");
 const multer = require('multer');
-const { authorizeRoles } = require("../middleware/auth.js");
+const { requirePermission } = require("../middleware/auth.js");
 const {
   getCityRiskStats,
   getAlerts,
@@ -9,10 +9,16 @@ const {
   archiveAlert,
   duplicateAlert,
   getAlertDetails,
+  getAlertHistory,
+  restoreAlertRevision,
   updateAlert,
   createAlert,
   getUsers,
   getUserDetails,
+  revokeUserSession,
+  revokeUserSessions,
+  resetUserTwoFactor,
+  unlockUser,
   updateUser,
   updateUserStatus,
   updateUserRole,
@@ -34,8 +40,35 @@ const {
   deleteCsvFile,
   getCities,
   addCity,
-  removeCity
+  updateCity,
+  removeCity,
+  getRecoveryRates,
+  getRecoveryRateVersions,
+  calibrateRecoveryRates,
+  activateRecoveryRateTable,
+  getIngestionSources,
+  createIngestionSource,
+  updateIngestionSource,
+  setIngestionSourceCity,
+  deleteIngestionSource,
+  getIngestionRuns,
+  getIngestionRun,
+  getIngestionHealth,
+  getFetchSchedules,
+  previewFetchSchedule,
+  createFetchSchedule,
+  updateFetchSchedule,
+  deleteFetchSchedule,
+  getSecuritySettings,
+  updateSecuritySettings
 } = require('../controllers/adminController.js');
+const {
+  getTips,
+  getTip,
+  updateTip,
+  triageTip,
+  downloadTipAttachment
+} = require('../controllers/tipController.js');
 
 const router = express.Router();
 
@@ -58,50 +91,93 @@ const upload = multer({
 });
 
 // Alert management routes (admin only)
-router.get("/alerts", authorizeRoles(['admin']), getAlerts);
-router.post("/alerts", authorizeRoles(['admin']), createAlert);
-router.get("/alerts/template", authorizeRoles(['admin']), downloadAlertTemplate);
-router.post("/alerts/bulk-upload", authorizeRoles(['admin']), upload.single('alertsFile'), uploadBulkAlerts);
-router.get("/alerts/:alertId", authorizeRoles(['admin']), getAlertDetails);
-router.put("/alerts/:alertId", authorizeRoles(['admin']), updateAlert);
-router.patch("/alerts/:alertId/status", authorizeRoles(['admin']), updateAlertStatus);
-router.patch("/alerts/:alertId/process", authorizeRoles(['admin']), processAlert);
-router.post("/alerts/trigger-generation", authorizeRoles(['admin']), triggerAlertGeneration);
-router.post("/alerts/:alertId/send-to-guests", authorizeRoles(['user', 'admin']), sendAlertToGuests);
-router.post("/alerts/:alertId/duplicate", authorizeRoles(['admin']), duplicateAlert);
-router.post("/alerts/:alertId/archive", authorizeRoles(['admin']), archiveAlert);
-router.delete("/alerts/:alertId", authorizeRoles(['admin']), deleteAlert);
+router.get("/alerts", requirePermission('alerts:manage'), getAlerts);
+router.post("/alerts", requirePermission('alerts:manage'), createAlert);
+router.get("/alerts/template", requirePermission('alerts:manage'), downloadAlertTemplate);
+router.post("/alerts/bulk-upload", requirePermission('alerts:manage'), upload.single('alertsFile'), uploadBulkAlerts);
+router.get("/alerts/:alertId", requirePermission('alerts:manage'), getAlertDetails);
+router.get("/alerts/:alertId/history", requirePermission('alerts:manage'), getAlertHistory);
+router.post("/alerts/:alertId/history/:revision/restore", requirePermission('alerts:manage'), restoreAlertRevision);
+router.put("/alerts/:alertId", requirePermission('alerts:manage'), updateAlert);
+router.patch("/alerts/:alertId/status", requirePermission('alerts:approve'), updateAlertStatus);
+router.patch("/alerts/:alertId/process", requirePermission('alerts:approve'), processAlert);
+router.post("/alerts/trigger-generation", requirePermission('alerts:generate'), triggerAlertGeneration);
+router.post("/alerts/:alertId/send-to-guests", requirePermission('alerts:send_to_guests'), sendAlertToGuests);
+router.post("/alerts/:alertId/duplicate", requirePermission('alerts:manage'), duplicateAlert);
+router.post("/alerts/:alertId/archive", requirePermission('alerts:manage'), archiveAlert);
+router.delete("/alerts/:alertId", requirePermission('alerts:manage'), deleteAlert);
 
 // Get city risk stats (for non-authenticated users)
 router.get("/dashboard/city-risk/:city", getCityRiskStats);
 
 // User management routes (admin only)
-router.get("/users", authorizeRoles(['admin']), getUsers);
-router.post("/users", authorizeRoles(['admin']), createUser);
-router.get("/users/stats", authorizeRoles(['admin']), getUserStats);
-router.get("/users/:userId", authorizeRoles(['admin']), getUserDetails);
-router.put("/users/:userId", authorizeRoles(['admin']), updateUser);
-router.patch("/users/:userId/status", authorizeRoles(['admin']), updateUserStatus);
-router.patch("/users/:userId/role", authorizeRoles(['admin']), updateUserRole);
-router.delete("/users/:userId", authorizeRoles(['admin']), deleteUser);
+router.get("/users", requirePermission('users:manage'), getUsers);
+router.post("/users", requirePermission('users:manage'), createUser);
+router.get("/users/stats", requirePermission('users:manage'), getUserStats);
+router.get("/users/:userId", requirePermission('users:manage'), getUserDetails);
+router.put("/users/:userId", requirePermission('users:manage'), updateUser);
+router.patch("/users/:userId/status", requirePermission('users:manage'), updateUserStatus);
+router.patch("/users/:userId/role", requirePermission('users:manage'), updateUserRole);
+router.delete("/users/:userId", requirePermission('users:manage'), deleteUser);
+router.delete("/users/:userId/sessions", requirePermission('users:manage'), revokeUserSessions);
+router.delete("/users/:userId/sessions/:sessionId", requirePermission('users:manage'), revokeUserSession);
+router.delete("/users/:userId/two-factor", requirePermission('users:manage'), resetUserTwoFactor);
+router.post("/users/:userId/unlock", requirePermission('users:manage'), unlockUser);
 
 // Subscriber management routes (admin only)
-router.get("/subscribers", authorizeRoles(['admin']), getSubscribers);
-router.get("/subscribers/stats", authorizeRoles(['admin']), getSubscriberStats);
-router.delete("/subscribers/:email", authorizeRoles(['admin']), deleteSubscriber);
-router.post("/subscribers/send-weekly-digest", authorizeRoles(['admin']), sendWeeklyDigestEmails);
+router.get("/subscribers", requirePermission('subscribers:manage'), getSubscribers);
+router.get("/subscribers/stats", requirePermission('subscribers:manage'), getSubscriberStats);
+router.delete("/subscribers/:email", requirePermission('subscribers:manage'), deleteSubscriber);
+router.post("/subscribers/send-weekly-digest", requirePermission('subscribers:manage'), sendWeeklyDigestEmails);
 
 // Analytics routes (admin only)
-router.get("/analytics", authorizeRoles(['admin']), getAnalytics);
+router.get("/analytics", requirePermission('analytics:read'), getAnalytics);
 
 // CSV file management routes (admin only)
-router.get("/csv-files", authorizeRoles(['admin']), getCsvFiles);
-router.get("/csv-files/:fileId/download", authorizeRoles(['admin']), downloadCsvFile);
-router.delete("/csv-files/:fileId", authorizeRoles(['admin']), deleteCsvFile);
+router.get("/csv-files", requirePermission('csv_files:manage'), getCsvFiles);
+router.get("/csv-files/:fileId/download", requirePermission('csv_files:manage'), downloadCsvFile);
+router.delete("/csv-files/:fileId", requirePermission('csv_files:manage'), deleteCsvFile);
 
 // City management routes (admin only)
-router.get("/cities", authorizeRoles(['admin']), getCities);
-router.post("/cities", authorizeRoles(['admin']), addCity);
-router.delete("/cities/:city", authorizeRoles(['admin']), removeCity);
+router.get("/cities", requirePermission('cities:manage'), getCities);
+router.post("/cities", requirePermission('cities:manage'), addCity);
+router.put("/cities/:city", requirePermission('cities:manage'), updateCity);
+router.delete("/cities/:city", requirePermission('cities:manage'), removeCity);
+
+// Recovery rate calibration routes (admin only)
+router.get("/recovery-rates", requirePermission('recovery_rates:manage'), getRecoveryRates);
+router.get("/recovery-rates/versions", requirePermission('recovery_rates:manage'), getRecoveryRateVersions);
+router.post("/recovery-rates/calibrate", requirePermission('recovery_rates:manage'), calibrateRecoveryRates);
+router.post("/recovery-rates/:version/activate", requirePermission('recovery_rates:manage'), activateRecoveryRateTable);
+
+// Ingestion source routes (admin only)
+router.get("/sources", requirePermission('sources:manage'), getIngestionSources);
+router.post("/sources", requirePermission('sources:manage'), createIngestionSource);
+router.put("/sources/:key", requirePermission('sources:manage'), updateIngestionSource);
+router.put("/sources/:key/cities/:city", requirePermission('sources:manage'), setIngestionSourceCity);
+router.delete("/sources/:key", requirePermission('sources:manage'), deleteIngestionSource);
+
+// Ingestion run history and per-source health
+router.get("/ingestion/runs", requirePermission('sources:manage'), getIngestionRuns);
+router.get("/ingestion/runs/:runId", requirePermission('sources:manage'), getIngestionRun);
+router.get("/ingestion/health", requirePermission('sources:manage'), getIngestionHealth);
+
+// Fetch schedule routes (admin only)
+router.get("/fetch-schedules", requirePermission('sources:manage'), getFetchSchedules);
+router.get("/fetch-schedules/preview", requirePermission('sources:manage'), previewFetchSchedule);
+router.post("/fetch-schedules", requirePermission('sources:manage'), createFetchSchedule);
+router.put("/fetch-schedules/:key", requirePermission('sources:manage'), updateFetchSchedule);
+router.delete("/fetch-schedules/:key", requirePermission('sources:manage'), deleteFetchSchedule);
+
+// Manual alert tip queue (admin only)
+router.get("/tips", requirePermission('tips:manage'), getTips);
+router.get("/tips/:tipId", requirePermission('tips:manage'), getTip);
+router.put("/tips/:tipId", requirePermission('tips:manage'), updateTip);
+router.post("/tips/:tipId/triage", requirePermission('tips:manage'), triageTip);
+router.get("/tips/:tipId/attachment", requirePermission('tips:manage'), downloadTipAttachment);
+
+// Security settings routes (admin only)
+router.get("/settings/security", requirePermission('settings:manage'), getSecuritySettings);
+router.put("/settings/security", requirePermission('settings:manage'), updateSecuritySettings);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,8 +1,12 @@
 const express = require("express");
-const { optionalAuth } = require("../middleware/auth.js");
+const { optionalAuth, requirePermission } = require("../middleware/auth.js");
 const {
   getAllAlerts,
   getCitySummary,
+  followAlert,
+  unfollowAlert,
+  getFollowedAlerts,
+  getAlertsNearLocations,
 } = require("../controllers/alertController.js");
 
 const router = express.Router();
@@ -13,4 +17,14 @@ router.get("/", optionalAuth, getAllAlerts);
 // Get city alert summary for home page
 router.get('/cities/summary', optionalAuth, getCitySummary);
 
+// Get the alerts the user follows
+router.get('/following', requirePermission('alerts:follow'), getFollowedAlerts);
+
+// Get the alerts affecting each of the hotel's locations, nearest first
+router.get('/nearby', requirePermission('alerts:read'), getAlertsNearLocations);
+
+// Follow / unfollow an alert
+router.post('/:alertId/follow', requirePermission('alerts:follow'), followAlert);
+router.delete('/:alertId/follow', requirePermission('alerts:follow'), unfollowAlert);
+
 module.exports = router;
\ No newline at end of file
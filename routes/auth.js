@@ -19,12 +19,35 @@ const {
   getUserProfile,
   changePassword,
   handleLogout,
+  verifyTwoFactorLogin,
+  sendTwoFactorEmailCode,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   deleteAccount,
 } = require("../controllers/authController.js");
-const { logout, isAuthenticated } = require("../middleware/auth.js");
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} = require("../controllers/twoFactorController.js");
+const { logout, isAuthenticated, optionalAuth } = require("../middleware/auth.js");
+const { rateLimit } = require("../middleware/rateLimit.js");
+const tokenManager = require("../utils/tokenManager.js");
 
 const router = express.Router();
 
+// Account identifiers for rate limiting
+const byEmail = (req) => req.body?.email;
+const byUserId = (req) => req.body?.userId;
+const byChallenge = (req) => (
+  tokenManager.verifyChallengeToken(req.body?.challengeToken, "two_factor") ||
+  tokenManager.verifyChallengeToken(req.body?.challengeToken, "two_factor_setup")
+)?.userId;
+
 // Configure OAuth Strategies
 configureGoogleStrategy();
 configureMicrosoftStrategy();
@@ -33,21 +56,32 @@ configureMicrosoftStrategy();
 router.post("/register", register);
 
 // Verify Email Route
-router.post("/verify-email", verifyEmail);
+router.post("/verify-email", rateLimit("otp_verify", { account: byUserId }), verifyEmail);
 
 // Resend OTP Route
-router.post("/resend-otp", resendOTP);
+router.post("/resend-otp", rateLimit("otp_send", { account: byUserId }), resendOTP);
 // Forgot Password Route
-router.post("/forgot-password", forgotPassword);
+router.post("/forgot-password", rateLimit("otp_send", { account: byEmail }), forgotPassword);
 
 // Verify Reset OTP Route
-router.post("/verify-reset-otp", verifyResetOTP);
+router.post("/verify-reset-otp", rateLimit("otp_verify", { account: byUserId }), verifyResetOTP);
 
 // Reset Password Route
-router.post("/reset-password", resetPassword);
+router.post("/reset-password", rateLimit("otp_verify", { account: byUserId }), resetPassword);
 
 // Login Route
-router.post("/login", login);
+router.post("/login", rateLimit("login", { account: byEmail }), login);
+
+// Two-factor login step (uses the challengeToken returned by /login)
+router.post("/2fa/verify", rateLimit("otp_verify", { account: byChallenge }), verifyTwoFactorLogin);
+router.post("/2fa/email", rateLimit("otp_send", { account: byChallenge }), sendTwoFactorEmailCode);
+
+// Two-factor management (setup also accepts a login challengeToken when 2FA is mandatory)
+router.get("/2fa", isAuthenticated, getTwoFactorStatus);
+router.post("/2fa/setup", optionalAuth, setupTwoFactor);
+router.post("/2fa/enable", isAuthenticated, enableTwoFactor);
+router.post("/2fa/disable", isAuthenticated, disableTwoFactor);
+router.post("/2fa/recovery-codes", isAuthenticated, regenerateRecoveryCodes);
 
 // Google OAuth Routes
 router.get(
@@ -82,9 +116,17 @@ router.get("/user/profile", getUserProfile);
 // Change Password Route
 router.post("/change-password", changePassword);
 
+// Exchange the refresh token cookie for new tokens
+router.post("/refresh", refreshToken);
+
 // Logout endpoint
 router.post("/logout", logout, handleLogout);
 
+// Session management - list devices, sign one out, or sign out all others
+router.get("/sessions", isAuthenticated, getSessions);
+router.delete("/sessions", isAuthenticated, revokeOtherSessions);
+router.delete("/sessions/:sessionId", isAuthenticated, revokeSession);
+
 // Delete account endpoint
 router.delete("/delete-account", isAuthenticated, deleteAccount);
 
@@ -7,10 +7,12 @@ const {
   getBookingSummary,
   getBookingStats,
   updateBookingStatus,
+  getBookingOutcomes,
   deleteBooking,
   getBookingsAtRisk
 } = require('../controllers/bookingController.js');
-const { isAuthenticated } = require('../middleware/auth.js');
+const { getGuestNotifications } = require('../controllers/guestNotificationController.js');
+const { requirePermission } = require('../middleware/auth.js');
 
 const router = express.Router();
 
@@ -32,32 +34,36 @@ const upload = multer({
   }
 });
 
-// All routes require authentication
-router.use(isAuthenticated);
-
 // Upload CSV bookings
-router.post('/upload', upload.single('bookingsFile'), uploadBookings);
+router.post('/upload', requirePermission('bookings:upload'), upload.single('bookingsFile'), uploadBookings);
 
 // Get bookings with pagination and filters
-router.get('/', getBookings);
+router.get('/', requirePermission('bookings:read'), getBookings);
 
 // Get uploads history
-router.get('/uploads', getUploads);
+router.get('/uploads', requirePermission('bookings:read'), getUploads);
 
 // Get booking summary for dashboard
-router.get('/summary', getBookingSummary);
+router.get('/summary', requirePermission('bookings:read'), getBookingSummary);
 
 // Get booking statistics
-router.get('/stats', getBookingStats);
+router.get('/stats', requirePermission('bookings:read'), getBookingStats);
+
+// Get bookings at risk from one alert (?alertId=) or all active alerts for the hotel city
+router.get('/at-risk', requirePermission('bookings:read'), getBookingsAtRisk);
+
+// Get booking outcomes (lost / rescued) per alert
+router.get('/outcomes', requirePermission('bookings:read'), getBookingOutcomes);
 
-// Get bookings at risk for an alert
-router.get('/at-risk', getBookingsAtRisk);
+// Get the guest notification ledger (filter by status, alertId, bookingId, channel)
+router.get('/notifications', requirePermission('bookings:read'), getGuestNotifications);
 
 // Update booking status
-router.patch('/:bookingId/status', updateBookingStatus);
+// Bookings routes are mounted before the app-wide JSON parser (for the upload), so parse the body here
+router.patch('/:bookingId/status', requirePermission('bookings:update'), express.json(), updateBookingStatus);
 
 // Delete booking
-router.delete('/:bookingId', deleteBooking);
+router.delete('/:bookingId', requirePermission('bookings:update'), deleteBooking);
 
 module.exports = router;
 
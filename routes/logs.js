@@ -1,5 +1,5 @@
 const express = require('express');
-const { isAuthenticated, authorizeRoles } = require('../middleware/auth.js');
+const { requirePermission } = require('../middleware/auth.js');
 const {
   getAllLogs,
   getUserLogs,
@@ -10,42 +10,39 @@ const {
 
 const router = express.Router();
 
-// Only admin users can access logs
-const adminOnly = ['admin'];
-
 /**
  * @route   GET /api/logs
  * @desc    Get all logs with filtering and pagination
  * @access  Admin only
  */
-router.get('/', isAuthenticated, authorizeRoles(adminOnly), getAllLogs);
+router.get('/', requirePermission('logs:read'), getAllLogs);
 
 /**
  * @route   GET /api/logs/user/:userId
  * @desc    Get logs for a specific user
  * @access  Admin only
  */
-router.get('/user/:userId', isAuthenticated, authorizeRoles(adminOnly), getUserLogs);
+router.get('/user/:userId', requirePermission('logs:read'), getUserLogs);
 
 /**
  * @route   GET /api/logs/summary
  * @desc    Get activity summary (counts by action type)
  * @access  Admin only
  */
-router.get('/summary', isAuthenticated, authorizeRoles(adminOnly), getActivitySummary);
+router.get('/summary', requirePermission('logs:read'), getActivitySummary);
 
 /**
  * @route   GET /api/logs/active-users
  * @desc    Get most active users
  * @access  Admin only
  */
-router.get('/active-users', isAuthenticated, authorizeRoles(adminOnly), getMostActiveUsers);
+router.get('/active-users', requirePermission('logs:read'), getMostActiveUsers);
 
 /**
  * @route   POST /api/logs
  * @desc    Add a log entry manually (for testing)
  * @access  Admin only
  */
-router.post('/', isAuthenticated, authorizeRoles(adminOnly), addLog);
+router.post('/', requirePermission('logs:write'), addLog);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,22 @@
+const express = require("express");
+const { requirePermission } = require("../middleware/auth.js");
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require("../controllers/notificationController.js");
+
+const router = express.Router();
+
+router.use(requirePermission("notifications:read"));
+
+// Get the user's in-app notifications
+router.get("/", getNotifications);
+
+// Mark all notifications as read
+router.patch("/read-all", markAllNotificationsRead);
+
+// Mark a single notification as read
+router.patch("/:notificationId/read", markNotificationRead);
+
+module.exports = router;
@@ -1,6 +1,14 @@
 const express = require("express");
 const { getProfile, updateProfile } = require("../controllers/profileController.js");
-const { isAuthenticated } = require("../middleware/auth.js");
+const {
+  getCollaborators,
+  inviteCollaborator,
+  resendInvitation,
+  updateCollaboratorRole,
+  revokeCollaborator,
+  acceptInvitation,
+} = require("../controllers/collaboratorController.js");
+const { requirePermission } = require("../middleware/auth.js");
 
 const router = express.Router();
 
@@ -9,14 +17,56 @@ const router = express.Router();
  * @desc    Get user profile
  * @access  Private (requires authentication)
  */
-router.get("/", isAuthenticated, getProfile);
+router.get("/", requirePermission("profile:read"), getProfile);
 
 /**
  * @route   PUT /api/profile
  * @desc    Update user profile
  * @access  Private (requires authentication, no collaborators)
  */
-router.put("/", isAuthenticated, updateProfile);
+router.put("/", requirePermission("profile:update"), updateProfile);
+
+/**
+ * @route   GET /api/profile/collaborators
+ * @desc    List the account's collaborators
+ * @access  Private (requires authentication, account holders and managers)
+ */
+router.get("/collaborators", requirePermission("collaborators:read"), getCollaborators);
+
+/**
+ * @route   POST /api/profile/collaborators
+ * @desc    Invite a collaborator ({ email, name, role })
+ * @access  Private (requires authentication, no collaborators)
+ */
+router.post("/collaborators", requirePermission("collaborators:manage"), inviteCollaborator);
+
+/**
+ * @route   POST /api/profile/collaborators/accept
+ * @desc    Accept an invitation and set a password ({ token, password, name })
+ * @access  Public
+ */
+router.post("/collaborators/accept", acceptInvitation);
+
+/**
+ * @route   POST /api/profile/collaborators/:collaboratorId/resend
+ * @desc    Resend a pending invitation with a new link
+ * @access  Private (requires authentication, no collaborators)
+ */
+router.post("/collaborators/:collaboratorId/resend", requirePermission("collaborators:manage"), resendInvitation);
+
+/**
+ * @route   PATCH /api/profile/collaborators/:collaboratorId/role
+ * @desc    Change a collaborator's role ({ role })
+ * @access  Private (requires authentication, no collaborators)
+ */
+router.patch("/collaborators/:collaboratorId/role", requirePermission("collaborators:manage"), updateCollaboratorRole);
+
+/**
+ * @route   DELETE /api/profile/collaborators/:collaboratorId
+ * @desc    Revoke a collaborator's access
+ * @access  Private (requires authentication, no collaborators)
+ */
+router.delete("/collaborators/:collaboratorId", requirePermission("collaborators:manage"), revokeCollaborator);
 
 module.exports = router;
 
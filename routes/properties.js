@@ -0,0 +1,28 @@
+const express = require("express");
+const { requirePermission } = require("../middleware/auth.js");
+const {
+  getProperties,
+  getProperty,
+  createProperty,
+  updateProperty,
+  deleteProperty,
+  getPortfolioSummary
+} = require("../controllers/propertyController.js");
+
+const router = express.Router();
+
+// Get the account's properties
+router.get("/", requirePermission("properties:read"), getProperties);
+
+// Roll up risk, at-risk bookings and recovered revenue across properties
+router.get("/portfolio", requirePermission("properties:read", "bookings:read"), getPortfolioSummary);
+
+// Get a single property
+router.get("/:propertyId", requirePermission("properties:read"), getProperty);
+
+// Add, update and deactivate properties
+router.post("/", requirePermission("properties:manage"), createProperty);
+router.put("/:propertyId", requirePermission("properties:manage"), updateProperty);
+router.delete("/:propertyId", requirePermission("properties:manage"), deleteProperty);
+
+module.exports = router;
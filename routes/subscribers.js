@@ -8,9 +8,12 @@ const {
   verifyOtp,
   resendOtp,
 } = require('../controllers/subscriberController.js');
+const { rateLimit } = require('../middleware/rateLimit.js');
 
 const router = express.Router();
 
+const byEmail = (req) => req.body?.email;
+
 // POST /api/subscribers
 router.post('/', async (req, res) => {
   // Extract IP and user-agent for logging
@@ -40,12 +43,12 @@ router.put('/status/:email', updateSubscriberStatusByEmail);
 router.get('/unsubscribe', unsubscribe);
 
 // POST /api/subscribers/subscribe - Send OTP for email verification
-router.post('/subscribe', subscribe);
+router.post('/subscribe', rateLimit('otp_send', { account: byEmail }), subscribe);
 
 // POST /api/subscribers/verify - Verify OTP and activate subscription
-router.post('/verify', verifyOtp);
+router.post('/verify', rateLimit('otp_verify', { account: byEmail }), verifyOtp);
 
 // POST /api/subscribers/resend-otp - Resend OTP
-router.post('/resend-otp', resendOtp);
+router.post('/resend-otp', rateLimit('otp_send', { account: byEmail }), resendOtp);
 
 module.exports = router;
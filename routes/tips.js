@@ -0,0 +1,31 @@
+const express = require('express');
+const multer = require('multer');
+const { submitTip, getMyTips } = require('../controllers/tipController.js');
+const tipAttachments = require('../utils/tipAttachments.js');
+const { requirePermission } = require('../middleware/auth.js');
+const { rateLimit } = require('../middleware/rateLimit.js');
+
+const router = express.Router();
+
+// Configure multer for tip attachments
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (tipAttachments.isAllowedType(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only JPEG, PNG, WebP and PDF files can be attached'));
+    }
+  }
+});
+
+// Submit a tip or local disruption report, optionally with an 'attachment' file
+router.post('/', requirePermission('tips:submit'), rateLimit('tip_submit', { account: (req) => req.userId }), upload.single('attachment'), submitTip);
+
+// Get the account's tips and their outcomes
+router.get('/', requirePermission('tips:submit'), getMyTips);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const { handleBrevoWebhook } = require('../controllers/guestNotificationController.js');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/webhooks/brevo
+ * @desc    Email delivery events (delivered, opened, bounced) for guest notifications
+ * @access  Public, secured with ?token=BREVO_WEBHOOK_SECRET
+ */
+router.post('/brevo', handleBrevoWebhook);
+
+module.exports = router;
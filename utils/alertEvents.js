@@ -0,0 +1,457 @@
+const User = require('../models/User.js');
+const Notification = require('../models/Notification.js');
+const Property = require('../models/Property.js');
+const AlertRevision = require('../models/AlertRevision.js');
+const AlertTip = require('../models/AlertTip.js');
+const sendAlertFollowerUpdate = require('./emailTemplates/alertFollowerUpdate.js');
+const socketService = require('../config/socket.js');
+const bookingRiskMatcher = require('./bookingRiskMatcher.js');
+
+/**
+ * Alert lifecycle events
+ * Single place the controllers, the alert processor and the scheduler report alert changes to,
+ * so side effects (revision history, socket push, affected-booking checks, follower notifications) stay consistent across entry points.
+ * Handlers never throw - a failed push must not fail the request that changed the alert.
+ * alertCreated / alertUpdated resolve once the revision is stored; notifications and pushes carry
+ * on in the background, so callers can await the history without waiting on emails.
+ *
+ * Callers pass a context describing what made the change:
+ * { source: 'scheduler' | 'manual' | 'admin' | <ingestion source key, e.g. 'grok'>, userId, userEmail }
+ */
+
+/**
+ * Shape an alert for socket payloads
+ * @param {Object} alert - Alert document or plain object
+ * @returns {Object}
+ */
+const toPayload = (alert) => ({
+  _id: alert._id,
+  title: alert.title,
+  summary: alert.summary,
+  city: alert.city,
+  mainType: alert.mainType,
+  subType: alert.subType,
+  startDate: alert.startDate,
+  endDate: alert.endDate,
+  status: alert.status,
+  confidence: alert.confidence,
+  updatedAt: alert.updatedAt
+});
+
+/**
+ * Get the accounts and properties located in an alert's city
+ * @param {Object} alert
+ * @returns {Promise<Array>} - [{ hotelId, propertyId, city, propertyName }]
+ */
+const getHotelTargets = async (alert) => {
+  const escapedCity = alert.city.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const cityPattern = new RegExp(`^${escapedCity}$`, 'i');
+
+  const hotels = await User.find({
+    status: 'active',
+    'company.city': cityPattern
+  })
+    .select('_id company.city')
+    .lean();
+
+  const properties = await Property.find({ isActive: true, city: cityPattern })
+    .select('_id owner name city')
+    .lean();
+
+  return [
+    ...hotels.map(hotel => ({ hotelId: hotel._id, propertyId: null, city: hotel.company.city })),
+    ...properties.map(property => ({ hotelId: property.owner, propertyId: property._id, city: property.city, propertyName: property.name }))
+  ];
+};
+
+/**
+ * Tell each hotel in the alert's city how many of its upcoming bookings the alert overlaps
+ * Accounts are checked for their unassigned bookings, then each property in the city for its own.
+ * @param {Object} alert - Approved alert
+ */
+const notifyAffectedHotels = async (alert) => {
+  if (!alert.city) return;
+
+  const targets = await getHotelTargets(alert);
+
+  for (const target of targets) {
+    const matches = await bookingRiskMatcher.findBookingsAtRisk(
+      alert,
+      { hotelId: target.hotelId, propertyId: target.propertyId, city: target.city },
+      { filter: { status: { $nin: ['cancelled', 'no_show'] } } }
+    );
+
+    if (matches.length === 0) continue;
+
+    socketService.emitToHotel(target.hotelId, 'alert:bookings-affected', {
+      alert: toPayload(alert),
+      propertyId: target.propertyId,
+      propertyName: target.propertyName || null,
+      ...bookingRiskMatcher.summariseMatches(matches),
+      bookingIds: matches.map(match => match._id)
+    });
+  }
+};
+
+// Alert fields followers are told about when they change
+const FOLLOWER_FIELDS = ['confidence', 'status', 'startDate', 'endDate', 'headerPrefix'];
+
+const FOLLOWER_FIELD_LABELS = {
+  confidence: 'Confidence',
+  status: 'Status',
+  startDate: 'Start date',
+  endDate: 'End date',
+  headerPrefix: 'Headline'
+};
+
+const formatFieldValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return 'not set';
+  if (field === 'confidence') return `${Math.round(value * 100)}%`;
+  if (field === 'startDate' || field === 'endDate') {
+    return new Date(value).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+  }
+  return String(value);
+};
+
+/**
+ * Reduce a field value to something comparable with ===
+ * Dates compare by time and objects (e.g. GeoJSON) by their JSON, with empty objects treated as unset.
+ */
+const toComparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value === 'object') {
+    const json = JSON.stringify(typeof value.toObject === 'function' ? value.toObject() : value);
+    return json === '{}' ? null : json;
+  }
+  return value ?? null;
+};
+
+/**
+ * List the fields that differ between two versions of an alert
+ * @param {Object} previous - Alert before the change
+ * @param {Object} updated - Alert after the change
+ * @param {Array} fields - Fields to compare
+ * @returns {Array} - [{ field, from, to }]
+ */
+const diffFields = (previous, updated, fields) => {
+  const changes = [];
+
+  for (const field of fields) {
+    if (toComparable(previous[field]) !== toComparable(updated[field])) {
+      changes.push({ field, from: previous[field] ?? null, to: updated[field] ?? null });
+    }
+  }
+
+  return changes;
+};
+
+const getFollowerChanges = (previous, updated) => diffFields(previous, updated, FOLLOWER_FIELDS);
+
+const getSnapshot = (alert) => AlertRevision.TRACKED_FIELDS.reduce((snapshot, field) => {
+  snapshot[field] = alert[field] ?? null;
+  return snapshot;
+}, {});
+
+// A revision insert that keeps losing the race for its number gives up after this many tries
+const REVISION_INSERT_ATTEMPTS = 5;
+
+// Insert the next revision (and a baseline first, for alerts without history)
+const insertRevision = async (previous, updated, changes, context) => {
+  const latest = await AlertRevision.findOne({ alert: updated._id })
+    .sort({ revision: -1 })
+    .select('revision')
+    .lean();
+  let revision = latest ? latest.revision : 0;
+
+  if (!latest && previous) {
+    await AlertRevision.create({
+      alert: updated._id,
+      revision: ++revision,
+      action: 'baseline',
+      source: 'system',
+      snapshot: getSnapshot(previous),
+      confidence: previous.confidence
+    });
+  }
+
+  return AlertRevision.create({
+    alert: updated._id,
+    revision: revision + 1,
+    action: context.action || (previous ? 'updated' : 'created'),
+    source: context.source || 'admin',
+    changedBy: context.userId,
+    changedByEmail: context.userEmail,
+    changes,
+    snapshot: getSnapshot(updated),
+    confidence: updated.confidence,
+    restoredFrom: context.restoredFrom
+  });
+};
+
+/**
+ * Store a revision of an alert
+ * Alerts created before history was kept get a baseline revision with their previous values first.
+ * @param {Object|null} previous - Alert before the change (null for new alerts)
+ * @param {Object} updated - Alert after the change
+ * @param {Object} context - { source, userId, userEmail, action, restoredFrom }
+ * @returns {Promise<Object|null>} - The revision, or null when nothing tracked changed
+ */
+const recordRevision = async (previous, updated, context = {}) => {
+  const changes = previous ? diffFields(previous, updated, AlertRevision.TRACKED_FIELDS) : [];
+  if (previous && changes.length === 0) return null;
+
+  // Revision numbers are unique per alert; a concurrent edit that took the next number first
+  // makes the insert fail with a duplicate key, so read the latest again and retry
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await insertRevision(previous, updated, changes, context);
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= REVISION_INSERT_ATTEMPTS) throw error;
+    }
+  }
+};
+
+/**
+ * Store a revision without letting a history failure affect the caller
+ */
+const safeRecordRevision = async (previous, updated, context) => {
+  try {
+    await recordRevision(previous, updated, context);
+  } catch (error) {
+    console.error('Error recording alert revision:', error);
+  }
+};
+
+/**
+ * Send followers of an alert an in-app and email notification summarising what changed
+ * @param {Object} previous - Alert before the change
+ * @param {Object} updated - Alert after the change
+ */
+const notifyFollowers = async (previous, updated) => {
+  if (!updated.followedBy || updated.followedBy.length === 0) return;
+
+  const changes = getFollowerChanges(previous, updated);
+  if (changes.length === 0) return;
+
+  const changeLines = changes.map(change =>
+    `${FOLLOWER_FIELD_LABELS[change.field]}: ${formatFieldValue(change.field, change.from)} → ${formatFieldValue(change.field, change.to)}`
+  );
+
+  const followers = await User.find({
+    _id: { $in: updated.followedBy },
+    status: 'active'
+  })
+    .select('_id email firstName')
+    .lean();
+
+  for (const follower of followers) {
+    const notification = await Notification.create({
+      user: follower._id,
+      type: 'alert_update',
+      alert: updated._id,
+      title: `Update: ${updated.title}`,
+      message: changeLines.join('\n'),
+      changes
+    });
+
+    socketService.emitToHotel(follower._id, 'notification:new', notification.toObject());
+
+    const sent = await sendAlertFollowerUpdate(follower.email, follower.firstName, updated, changeLines);
+    if (sent) {
+      notification.emailSent = true;
+      await notification.save();
+    }
+  }
+};
+
+/**
+ * Let the accounts whose tips or reports went into an approved alert know it was approved
+ * Each tip is acknowledged once, however many times the alert is approved. Also called by the
+ * scheduler once a run has linked its tips to their alerts, for alerts approved on creation.
+ * @param {Object} alert - Approved alert
+ */
+const notifyReporters = async (alert) => {
+  const tips = await AlertTip.find({ 'outcome.alert': alert._id, 'outcome.notifiedAt': null })
+    .select('_id submittedBy')
+    .lean();
+  if (tips.length === 0) return;
+
+  const accounts = new Set();
+  for (const tip of tips) {
+    // Claim the tip so a concurrent approval doesn't notify twice
+    const claimed = await AlertTip.updateOne(
+      { _id: tip._id, 'outcome.notifiedAt': null },
+      { $set: { 'outcome.notifiedAt': new Date() } }
+    );
+    if (claimed.modifiedCount > 0) accounts.add(tip.submittedBy.toString());
+  }
+
+  const reporters = await User.find({ _id: { $in: [...accounts] }, status: 'active' })
+    .select('_id')
+    .lean();
+
+  for (const reporter of reporters) {
+    const notification = await Notification.create({
+      user: reporter._id,
+      type: 'report_approved',
+      alert: alert._id,
+      title: `Your report helped: ${alert.title}`,
+      message: `An alert you reported for ${alert.city} has been approved and is now live.`
+    });
+
+    socketService.emitToHotel(reporter._id, 'notification:new', notification.toObject());
+  }
+};
+
+/**
+ * An alert was approved (by an admin or automatically on confidence)
+ * @param {Object} alert
+ */
+const alertApproved = async (alert) => {
+  try {
+    const payload = toPayload(alert);
+    socketService.emitToCity(alert.city, 'alert:approved', payload);
+    socketService.emitToAdmins('alert:approved', payload);
+
+    try {
+      await notifyReporters(alert);
+    } catch (error) {
+      console.error('Error notifying alert reporters:', error);
+    }
+
+    await notifyAffectedHotels(alert);
+  } catch (error) {
+    console.error('Error handling alert approval event:', error);
+  }
+};
+
+/**
+ * Push an event to every hotel with an account or property in the alert's city
+ * Reaches accounts outside the city (and so outside its room) that were told about the alert
+ * through one of their properties.
+ */
+const emitToCityHotels = async (alert, event, payload) => {
+  if (!alert.city) return;
+
+  const hotelIds = new Set((await getHotelTargets(alert)).map(target => target.hotelId.toString()));
+  for (const hotelId of hotelIds) {
+    socketService.emitToHotel(hotelId, event, payload);
+  }
+};
+
+/**
+ * An alert expired (declined, archived or past its end date)
+ * @param {Object} alert
+ * @param {Object} options - { wasApproved: it was published, so the city and hotels are told it ended }
+ */
+const alertExpired = async (alert, options = {}) => {
+  try {
+    const payload = toPayload(alert);
+    socketService.emitToAdmins('alert:expired', payload);
+
+    // Alerts that were never published stay out of the city room
+    if (options.wasApproved) {
+      socketService.emitToCity(alert.city, 'alert:expired', payload);
+      await emitToCityHotels(alert, 'alert:expired', payload);
+    }
+  } catch (error) {
+    console.error('Error handling alert expiry event:', error);
+  }
+};
+
+/**
+ * A previously approved alert went back to pending
+ * Hotels were told about it when it was approved, so they are told it no longer applies.
+ * @param {Object} alert
+ */
+const alertWithdrawn = async (alert) => {
+  try {
+    const payload = toPayload(alert);
+    socketService.emitToCity(alert.city, 'alert:withdrawn', payload);
+    socketService.emitToAdmins('alert:withdrawn', payload);
+
+    await emitToCityHotels(alert, 'alert:withdrawn', payload);
+  } catch (error) {
+    console.error('Error handling alert withdrawal event:', error);
+  }
+};
+
+/**
+ * A new alert was stored
+ * @param {Object} alert
+ * @param {Object} context - What created the alert
+ */
+const alertCreated = async (alert, context = {}) => {
+  await safeRecordRevision(null, alert, context);
+  pushCreated(alert);
+};
+
+const pushCreated = async (alert) => {
+  try {
+    if (alert.status === 'approved') {
+      return await alertApproved(alert);
+    }
+
+    // Pending alerts are only visible to admins
+    socketService.emitToAdmins('alert:created', toPayload(alert));
+  } catch (error) {
+    console.error('Error handling alert creation event:', error);
+  }
+};
+
+/**
+ * An existing alert changed
+ * Status changes are reported as approved / expired / withdrawn, anything else as an update.
+ * @param {Object} previous - Alert before the change (document or plain object)
+ * @param {Object} updated - Alert after the change
+ * @param {Object} context - What changed the alert
+ */
+const alertUpdated = async (previous, updated, context = {}) => {
+  if (!updated) return;
+
+  await safeRecordRevision(previous, updated, context);
+  pushUpdated(previous, updated);
+};
+
+const pushUpdated = async (previous, updated) => {
+  try {
+    try {
+      await notifyFollowers(previous, updated);
+    } catch (error) {
+      console.error('Error notifying alert followers:', error);
+    }
+
+    if (previous.status !== updated.status) {
+      if (updated.status === 'approved') return await alertApproved(updated);
+      if (updated.status === 'expired') return await alertExpired(updated, { wasApproved: previous.status === 'approved' });
+      if (previous.status === 'approved') return await alertWithdrawn(updated);
+    }
+
+    const payload = toPayload(updated);
+    if (updated.status === 'approved') {
+      socketService.emitToCity(updated.city, 'alert:updated', payload);
+
+      // New dates or city can put different bookings at risk
+      const datesChanged = String(previous.startDate) !== String(updated.startDate) ||
+        String(previous.endDate) !== String(updated.endDate) ||
+        previous.city !== updated.city;
+      if (datesChanged) {
+        await notifyAffectedHotels(updated);
+      }
+    }
+    socketService.emitToAdmins('alert:updated', payload);
+  } catch (error) {
+    console.error('Error handling alert update event:', error);
+  }
+};
+
+module.exports = {
+  alertCreated,
+  alertApproved,
+  alertUpdated,
+  notifyReporters,
+  alertExpired,
+  alertWithdrawn,
+  getFollowerChanges,
+  diffFields
+};
@@ -0,0 +1,203 @@
+const { startOfDay, endOfDay } = require('date-fns');
+const Alert = require('../models/Alert.js');
+const { Booking } = require('../models/Booking.js');
+
+/**
+ * Alert ↔ booking matching
+ * Works out which hotel stays overlap a disruption, based on the hotel city,
+ * the alert date window and each booking's check-in date plus nights.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Compare two city names case-insensitively
+ * @param {string} cityA
+ * @param {string} cityB
+ * @returns {boolean}
+ */
+const isSameCity = (cityA, cityB) => {
+  if (!cityA || !cityB) return false;
+  return cityA.trim().toLowerCase() === cityB.trim().toLowerCase();
+};
+
+/**
+ * Get the date window covered by an alert
+ * Alerts without an end date are treated as single-day disruptions.
+ * @param {Object} alert - Alert document or plain object
+ * @returns {Object|null} - { start, end } or null when the alert has no start date
+ */
+const getAlertWindow = (alert) => {
+  if (!alert || !alert.startDate) return null;
+
+  const start = startOfDay(new Date(alert.startDate));
+  const end = endOfDay(new Date(alert.endDate || alert.startDate));
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || end < start) {
+    return null;
+  }
+
+  return { start, end };
+};
+
+/**
+ * Get the check-out date for a booking (works with lean objects, which have no virtuals)
+ * @param {Object} booking
+ * @returns {Date}
+ */
+const getCheckOutDate = (booking) => {
+  const checkOut = new Date(booking.checkInDate);
+  checkOut.setDate(checkOut.getDate() + booking.nights);
+  return checkOut;
+};
+
+/**
+ * Count the nights of a stay that fall inside an alert window
+ * @param {Object} booking - Booking with checkInDate and nights
+ * @param {Object} window - { start, end } from getAlertWindow
+ * @returns {number} - Number of overlapping nights (0 when the stay does not overlap)
+ */
+const getOverlapNights = (booking, window) => {
+  if (!booking || !window) return 0;
+
+  const checkIn = new Date(booking.checkInDate);
+  const checkOut = getCheckOutDate(booking);
+
+  const overlapStart = Math.max(checkIn.getTime(), window.start.getTime());
+  const overlapEnd = Math.min(checkOut.getTime(), window.end.getTime() + 1);
+
+  if (overlapEnd <= overlapStart) return 0;
+
+  return Math.min(booking.nights, Math.ceil((overlapEnd - overlapStart) / DAY_MS));
+};
+
+/**
+ * Match a list of bookings against a single alert
+ * @param {Object} alert - Alert document or plain object
+ * @param {Array} bookings - Bookings (documents or lean objects)
+ * @returns {Array} - Overlapping bookings with checkOutDate, overlapNights and revenueAtRisk
+ */
+const matchBookingsToAlert = (alert, bookings = []) => {
+  const window = getAlertWindow(alert);
+  if (!window) return [];
+
+  const matches = [];
+
+  for (const booking of bookings) {
+    const overlapNights = getOverlapNights(booking, window);
+    if (overlapNights === 0) continue;
+
+    const plainBooking = booking.toObject ? booking.toObject() : booking;
+
+    matches.push({
+      ...plainBooking,
+      checkOutDate: getCheckOutDate(booking),
+      overlapNights,
+      revenueAtRisk: Math.round(overlapNights * booking.bookingRate * 100) / 100
+    });
+  }
+
+  return matches;
+};
+
+/**
+ * Build a Mongo filter for bookings whose stay overlaps a date window
+ * @param {Object} window - { start, end }
+ * @returns {Object} - Query fragment
+ */
+const buildOverlapQuery = (window) => ({
+  checkInDate: { $lte: window.end },
+  $expr: {
+    $gt: [
+      { $add: ['$checkInDate', { $multiply: ['$nights', DAY_MS] }] },
+      window.start
+    ]
+  }
+});
+
+/**
+ * Find a hotel's bookings that overlap an alert
+ * Returns nothing when the alert is for a different city than the hotel.
+ * @param {Object} alert - Alert document or plain object
+ * @param {Object} hotel - { hotelId, city, propertyId } (propertyId null for unassigned bookings, omit for all)
+ * @param {Object} options - Extra booking filters (e.g. { guestEmail: ... })
+ * @returns {Promise<Array>} - Matches from matchBookingsToAlert, ordered by check-in date
+ */
+const findBookingsAtRisk = async (alert, hotel, options = {}) => {
+  const window = getAlertWindow(alert);
+  if (!window || !isSameCity(alert.city, hotel.city)) {
+    return [];
+  }
+
+  const bookings = await Booking.find({
+    hotelId: hotel.hotelId,
+    ...(hotel.propertyId !== undefined && { propertyId: hotel.propertyId }),
+    ...options.filter,
+    ...buildOverlapQuery(window)
+  })
+    .sort({ checkInDate: 1 })
+    .lean();
+
+  return matchBookingsToAlert(alert, bookings);
+};
+
+/**
+ * Find approved alerts for a city that have not finished yet
+ * @param {string} city - City name
+ * @param {Object} options - { from, to } to only keep alerts overlapping that range
+ * @returns {Promise<Array>} - Lean alert objects ordered by start date
+ */
+const findActiveAlertsForCity = async (city, options = {}) => {
+  if (!city) return [];
+
+  const today = startOfDay(new Date());
+  const escapedCity = city.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  const query = {
+    status: 'approved',
+    city: new RegExp(`^${escapedCity}$`, 'i'),
+    startDate: { $ne: null },
+    $or: [
+      { endDate: { $gte: today } },
+      { endDate: null, startDate: { $gte: today } }
+    ]
+  };
+
+  if (options.to) {
+    query.startDate = { $ne: null, $lte: endOfDay(new Date(options.to)) };
+  }
+
+  if (options.from) {
+    query.$and = [{
+      $or: [
+        { endDate: { $gte: startOfDay(new Date(options.from)) } },
+        { endDate: null, startDate: { $gte: startOfDay(new Date(options.from)) } }
+      ]
+    }];
+  }
+
+  return Alert.find(query).sort({ startDate: 1 }).lean();
+};
+
+/**
+ * Summarise matched bookings for a response payload
+ * @param {Array} matches - Output of matchBookingsToAlert
+ * @returns {Object} - { bookingsAtRisk, nightsAtRisk, revenueAtRisk }
+ */
+const summariseMatches = (matches) => ({
+  bookingsAtRisk: matches.length,
+  nightsAtRisk: matches.reduce((sum, match) => sum + match.overlapNights, 0),
+  revenueAtRisk: Math.round(matches.reduce((sum, match) => sum + match.revenueAtRisk, 0) * 100) / 100
+});
+
+module.exports = {
+  isSameCity,
+  getAlertWindow,
+  getCheckOutDate,
+  getOverlapNights,
+  matchBookingsToAlert,
+  buildOverlapQuery,
+  findBookingsAtRisk,
+  findActiveAlertsForCity,
+  summariseMatches
+};
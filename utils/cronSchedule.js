@@ -0,0 +1,209 @@
+/**
+ * Cron expression helpers for fetch schedules
+ * node-cron runs the schedules but can only tell a task's next run, so the preview works the
+ * run times out from the expression here. Expressions follow node-cron: five fields, or six
+ * with seconds first; lists, ranges, steps and month / weekday names. Like node-cron, a time
+ * must match day-of-month AND day-of-week.
+ */
+
+const cron = require('node-cron');
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'dayOfWeek', min: 0, max: 7, names: WEEKDAY_NAMES, offset: 0 }
+];
+
+// Far enough ahead to find a 29 February that falls on a given weekday
+const MAX_LOOKAHEAD_DAYS = 366 * 8;
+
+// Most candidate times converted to instants per call; only times skipped by DST changes don't
+// become runs, so this is only reached by a pathological expression
+const MAX_CONVERSIONS = 5000;
+
+/**
+ * Whether a timezone is a valid IANA name (e.g. 'Europe/London')
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Whether node-cron accepts an expression
+ * @param {string} expression
+ * @returns {boolean}
+ */
+const isValidExpression = (expression) => typeof expression === 'string' && cron.validate(expression.trim());
+
+const parseValue = (value, field) => {
+  const lower = value.toLowerCase();
+  if (field.names) {
+    const index = field.names.findIndex(name => lower.startsWith(name));
+    if (index !== -1 && !/^\d/.test(lower)) return index + field.offset;
+  }
+  return Number(value);
+};
+
+const parseField = (text, field) => {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText ? Number(stepText) : 1;
+    let start = field.min;
+    let end = field.max;
+
+    if (range !== '*' && range !== '?') {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = to !== undefined ? parseValue(to, field) : (stepText ? field.max : start);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  // Sunday can be written as 0 or 7
+  if (field.name === 'dayOfWeek' && values.has(7)) {
+    values.add(0);
+  }
+
+  return values;
+};
+
+/**
+ * Parse an expression into the values each field allows
+ * @param {string} expression
+ * @returns {Object} - { second, minute, hour, dayOfMonth, month, dayOfWeek } as sorted arrays
+ */
+const parseExpression = (expression) => {
+  if (!isValidExpression(expression)) {
+    throw new Error(`Invalid cron expression: ${expression}`);
+  }
+
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length === 5) parts.unshift('0');
+
+  return FIELDS.reduce((parsed, field, index) => {
+    parsed[field.name] = [...parseField(parts[index], field)].sort((a, b) => a - b);
+    return parsed;
+  }, {});
+};
+
+// Formatters are expensive to build, so one is kept per timezone
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+// Wall-clock parts of an instant in a timezone
+const getZonedParts = (date, timezone) => getFormatter(timezone).formatToParts(date).reduce((result, part) => {
+  if (part.type !== 'literal') result[part.type] = Number(part.value);
+  return result;
+}, {});
+
+// Instant of a wall-clock time in a timezone, or null when it doesn't exist (skipped by a DST change)
+const fromZonedTime = ({ year, month, day, hour, minute, second }, timezone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  let instant = wallClock;
+
+  // Two passes settle the offset, including near DST changes
+  for (let i = 0; i < 2; i++) {
+    const parts = getZonedParts(new Date(instant), timezone);
+    const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+    instant = wallClock - offset;
+  }
+
+  const check = getZonedParts(new Date(instant), timezone);
+  if (check.hour !== hour || check.minute !== minute || check.day !== day) return null;
+  return new Date(instant);
+};
+
+/**
+ * Work out the next times an expression fires
+ * @param {string} expression - Cron expression
+ * @param {string} timezone - IANA timezone the expression is read in
+ * @param {Object} options - { from: Date (default now), count: number of runs (default 5) }
+ * @returns {Array<Date>}
+ */
+const getNextRuns = (expression, timezone, options = {}) => {
+  const parsed = parseExpression(expression);
+  const from = options.from || new Date();
+  const count = options.count || 5;
+  const runs = [];
+
+  const start = getZonedParts(from, timezone);
+  let conversions = 0;
+
+  for (let dayIndex = 0; dayIndex < MAX_LOOKAHEAD_DAYS && runs.length < count; dayIndex++) {
+    const date = new Date(Date.UTC(start.year, start.month - 1, start.day + dayIndex));
+    const day = {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate()
+    };
+
+    if (!parsed.month.includes(day.month)) continue;
+    if (!parsed.dayOfMonth.includes(day.day)) continue;
+    if (!parsed.dayOfWeek.includes(date.getUTCDay())) continue;
+
+    // On the first day, skip wall-clock times before `from` without converting them
+    const isFirstDay = dayIndex === 0;
+
+    for (const hour of parsed.hour) {
+      if (isFirstDay && hour < start.hour) continue;
+
+      for (const minute of parsed.minute) {
+        if (isFirstDay && hour === start.hour && minute < start.minute) continue;
+
+        for (const second of parsed.second) {
+          if (isFirstDay && hour === start.hour && minute === start.minute && second < start.second) continue;
+          if (++conversions > MAX_CONVERSIONS) return runs;
+
+          const run = fromZonedTime({ ...day, hour, minute, second }, timezone);
+          if (!run || run <= from) continue;
+
+          runs.push(run);
+          if (runs.length >= count) return runs;
+        }
+      }
+    }
+  }
+
+  return runs;
+};
+
+module.exports = {
+  isValidTimezone,
+  isValidExpression,
+  parseExpression,
+  getNextRuns
+};
@@ -1,6 +1,8 @@
 // Disruption calculations utility for backend
 // This mirrors the frontend disruptionCalculations.ts file
 
+const { matchBookingsToAlert } = require('./bookingRiskMatcher.js');
+
 const disruptionCalculations = {
   // Constants for calculations
   INCENTIVE_BONUS: 0.05, // 5%
@@ -89,83 +91,6 @@ const disruptionCalculations = {
     'wildfire': 0.55,
   },
 
-  // Disruption percentages by type (calculated as 1.0 - recovery_rate)
-  disruptionPercentages: {
-    // Main types
-    strike: 0.30, // 1.0 - 0.70
-    weather: 0.25, // 1.0 - 0.75
-    protest: 0.35, // 1.0 - 0.65
-    flight: 0.30, // 1.0 - 0.70
-    staff: 0.35, // 1.0 - 0.65
-    supply: 0.40, // 1.0 - 0.60
-    system: 0.40, // 1.0 - 0.60
-    policy: 0.45, // 1.0 - 0.55
-    economy: 0.45, // 1.0 - 0.55
-    operational: 0.35, // 1.0 - 0.65
-    other: 0.45, // 1.0 - 0.55
-
-    // Sub types - more specific disruption percentages (1.0 - recovery_rate)
-    'airline pilot': 0.35, // 1.0 - 0.65
-    'rail': 0.30, // 1.0 - 0.70
-    'ferry': 0.25, // 1.0 - 0.75
-    'ground staff': 0.30, // 1.0 - 0.70
-    'baggage handlers': 0.25, // 1.0 - 0.75
-    'snow': 0.30, // 1.0 - 0.70
-    'flood': 0.40, // 1.0 - 0.60
-    'storm': 0.35, // 1.0 - 0.65
-    'fog': 0.20, // 1.0 - 0.80
-    'ice': 0.25, // 1.0 - 0.75
-    'hurricane': 0.45, // 1.0 - 0.55
-    'heatwave': 0.15, // 1.0 - 0.85
-    'cold snap': 0.25, // 1.0 - 0.75
-    'march': 0.20, // 1.0 - 0.80
-    'blockade': 0.30, // 1.0 - 0.70
-    'sit-in': 0.25, // 1.0 - 0.75
-    'demonstration': 0.25, // 1.0 - 0.75
-    'rally': 0.20, // 1.0 - 0.80
-    'riot': 0.40, // 1.0 - 0.60
-    'civil unrest': 0.45, // 1.0 - 0.55
-    'delay': 0.25, // 1.0 - 0.75
-    'cancellation': 0.30, // 1.0 - 0.70
-    'grounding': 0.35, // 1.0 - 0.65
-    'overbooking': 0.15, // 1.0 - 0.85
-    'airspace restriction': 0.30, // 1.0 - 0.70
-    'runway closure': 0.40, // 1.0 - 0.60
-    'airport check-in': 0.30, // 1.0 - 0.70
-    'hotel cleaning': 0.25, // 1.0 - 0.75
-    'crew absence': 0.30, // 1.0 - 0.70
-    'pilot shortage': 0.35, // 1.0 - 0.65
-    'jet fuel shortage': 0.35, // 1.0 - 0.65
-    'catering delay': 0.20, // 1.0 - 0.80
-    'laundry crisis': 0.25, // 1.0 - 0.75
-    'toiletries shortage': 0.20, // 1.0 - 0.80
-    'IT crash': 0.45, // 1.0 - 0.55
-    'border control outage': 0.40, // 1.0 - 0.60
-    'booking system down': 0.35, // 1.0 - 0.65
-    'e-gates failure': 0.30, // 1.0 - 0.70
-    'ATM system failure': 0.25, // 1.0 - 0.75
-    'air traffic system down': 0.50, // 1.0 - 0.50
-    'travel ban': 0.55, // 1.0 - 0.45
-    'visa change': 0.35, // 1.0 - 0.65
-    'quarantine rule': 0.45, // 1.0 - 0.55
-    'advisory': 0.15, // 1.0 - 0.85
-    'embargo': 0.40, // 1.0 - 0.60
-    'pound surge': 0.30, // 1.0 - 0.70
-    'recession': 0.40, // 1.0 - 0.60
-    'tourist drop': 0.45, // 1.0 - 0.55
-    'exchange rate crash': 0.35, // 1.0 - 0.65
-    'FX volatility': 0.30, // 1.0 - 0.70
-    'inflation hit': 0.25, // 1.0 - 0.75
-    'road closure': 0.25, // 1.0 - 0.75
-    'festival chaos': 0.30, // 1.0 - 0.70
-    'construction delay': 0.20, // 1.0 - 0.80
-    'mechanical failure': 0.35, // 1.0 - 0.65
-    'natural disaster': 0.55, // 1.0 - 0.45
-    'volcano': 0.50, // 1.0 - 0.50
-    'earthquake': 0.60, // 1.0 - 0.40
-    'wildfire': 0.45, // 1.0 - 0.55
-  },
-
   // Calculate nights at risk
   calculateNightsAtRisk: function(rooms, occupancy, disruptionPercentage) {
     return Math.round(rooms * occupancy * disruptionPercentage);
@@ -176,43 +101,89 @@ const disruptionCalculations = {
     return nightsAtRisk * avgRoomRate;
   },
 
-  // Calculate recovery rate with incentive bonus
-  calculateRecoveryRate: function(disruptionType, hasIncentives) {
-    let baseRate;
+  // Recovery rates learned from booking outcomes (see config/recoveryRateCalibrator.js),
+  // keyed by mainType|subType|city. Empty until a calibrated table is activated.
+  learnedRates: new Map(),
+  activeRateVersion: null,
+
+  // Load the active calibrated rate table into memory
+  setActiveRateTable: function(table) {
+    this.learnedRates = new Map();
+    this.activeRateVersion = table ? table.version : null;
+
+    for (const entry of table?.rates || []) {
+      this.learnedRates.set(
+        this.getRateKey(entry.mainType, entry.subType, entry.city),
+        entry.recoveryRate
+      );
+    }
+  },
 
+  getRateKey: function(mainType, subType, city) {
+    return [mainType, subType, city].map(part => (part || '').toString().trim().toLowerCase()).join('|');
+  },
+
+  // Map a disruption type onto the default recovery rate table
+  getDefaultRecoveryRate: function(disruptionType) {
     // First try to find exact match (for sub types)
     if (this.recoveryRates[disruptionType]) {
-      baseRate = this.recoveryRates[disruptionType];
-    } else {
-      // If not found, try to match main type
-      const normalizedType = disruptionType.toLowerCase().replace(/[_ ]/g, '');
-
-      // Map common patterns to main types
-      if (normalizedType.includes('strike') || normalizedType.includes('pilot') || normalizedType.includes('rail') || normalizedType.includes('ferry')) {
-        baseRate = this.recoveryRates.strike;
-      } else if (normalizedType.includes('weather') || normalizedType.includes('snow') || normalizedType.includes('flood') || normalizedType.includes('storm')) {
-        baseRate = this.recoveryRates.weather;
-      } else if (normalizedType.includes('protest') || normalizedType.includes('march') || normalizedType.includes('demonstration')) {
-        baseRate = this.recoveryRates.protest;
-      } else if (normalizedType.includes('flight') || normalizedType.includes('delay') || normalizedType.includes('cancellation')) {
-        baseRate = this.recoveryRates.flight;
-      } else if (normalizedType.includes('staff') || normalizedType.includes('crew') || normalizedType.includes('cleaning')) {
-        baseRate = this.recoveryRates.staff;
-      } else if (normalizedType.includes('supply') || normalizedType.includes('fuel') || normalizedType.includes('catering')) {
-        baseRate = this.recoveryRates.supply;
-      } else if (normalizedType.includes('system') || normalizedType.includes('it') || normalizedType.includes('booking')) {
-        baseRate = this.recoveryRates.system;
-      } else if (normalizedType.includes('operational') || normalizedType.includes('operational')) {
-        baseRate = this.recoveryRates.operational;
-      } else if (normalizedType.includes('policy') || normalizedType.includes('ban') || normalizedType.includes('visa')) {
-        baseRate = this.recoveryRates.policy;
-      } else if (normalizedType.includes('economy') || normalizedType.includes('pound') || normalizedType.includes('recession')) {
-        baseRate = this.recoveryRates.economy;
-      } else {
-        baseRate = this.recoveryRates.other;
+      return this.recoveryRates[disruptionType];
+    }
+
+    // If not found, try to match main type
+    const normalizedType = (disruptionType || '').toLowerCase().replace(/[_ ]/g, '');
+
+    // Map common patterns to main types
+    if (normalizedType.includes('strike') || normalizedType.includes('pilot') || normalizedType.includes('rail') || normalizedType.includes('ferry')) {
+      return this.recoveryRates.strike;
+    } else if (normalizedType.includes('weather') || normalizedType.includes('snow') || normalizedType.includes('flood') || normalizedType.includes('storm')) {
+      return this.recoveryRates.weather;
+    } else if (normalizedType.includes('protest') || normalizedType.includes('march') || normalizedType.includes('demonstration')) {
+      return this.recoveryRates.protest;
+    } else if (normalizedType.includes('flight') || normalizedType.includes('delay') || normalizedType.includes('cancellation')) {
+      return this.recoveryRates.flight;
+    } else if (normalizedType.includes('staff') || normalizedType.includes('crew') || normalizedType.includes('cleaning')) {
+      return this.recoveryRates.staff;
+    } else if (normalizedType.includes('supply') || normalizedType.includes('fuel') || normalizedType.includes('catering')) {
+      return this.recoveryRates.supply;
+    } else if (normalizedType.includes('system') || normalizedType.includes('it') || normalizedType.includes('booking')) {
+      return this.recoveryRates.system;
+    } else if (normalizedType.includes('operational')) {
+      return this.recoveryRates.operational;
+    } else if (normalizedType.includes('policy') || normalizedType.includes('ban') || normalizedType.includes('visa')) {
+      return this.recoveryRates.policy;
+    } else if (normalizedType.includes('economy') || normalizedType.includes('pound') || normalizedType.includes('recession')) {
+      return this.recoveryRates.economy;
+    }
+
+    return this.recoveryRates.other;
+  },
+
+  // Look up the base recovery rate (before incentives)
+  // Learned rates are tried from most to least specific, then the default table is used.
+  getBaseRecoveryRate: function(disruptionType, context = {}) {
+    const { subType, city } = context;
+    const candidates = [
+      [disruptionType, subType, city],
+      [disruptionType, subType, null],
+      [disruptionType, null, city],
+      [disruptionType, null, null]
+    ];
+
+    for (const [mainType, sub, cityName] of candidates) {
+      const key = this.getRateKey(mainType, sub, cityName);
+      if (this.learnedRates.has(key)) {
+        return { rate: this.learnedRates.get(key), source: 'learned', version: this.activeRateVersion };
       }
     }
 
+    return { rate: this.getDefaultRecoveryRate(disruptionType), source: 'default', version: null };
+  },
+
+  // Calculate recovery rate with incentive bonus
+  calculateRecoveryRate: function(disruptionType, hasIncentives, context = {}) {
+    const baseRate = this.getBaseRecoveryRate(disruptionType, context).rate;
+
     const incentiveBonus = hasIncentives ? this.INCENTIVE_BONUS : 0;
     return Math.min(baseRate + incentiveBonus, 1.0); // Cap at 100%
   },
@@ -275,74 +246,76 @@ const disruptionCalculations = {
   },
 
   // Calculate disruption percentage (dynamically based on recovery rate and incentives)
-  calculateDisruptionPercentage: function(disruptionType, hasIncentives) {
-    let baseRate;
-
-    // First try to find exact match (for sub types)
-    if (this.recoveryRates[disruptionType]) {
-      baseRate = this.recoveryRates[disruptionType];
-    } else {
-      // If not found, try to match main type
-      const normalizedType = disruptionType.toLowerCase().replace(/[_ ]/g, '');
-
-      // Map common patterns to main types
-      if (normalizedType.includes('strike') || normalizedType.includes('pilot') || normalizedType.includes('rail') || normalizedType.includes('ferry')) {
-        baseRate = this.recoveryRates.strike;
-      } else if (normalizedType.includes('weather') || normalizedType.includes('snow') || normalizedType.includes('flood') || normalizedType.includes('storm')) {
-        baseRate = this.recoveryRates.weather;
-      } else if (normalizedType.includes('protest') || normalizedType.includes('march') || normalizedType.includes('demonstration')) {
-        baseRate = this.recoveryRates.protest;
-      } else if (normalizedType.includes('flight') || normalizedType.includes('delay') || normalizedType.includes('cancellation')) {
-        baseRate = this.recoveryRates.flight;
-      } else if (normalizedType.includes('staff') || normalizedType.includes('crew') || normalizedType.includes('cleaning')) {
-        baseRate = this.recoveryRates.staff;
-      } else if (normalizedType.includes('supply') || normalizedType.includes('fuel') || normalizedType.includes('catering')) {
-        baseRate = this.recoveryRates.supply;
-      } else if (normalizedType.includes('system') || normalizedType.includes('it') || normalizedType.includes('booking')) {
-        baseRate = this.recoveryRates.system;
-      } else if (normalizedType.includes('operational') || normalizedType.includes('operational')) {
-        baseRate = this.recoveryRates.operational;
-      } else if (normalizedType.includes('policy') || normalizedType.includes('ban') || normalizedType.includes('visa')) {
-        baseRate = this.recoveryRates.policy;
-      } else if (normalizedType.includes('economy') || normalizedType.includes('pound') || normalizedType.includes('recession')) {
-        baseRate = this.recoveryRates.economy;
-      } else {
-        baseRate = this.recoveryRates.other;
-      }
-    }
-
-    const incentiveBonus = hasIncentives ? this.INCENTIVE_BONUS : 0;
-    const recoveryRate = Math.min(baseRate + incentiveBonus, 1.0);
+  calculateDisruptionPercentage: function(disruptionType, hasIncentives, context = {}) {
+    const recoveryRate = this.calculateRecoveryRate(disruptionType, hasIncentives, context);
 
     // Disruption rate is the complement (what's not recovered)
     return Math.max(0, 1.0 - recoveryRate);
   },
 
+  // Calculate booked room-nights and revenue inside the alert window from real bookings
+  // Cancelled and no-show bookings are ignored as they no longer bring in revenue
+  getBookedExposure: function(alert, bookings) {
+    const activeBookings = bookings.filter(booking => !['cancelled', 'no_show'].includes(booking.status));
+    const matches = matchBookingsToAlert(alert, activeBookings);
+
+    const bookedNights = matches.reduce((sum, match) => sum + match.overlapNights, 0);
+    const bookedRevenue = matches.reduce((sum, match) => sum + match.revenueAtRisk, 0);
+
+    return {
+      bookingsMatched: matches.length,
+      bookedNights,
+      bookedRevenue: Math.round(bookedRevenue * 100) / 100,
+      avgRoomRate: bookedNights > 0 ? bookedRevenue / bookedNights : 0
+    };
+  },
+
   // Calculate disruption risk for an alert and user
-  calculateDisruptionRisk: function(alert, user) {
+  // When the hotel's bookings are passed in and some fall inside the alert window, the risk is
+  // based on those room-nights and rates; otherwise it is estimated from the hotel profile.
+  calculateDisruptionRisk: function(alert, user, bookings = null) {
     // Get user profile data
     const profile = this.getUserProfile(user);
 
     // Calculate recovery rate first (includes incentives)
     const hasIncentives = profile.incentives.length > 0;
-    const recoveryRate = this.calculateRecoveryRate(alert.mainType, hasIncentives);
+    const rateContext = { subType: alert.subType, city: alert.city };
+    const recoveryRate = this.calculateRecoveryRate(alert.mainType, hasIncentives, rateContext);
+    const recoveryRateSource = this.getBaseRecoveryRate(alert.mainType, rateContext).source;
 
     // Calculate disruption percentage dynamically (1.0 - recovery rate)
-    const disruptionPercentage = this.calculateDisruptionPercentage(alert.mainType, hasIncentives);
+    const disruptionPercentage = this.calculateDisruptionPercentage(alert.mainType, hasIncentives, rateContext);
+
+    const exposure = Array.isArray(bookings) && bookings.length > 0
+      ? this.getBookedExposure(alert, bookings)
+      : null;
+    const method = exposure && exposure.bookingsMatched > 0 ? 'booking-based' : 'profile-estimate';
 
-    // Calculate nights at risk
-    const nightsAtRisk = this.calculateNightsAtRisk(
-      profile.rooms,
-      profile.occupancy,
-      disruptionPercentage
-    );
+    let nightsAtRisk;
+    let poundsAtRisk;
+    let avgRoomRate;
 
-    // Calculate pounds at risk
-    const poundsAtRisk = this.calculatePoundsAtRisk(nightsAtRisk, profile.avgRoomRate);
+    if (method === 'booking-based') {
+      avgRoomRate = exposure.avgRoomRate;
+      nightsAtRisk = Math.round(exposure.bookedNights * disruptionPercentage);
+      poundsAtRisk = Math.round(exposure.bookedRevenue * disruptionPercentage * 100) / 100;
+    } else {
+      avgRoomRate = profile.avgRoomRate;
+
+      // Calculate nights at risk
+      nightsAtRisk = this.calculateNightsAtRisk(
+        profile.rooms,
+        profile.occupancy,
+        disruptionPercentage
+      );
+
+      // Calculate pounds at risk
+      poundsAtRisk = this.calculatePoundsAtRisk(nightsAtRisk, avgRoomRate);
+    }
 
     // Calculate nights and pounds saved
     const nightsSaved = this.calculateNightsSaved(nightsAtRisk, recoveryRate);
-    const poundsSaved = this.calculatePoundsSaved(nightsSaved, profile.avgRoomRate);
+    const poundsSaved = Math.round(this.calculatePoundsSaved(nightsSaved, avgRoomRate) * 100) / 100;
 
     let header;
     if (alert.title) {
@@ -354,16 +327,19 @@ const disruptionCalculations = {
     const timeStatus = this.getTimeStatus(alert.startDate);
 
     return {
+      method,
       nightsAtRisk,
       poundsAtRisk,
       recoveryRate,
+      recoveryRateSource,
       disruptionPercentage, // Include for reference
       nightsSaved,
       poundsSaved,
       header,
       timeAhead,
       timeStatus,
-      profile
+      profile,
+      bookingData: method === 'booking-based' ? exposure : null
     };
   },
 
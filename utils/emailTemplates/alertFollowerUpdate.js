@@ -0,0 +1,52 @@
+const { transporter } = require('../emailService.js');
+
+// Send a summary of changes to someone following an alert
+const sendAlertFollowerUpdate = async (email, firstName, alert, changeLines) => {
+  const greeting = firstName ? `Hello ${firstName},` : 'Hello,';
+  const alertLink = `${process.env.FRONTEND_URL || 'https://tourprism.com'}/feed?id=${alert._id}`;
+
+  const changeRows = changeLines.map(line => `
+              <tr>
+                <td style="padding: 8px 0; color: #666; border-bottom: 1px solid #f0f0f0;">${line}</td>
+              </tr>`).join('');
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER || "no-reply@tourprism.com",
+    to: email,
+    subject: `Update: ${alert.title}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #333;">
+        <p>${greeting}</p>
+        <p>An alert you follow has been updated:</p>
+
+        <div style="border: 1px solid #eaeaea; border-radius: 8px; overflow: hidden; margin: 25px 0; box-shadow: 0 2px 4px rgba(0,0,0,0.05);">
+          <div style="padding: 15px 20px; background-color: #fff;">
+            <h3 style="margin-top: 0; margin-bottom: 15px; font-size: 18px; color: #222; font-weight: bold;">${alert.title}</h3>
+            <p style="color: #666; margin-bottom: 20px;">${alert.city || ''}</p>
+
+            <h4 style="margin-top: 0; font-size: 15px; color: #222;">What changed</h4>
+            <table style="width: 100%; border-collapse: collapse; margin-bottom: 15px;">${changeRows}
+            </table>
+          </div>
+        </div>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${alertLink}" style="background-color: #000; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold; text-transform: uppercase;">View Alert</a>
+        </div>
+
+        <p style="font-size: 12px; color: #888;">You are receiving this because you follow this alert. Unfollow it in the app to stop these updates.</p>
+        <p>Thank you,<br>The Tourprism Team</p>
+      </div>
+    `
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error('Error sending alert follower update:', error);
+    return false;
+  }
+};
+
+module.exports = sendAlertFollowerUpdate;
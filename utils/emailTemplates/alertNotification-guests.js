@@ -99,9 +99,10 @@ const sendAlertNotificationToGuest = async (email, name, alertTitle, message, al
       `
     };
   
+    // Resolves to { messageId } so callers can match delivery webhooks, or false on failure
     try {
-      await transporter.sendMail(mailOptions);
-      return true;
+      const result = await transporter.sendMail(mailOptions);
+      return { messageId: result?.messageId || null };
     } catch (error) {
       console.error('Error sending alert notification to guest:', error);
       return false;
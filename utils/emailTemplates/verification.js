@@ -1,26 +1,43 @@
 const { transporter } = require('../emailService.js');
 
-// Send verification email
-const sendVerificationEmail = async (email, otp) => {
+// Wording for each use of the one-time code
+const PURPOSES = {
+  verification: {
+    subject: 'Email Verification - Tourprism',
+    heading: 'Email Verification',
+    intro: 'Thank you for registering with Tourprism. Please use the following OTP to verify your email address:',
+    footer: "If you didn't request this verification, please ignore this email."
+  },
+  login: {
+    subject: 'Your Login Code - Tourprism',
+    heading: 'Login Code',
+    intro: 'Please use the following code to finish signing in to Tourprism:',
+    footer: "If you didn't try to sign in, please change your password straight away."
+  }
+};
+
+// Send verification email (purpose 'login' sends a two-factor login code instead)
+const sendVerificationEmail = async (email, otp, purpose = 'verification') => {
+    const wording = PURPOSES[purpose] || PURPOSES.verification;
     const mailOptions = {
       from: process.env.EMAIL_FROM || process.env.EMAIL_USER || "no-reply@tourprism.com",
       to: email,
-      subject: 'Email Verification - Tourprism',
+      subject: wording.subject,
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2>Email Verification</h2>
-          <p>Thank you for registering with Tourprism. Please use the following OTP to verify your email address:</p>
+          <h2>${wording.heading}</h2>
+          <p>${wording.intro}</p>
           <h1 style="font-size: 36px; letter-spacing: 5px; text-align: center; color: #4CAF50;">${otp}</h1>
           <p>This OTP will expire in 5 minutes.</p>
-          <p>If you didn't request this verification, please ignore this email.</p>
+          <p>${wording.footer}</p>
         </div>
       `,
-      emailType: 'verification'
+      emailType: purpose === 'login' ? 'two_factor' : 'verification'
     };
 
     try {
       await transporter.sendMail(mailOptions);
-      console.log(`Verification email sent successfully to ${email}`);
+      console.log(`${wording.heading} email sent successfully to ${email}`);
       return true;
     } catch (error) {
       console.error('Error sending verification email:', error);
@@ -0,0 +1,128 @@
+/**
+ * Geo helpers
+ * Points are { latitude, longitude }; GeoJSON coordinates are [longitude, latitude].
+ */
+
+const { GEO_MATCHING } = require('../config/constants.js');
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Convert a GeoJSON point to { latitude, longitude }
+ * @param {Object} geoPoint - { type: 'Point', coordinates: [lng, lat] }
+ * @returns {Object|null}
+ */
+const fromGeoJsonPoint = (geoPoint) => {
+  if (!geoPoint || !Array.isArray(geoPoint.coordinates) || geoPoint.coordinates.length !== 2) {
+    return null;
+  }
+
+  const [longitude, latitude] = geoPoint.coordinates;
+  return { latitude, longitude };
+};
+
+/**
+ * Check that a point has usable coordinates
+ * @param {Object} point - { latitude, longitude }
+ * @returns {boolean}
+ */
+const isValidPoint = (point) => !!point &&
+  typeof point.latitude === 'number' && typeof point.longitude === 'number' &&
+  Math.abs(point.latitude) <= 90 && Math.abs(point.longitude) <= 180;
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} pointA - { latitude, longitude }
+ * @param {Object} pointB - { latitude, longitude }
+ * @returns {number} - Distance in kilometres
+ */
+const haversineKm = (pointA, pointB) => {
+  const dLat = toRadians(pointB.latitude - pointA.latitude);
+  const dLng = toRadians(pointB.longitude - pointA.longitude);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(pointA.latitude)) * Math.cos(toRadians(pointB.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Check whether a point lies inside a GeoJSON polygon (outer ring only, ray casting)
+ * @param {Object} point - { latitude, longitude }
+ * @param {Array} polygonCoordinates - GeoJSON Polygon coordinates [[[lng, lat], ...]]
+ * @returns {boolean}
+ */
+const pointInPolygon = (point, polygonCoordinates) => {
+  const ring = polygonCoordinates?.[0];
+  if (!ring || ring.length < 3) return false;
+
+  const x = point.longitude;
+  const y = point.latitude;
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    const intersects = ((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
+    if (intersects) inside = !inside;
+  }
+
+  return inside;
+};
+
+/**
+ * Approximate distance from a point to a polygon (0 inside, otherwise nearest vertex)
+ * @param {Object} point - { latitude, longitude }
+ * @param {Array} polygonCoordinates - GeoJSON Polygon coordinates
+ * @returns {number|null} - Distance in kilometres
+ */
+const distanceToPolygonKm = (point, polygonCoordinates) => {
+  const ring = polygonCoordinates?.[0];
+  if (!ring || ring.length === 0) return null;
+  if (pointInPolygon(point, polygonCoordinates)) return 0;
+
+  return Math.min(...ring.map(([longitude, latitude]) => haversineKm(point, { latitude, longitude })));
+};
+
+/**
+ * Work out whether an alert affects a point and how far away it is
+ * Checked in order: the alert's impact area, its location and radius, then the centre of its
+ * city for alerts without coordinates (matched on the city name alone).
+ * @param {Object} alert - Alert document or plain object
+ * @param {Object} point - { latitude, longitude }
+ * @param {Object} options - { cityCentre: { latitude, longitude }, sameCity: boolean }
+ * @returns {Object} - { affected, distanceKm, matchedBy: 'area' | 'radius' | 'city' | null }
+ */
+const getAlertImpact = (alert, point, options = {}) => {
+  if (alert.impactArea?.coordinates?.length) {
+    const distanceKm = distanceToPolygonKm(point, alert.impactArea.coordinates);
+    return { affected: distanceKm === 0, distanceKm, matchedBy: 'area' };
+  }
+
+  const alertPoint = fromGeoJsonPoint(alert.location);
+  if (isValidPoint(alertPoint)) {
+    const distanceKm = haversineKm(point, alertPoint);
+    const radiusKm = alert.impactRadiusKm ?? GEO_MATCHING.DEFAULT_IMPACT_RADIUS_KM;
+    return { affected: distanceKm <= radiusKm, distanceKm, matchedBy: 'radius' };
+  }
+
+  if (options.sameCity) {
+    const distanceKm = isValidPoint(options.cityCentre) ? haversineKm(point, options.cityCentre) : null;
+    return { affected: true, distanceKm, matchedBy: 'city' };
+  }
+
+  return { affected: false, distanceKm: null, matchedBy: null };
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  fromGeoJsonPoint,
+  isValidPoint,
+  haversineKm,
+  pointInPolygon,
+  distanceToPolygonKm,
+  getAlertImpact
+};
@@ -0,0 +1,187 @@
+const RateLimitCounter = require("../models/RateLimitCounter.js");
+const Logger = require("./logger.js");
+const { RATE_LIMITS, RATE_LIMIT_DELAYS } = require("../config/constants.js");
+
+/**
+ * Rate limiting for login and one-time-code endpoints
+ * Counts attempts per IP and per account in MongoDB so limits hold across instances.
+ * Policies are defined in config/constants.js (RATE_LIMITS).
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const normaliseIdentifier = (identifier) => String(identifier).trim().toLowerCase();
+
+class RateLimiter {
+  getKey(policy, scope, identifier) {
+    return `${policy}:${scope}:${normaliseIdentifier(identifier)}`;
+  }
+
+  /**
+   * Find an active delay or lockout for any of the given scopes
+   * @param {string} policy - Key of RATE_LIMITS
+   * @param {Object} identifiers - { ip, account }
+   * @returns {Promise<Object|null>} - { scope, reason, retryAfterSeconds } for the longest wait
+   */
+  async getBlock(policy, identifiers) {
+    const keys = Object.entries(identifiers)
+      .filter(([, identifier]) => identifier)
+      .map(([scope, identifier]) => this.getKey(policy, scope, identifier));
+    if (keys.length === 0) return null;
+
+    const now = new Date();
+    const blocked = await RateLimitCounter.find({ key: { $in: keys }, lockedUntil: { $gt: now } })
+      .sort({ lockedUntil: -1 })
+      .limit(1)
+      .lean();
+    if (blocked.length === 0) return null;
+
+    return {
+      scope: blocked[0].scope,
+      reason: blocked[0].lockReason,
+      retryAfterSeconds: Math.ceil((blocked[0].lockedUntil - now) / 1000)
+    };
+  }
+
+  /**
+   * Count an attempt and apply a delay or lockout when the policy's limits are reached
+   * @param {string} policy - Key of RATE_LIMITS
+   * @param {string} scope - 'ip' or 'account'
+   * @param {string} identifier - IP address, email or user ID
+   * @param {Object} req - Express request (for the lockout log entry)
+   * @returns {Promise<Object>} - { blocked, reason, retryAfterSeconds }
+   */
+  async hit(policy, scope, identifier, req = null) {
+    const rule = RATE_LIMITS[policy]?.[scope];
+    if (!rule || !identifier) return { blocked: false };
+
+    const key = this.getKey(policy, scope, identifier);
+    const now = Date.now();
+    const memoryMs = RATE_LIMIT_DELAYS.MEMORY_HOURS * 60 * MINUTE_MS;
+
+    let counter = await RateLimitCounter.findOneAndUpdate(
+      { key, windowExpiresAt: { $gt: new Date(now) } },
+      { $inc: { count: 1 } },
+      { new: true }
+    );
+
+    if (!counter) {
+      // First attempt, or the previous window has ended
+      const windowExpiresAt = new Date(now + rule.windowMinutes * MINUTE_MS);
+      try {
+        counter = await RateLimitCounter.findOneAndUpdate(
+          { key },
+          {
+            $set: {
+              policy,
+              scope,
+              identifier: normaliseIdentifier(identifier),
+              count: 1,
+              windowExpiresAt,
+              expiresAt: new Date(windowExpiresAt.getTime() + memoryMs)
+            }
+          },
+          { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+      } catch (error) {
+        // Another request created the counter at the same moment
+        if (error.code === 11000) return this.hit(policy, scope, identifier, req);
+        throw error;
+      }
+    }
+
+    if (counter.count > rule.max) {
+      const lockoutMs = Math.min(
+        rule.lockoutMinutes * MINUTE_MS * 2 ** counter.lockouts,
+        RATE_LIMIT_DELAYS.MAX_LOCKOUT_MINUTES * MINUTE_MS
+      );
+      const lockedUntil = new Date(now + lockoutMs);
+
+      await RateLimitCounter.updateOne(
+        { _id: counter._id },
+        {
+          $set: {
+            count: 0,
+            windowExpiresAt: lockedUntil,
+            lockedUntil,
+            lockReason: 'lockout',
+            expiresAt: new Date(lockedUntil.getTime() + memoryMs)
+          },
+          $inc: { lockouts: 1 }
+        }
+      );
+
+      await Logger.log({ action: 'rate_limit_lockout', req, details: {
+        policy,
+        scope,
+        identifier: counter.identifier,
+        attempts: counter.count,
+        lockouts: counter.lockouts + 1,
+        lockedUntil
+      }});
+
+      return { blocked: true, reason: 'lockout', retryAfterSeconds: Math.ceil(lockoutMs / 1000) };
+    }
+
+    if (rule.delayAfter && counter.count > rule.delayAfter) {
+      // This attempt goes ahead; the next one has to wait
+      const delaySeconds = Math.min(
+        RATE_LIMIT_DELAYS.BASE_SECONDS * 2 ** (counter.count - rule.delayAfter - 1),
+        RATE_LIMIT_DELAYS.MAX_SECONDS
+      );
+      await RateLimitCounter.updateOne(
+        { _id: counter._id },
+        { $set: { lockedUntil: new Date(now + delaySeconds * 1000), lockReason: 'delay' } }
+      );
+    }
+
+    return { blocked: false };
+  }
+
+  /**
+   * Forget the attempts for a scope (e.g. after a successful login)
+   */
+  async reset(policy, scope, identifier) {
+    if (!identifier) return;
+    await RateLimitCounter.deleteOne({ key: this.getKey(policy, scope, identifier) });
+  }
+
+  /**
+   * Active lockouts for an account, across all policies
+   * @param {Array<string>} identifiers - Emails and IDs the account is known by
+   * @returns {Promise<Array>} - [{ policy, identifier, lockedUntil, lockouts }]
+   */
+  async getAccountLockouts(identifiers) {
+    const counters = await RateLimitCounter.find({
+      scope: 'account',
+      identifier: { $in: identifiers.filter(Boolean).map(normaliseIdentifier) },
+      lockReason: 'lockout',
+      lockedUntil: { $gt: new Date() }
+    }).lean();
+
+    return counters.map(counter => ({
+      policy: counter.policy,
+      identifier: counter.identifier,
+      lockedUntil: counter.lockedUntil,
+      lockouts: counter.lockouts
+    }));
+  }
+
+  /**
+   * Clear every counter, delay and lockout for an account
+   * @param {Array<string>} identifiers - Emails and IDs the account is known by
+   * @returns {Promise<number>} - Number of counters removed
+   */
+  async unlockAccount(identifiers) {
+    const result = await RateLimitCounter.deleteMany({
+      scope: 'account',
+      identifier: { $in: identifiers.filter(Boolean).map(normaliseIdentifier) }
+    });
+    return result.deletedCount;
+  }
+}
+
+// Export singleton instance
+const rateLimiter = new RateLimiter();
+
+module.exports = rateLimiter;
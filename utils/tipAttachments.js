@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Files that can be attached to a tip (photos of notices, screenshots, PDFs)
+const ALLOWED_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf'
+};
+
+class TipAttachmentStorage {
+  constructor() {
+    this.uploadDir = path.join(__dirname, '../uploads/tip-attachments');
+    this.ensureUploadDir();
+  }
+
+  ensureUploadDir() {
+    if (!fs.existsSync(this.uploadDir)) {
+      fs.mkdirSync(this.uploadDir, { recursive: true });
+    }
+  }
+
+  isAllowedType(mimeType) {
+    return Object.prototype.hasOwnProperty.call(ALLOWED_TYPES, mimeType);
+  }
+
+  /**
+   * Write an uploaded file to disk
+   * @param {Object} file - multer file (memory storage)
+   * @returns {Object} - AlertTip attachment: { fileId, originalName, mimeType, size }
+   */
+  save(file) {
+    const fileId = `${crypto.randomUUID()}${ALLOWED_TYPES[file.mimetype] || ''}`;
+    fs.writeFileSync(path.join(this.uploadDir, fileId), file.buffer);
+
+    return {
+      fileId,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size
+    };
+  }
+
+  /**
+   * Get the path of a stored file
+   * @returns {string|null} - null when it is missing
+   */
+  getPath(fileId) {
+    // File IDs are generated here; anything else (e.g. "../") is refused
+    if (!/^[0-9a-f-]+\.[a-z]+$/.test(fileId)) return null;
+
+    const filePath = path.join(this.uploadDir, fileId);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  remove(fileId) {
+    const filePath = this.getPath(fileId);
+    if (filePath) {
+      fs.unlinkSync(filePath);
+    }
+  }
+}
+
+module.exports = new TipAttachmentStorage();
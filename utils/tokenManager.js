@@ -1,5 +1,7 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User.js");
+const RevokedToken = require("../models/RevokedToken.js");
+const Session = require("../models/Session.js");
 const Logger = require("./logger.js");
 const crypto = require("crypto");
 const dotenv = require("dotenv");
@@ -9,14 +11,27 @@ dotenv.config();
 
 /**
  * Global Token Management System
- * Handles JWT token generation, verification, refresh, and blacklisting
+ * Handles JWT token generation, verification, refresh, and revocation.
+ * Revocations are stored in MongoDB so they survive restarts and apply on every instance.
+ *
+ * Each sign-in starts a Session with a short-lived access token (authToken cookie) and a
+ * refresh token (refreshToken cookie, "<sessionId>.<secret>") that is replaced on every use.
+ * Presenting a refresh token that was already replaced signs the whole session out.
  */
 
+// A refresh token replaced within this window is treated as a concurrent refresh, not reuse
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+
+// How often lastSeenAt is written while a session is in use
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+const hashSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
 class TokenManager {
   constructor() {
-    this.tokenBlacklist = new Set();
     this.jwtSecret = process.env.JWT_SECRET;
-    this.tokenExpiry = process.env.JWT_EXPIRY || "365d";
+    this.tokenExpiry = process.env.JWT_EXPIRY || "15m";
+    this.refreshTokenExpiry = process.env.REFRESH_TOKEN_EXPIRY || "30d";
   }
 
   /**
@@ -101,11 +116,6 @@ class TokenManager {
         return null;
       }
 
-      // Check if token is blacklisted
-      if (this.tokenBlacklist.has(token)) {
-        return null;
-      }
-
       // Verify token signature and decode
       const decoded = jwt.verify(token, this.jwtSecret, {
         issuer: 'tourprism-api',
@@ -117,6 +127,20 @@ class TokenManager {
         return null;
       }
 
+      // Check if this token was revoked (e.g. logged out)
+      if (await RevokedToken.exists({ tokenId: decoded.tokenId })) {
+        return null;
+      }
+
+      // Check the session the token was issued for is still signed in
+      if (decoded.sessionId) {
+        const session = await Session.findById(decoded.sessionId).select('revokedAt expiresAt lastSeenAt');
+        if (!session || !session.isActive()) {
+          return null;
+        }
+        this.touchSession(session);
+      }
+
       // If database verification is required (default: true)
       if (options.verifyDatabase !== false) {
         const user = await User.findById(decoded.userId);
@@ -129,15 +153,28 @@ class TokenManager {
           return null;
         }
 
+        // Reject the account holder's tokens issued before all their sessions were revoked
+        if (!decoded.isCollaborator && this.isIssuedBefore(decoded, user.tokensRevokedAt)) {
+          return null;
+        }
+
         // For collaborators, verify collaborator still exists and is active
         if (decoded.isCollaborator) {
-          const collaborator = user.collaborators.find(c => c.email === decoded.collaboratorEmail);
+          const collaborator = decoded.collaboratorId
+            ? user.collaborators.id(decoded.collaboratorId)
+            : user.collaborators.find(c => c.email === decoded.collaboratorEmail);
           if (!collaborator || collaborator.status !== 'active') {
             return null;
           }
-          
-          // Add fresh collaborator data
+
+          // Reject tokens issued before access was revoked (e.g. revoked then invited again)
+          if (this.isIssuedBefore(decoded, collaborator.tokensRevokedAt)) {
+            return null;
+          }
+
+          // Add fresh collaborator data (the role may have changed since the token was issued)
           decoded.collaboratorData = collaborator;
+          decoded.collaboratorRole = collaborator.role;
         }
 
         // Add fresh user data
@@ -162,14 +199,270 @@ class TokenManager {
 
 
   /**
-   * Blacklist a token (logout)
-   * @param {string} token - Token to blacklist
+   * Issue a short-lived token proving the password step of a login succeeded
+   * It has its own audience, so it is never accepted as an access token.
+   * @param {Object} user - User document
+   * @param {string} purpose - 'two_factor' (enter a code) or 'two_factor_setup' (2FA must be set up first)
+   * @returns {string}
+   */
+  generateChallengeToken(user, purpose) {
+    return jwt.sign({ userId: user._id.toString(), purpose }, this.jwtSecret, {
+      expiresIn: "10m",
+      issuer: 'tourprism-api',
+      audience: 'tourprism-challenge'
+    });
+  }
+
+  /**
+   * Verify a challenge token
+   * @param {string} token - From generateChallengeToken
+   * @param {string} purpose - The purpose it must have been issued for
+   * @returns {Object|null} - { userId, purpose } or null if invalid or expired
+   */
+  verifyChallengeToken(token, purpose) {
+    try {
+      const decoded = jwt.verify(token, this.jwtSecret, {
+        issuer: 'tourprism-api',
+        audience: 'tourprism-challenge'
+      });
+      return decoded.purpose === purpose ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Sign a user in on a new device: create a Session, issue both tokens and set the cookies
+   * @param {Object} req - Express request (for user agent and IP)
+   * @param {Object} res - Express response
+   * @param {Object} user - User document (the parent account for collaborators)
+   * @param {Object} collaborator - Optional collaborator subdocument
+   * @returns {Promise<Object>} - { accessToken, expiresIn, expiresAt, session }
+   */
+  async startSession(req, res, user, collaborator = null) {
+    const secret = crypto.randomBytes(32).toString("hex");
+    const refreshExpiresIn = this.parseExpiry(this.refreshTokenExpiry);
+
+    const session = await Session.create({
+      user: user._id,
+      collaboratorId: collaborator?._id || null,
+      collaboratorEmail: collaborator?.email,
+      userAgent: req?.headers?.["user-agent"],
+      ip: req?.ip,
+      refreshTokenHash: hashSecret(secret),
+      expiresAt: new Date(Date.now() + refreshExpiresIn)
+    });
+
+    const tokens = this.generateTokens(user, collaborator, {
+      metadata: { sessionId: session._id.toString() }
+    });
+
+    this.setAuthCookie(res, tokens.accessToken, tokens.expiresIn);
+    this.setRefreshCookie(res, `${session._id}.${secret}`, refreshExpiresIn);
+
+    return { ...tokens, session };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and a new refresh token
+   * @param {string} refreshToken - "<sessionId>.<secret>"
+   * @param {Object} req - Express request (for user agent and IP)
+   * @returns {Promise<Object>} - { accessToken, expiresIn, refreshToken, refreshExpiresIn, user, collaborator, session }
+   *   or { error: 'invalid' | 'reused' | 'rotated' }
+   */
+  async refreshSession(refreshToken, req) {
+    const [sessionId, secret] = (refreshToken || "").split(".");
+    if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+      return { error: "invalid" };
+    }
+
+    const session = await Session.findById(sessionId);
+    if (!session || !session.isActive()) {
+      return { error: "invalid" };
+    }
+
+    const presentedHash = hashSecret(secret);
+    if (presentedHash !== session.refreshTokenHash) {
+      return this.rejectReplacedToken(session, presentedHash);
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || user.status !== "active") {
+      return { error: "invalid" };
+    }
+
+    let collaborator = null;
+    if (session.collaboratorId) {
+      collaborator = user.collaborators.id(session.collaboratorId);
+      if (!collaborator || collaborator.status !== "active") {
+        return { error: "invalid" };
+      }
+    }
+
+    const newSecret = crypto.randomBytes(32).toString("hex");
+    const refreshExpiresIn = this.parseExpiry(this.refreshTokenExpiry);
+
+    const now = new Date();
+    const rotation = {
+      previousRefreshTokenHash: presentedHash,
+      refreshTokenHash: hashSecret(newSecret),
+      rotatedAt: now,
+      lastSeenAt: now,
+      expiresAt: new Date(now.getTime() + refreshExpiresIn)
+    };
+    if (req) {
+      rotation.userAgent = req.headers?.["user-agent"] || session.userAgent;
+      rotation.ip = req.ip || session.ip;
+    }
+
+    // Rotate only if the token is still current, so of two refreshes with the same token
+    // exactly one wins and the other is treated as the second tab
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: rotation },
+      { new: true }
+    );
+    if (!rotated) {
+      const current = await Session.findById(session._id);
+      if (!current || !current.isActive()) {
+        return { error: "invalid" };
+      }
+      return this.rejectReplacedToken(current, presentedHash);
+    }
+
+    const tokens = this.generateTokens(user, collaborator, {
+      metadata: { sessionId: rotated._id.toString() }
+    });
+
+    return {
+      ...tokens,
+      refreshToken: `${rotated._id}.${newSecret}`,
+      refreshExpiresIn,
+      user,
+      collaborator,
+      session: rotated
+    };
+  }
+
+  /**
+   * Handle a refresh token that is no longer the session's current one
+   * @param {Object} session - Session as it is now
+   * @param {string} presentedHash - Hash of the presented secret
+   * @returns {Promise<Object>} - { error: "rotated" } within the grace window, else { error: "reused" }
+   */
+  async rejectReplacedToken(session, presentedHash) {
+    // Two tabs refreshing at once - the other one already got the new token
+    const recentlyRotated = session.rotatedAt && Date.now() - session.rotatedAt.getTime() < REFRESH_REUSE_GRACE_MS;
+    if (presentedHash === session.previousRefreshTokenHash && recentlyRotated) {
+      return { error: "rotated" };
+    }
+
+    // A replaced token came back: it may have been stolen, so end the session for everyone holding it
+    await this.revokeSessions({ _id: session._id }, "refresh_reuse");
+    return { error: "reused" };
+  }
+
+  /**
+   * Sign out matching sessions
+   * @param {Object} filter - Session query, e.g. { _id } or { user, collaboratorId }
+   * @param {string} reason - Stored on the sessions
+   * @returns {Promise<number>} - Number of sessions signed out
+   */
+  async revokeSessions(filter, reason) {
+    const result = await Session.updateMany(
+      { ...filter, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Sign out the session a request belongs to (logout)
+   * Works from the access token's session ID, or from the refresh token when the access token has expired.
+   * @param {Object} source - { sessionId, refreshToken }
+   * @param {string} reason - Stored on the session
+   * @returns {Promise<number>} - Number of sessions signed out
+   */
+  async endSession({ sessionId, refreshToken } = {}, reason = "logout") {
+    if (!sessionId && refreshToken) {
+      const [id, secret] = refreshToken.split(".");
+      if (/^[a-f0-9]{24}$/.test(id || "") && secret &&
+        await Session.exists({ _id: id, refreshTokenHash: hashSecret(secret) })) {
+        sessionId = id;
+      }
+    }
+
+    if (!sessionId) return 0;
+    return this.revokeSessions({ _id: sessionId }, reason);
+  }
+
+  /**
+   * Record that a session is in use, at most once per LAST_SEEN_INTERVAL_MS
+   * @param {Object} session - Session document
+   */
+  touchSession(session) {
+    if (session.lastSeenAt && Date.now() - session.lastSeenAt.getTime() < LAST_SEEN_INTERVAL_MS) {
+      return;
+    }
+
+    Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } })
+      .catch(error => console.error('Error updating session last seen:', error));
+  }
+
+  /**
+   * Check whether a token was issued before a revocation time
+   * Compared in whole seconds, the precision of the iat claim.
+   * @param {Object} decoded - Decoded token
+   * @param {Date} revokedAt - Revocation time (may be unset)
+   * @returns {boolean}
    */
-  blacklistToken(token) {
-    this.tokenBlacklist.add(token);
+  isIssuedBefore(decoded, revokedAt) {
+    return !!revokedAt && decoded.iat < Math.floor(revokedAt.getTime() / 1000);
+  }
+
+  /**
+   * Revoke a single token (logout)
+   * @param {string} token - Token to revoke
+   * @param {string} reason - Stored with the revocation
+   */
+  async blacklistToken(token, reason = 'logout') {
+    const decoded = jwt.decode(token);
+    if (!decoded || !decoded.tokenId) {
+      return;
+    }
 
-    // Clean up expired blacklisted tokens periodically
-    this.cleanupBlacklist();
+    // Keep the record until the token would have expired on its own
+    const expiresAt = decoded.exp
+      ? new Date(decoded.exp * 1000)
+      : new Date(Date.now() + this.parseExpiry(this.tokenExpiry));
+
+    await RevokedToken.updateOne(
+      { tokenId: decoded.tokenId },
+      { $setOnInsert: { user: decoded.userId, reason, expiresAt } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Revoke every token issued to an account holder so far ("revoke all sessions")
+   * @param {string} userId - Account ID
+   * @param {Object} options - { includeCollaborators: true } to also sign out the account's collaborators, { reason }
+   * @returns {Promise<Date>} - The revocation time
+   */
+  async revokeAllForUser(userId, options = {}) {
+    const revokedAt = new Date();
+    const update = { tokensRevokedAt: revokedAt };
+
+    if (options.includeCollaborators) {
+      update['collaborators.$[].tokensRevokedAt'] = revokedAt;
+    }
+
+    await User.updateOne({ _id: userId }, { $set: update });
+    await this.revokeSessions(
+      options.includeCollaborators ? { user: userId } : { user: userId, collaboratorId: null },
+      options.reason || "revoked_all"
+    );
+    return revokedAt;
   }
 
   /**
@@ -193,17 +486,11 @@ class TokenManager {
   }
 
   /**
-   * Set authentication cookie in response
-   * @param {Object} res - Express response object
-   * @param {string} token - JWT token
-   * @param {number} maxAge - Cookie max age in milliseconds
+   * Base cookie options for the auth cookies
+   * @param {string} path - Cookie path
+   * @returns {Object}
    */
-  setAuthCookie(res, token, maxAge = null) {
-    // Calculate max age from token expiry if not provided
-    if (!maxAge) {
-      maxAge = this.parseExpiry(this.tokenExpiry);
-    }
-
+  getCookieOptions(path = '/') {
     // Determine domain based on environment
     const isProduction = process.env.NODE_ENV === 'production';
     const isLocalHttps = process.env.NODE_ENV === 'development' && process.env.USE_HTTPS === 'true';
@@ -213,13 +500,11 @@ class TokenManager {
         ? '.vos.local'
         : undefined; // .tourprism.com or .vos.local allows subdomains
 
-    // Set secure cookie options
     const cookieOptions = {
       httpOnly: true, // Prevents JavaScript access (XSS protection)
       secure: isProduction || isLocalHttps, // Send over HTTPS in production or local HTTPS
       sameSite: (isProduction || isLocalHttps) ? 'none' : 'lax', // CSRF protection - 'none' for cross-domain HTTPS
-      maxAge: Math.floor(maxAge / 1000), // Convert to seconds
-      path: '/', // Available across entire site
+      path,
     };
 
     // Add domain for production (allows subdomain access)
@@ -227,34 +512,46 @@ class TokenManager {
       cookieOptions.domain = domain;
     }
 
-    res.cookie('authToken', token, cookieOptions);
+    return cookieOptions;
   }
 
   /**
-   * Clear authentication cookie
+   * Set authentication cookie in response
    * @param {Object} res - Express response object
+   * @param {string} token - JWT token
+   * @param {number} maxAge - Cookie max age in milliseconds
    */
-  clearAuthCookie(res) {
-    const isProduction = process.env.NODE_ENV === 'production';
-    const isLocalHttps = process.env.NODE_ENV === 'development' && process.env.USE_HTTPS === 'true';
-    const domain = isProduction
-      ? '.tourprism.com'
-      : isLocalHttps
-        ? '.vos.local'
-        : undefined;
+  setAuthCookie(res, token, maxAge = null) {
+    // Calculate max age from token expiry if not provided
+    if (!maxAge) {
+      maxAge = this.parseExpiry(this.tokenExpiry);
+    }
 
-    const cookieOptions = {
-      httpOnly: true,
-      secure: isProduction || isLocalHttps,
-      sameSite: (isProduction || isLocalHttps) ? 'none' : 'lax',
-      path: '/',
-    };
+    // Express takes maxAge in milliseconds
+    res.cookie('authToken', token, { ...this.getCookieOptions(), maxAge });
+  }
 
-    if (domain) {
-      cookieOptions.domain = domain;
+  /**
+   * Set the refresh token cookie (only sent to the /auth routes)
+   * @param {Object} res - Express response object
+   * @param {string} refreshToken - "<sessionId>.<secret>"
+   * @param {number} maxAge - Cookie max age in milliseconds
+   */
+  setRefreshCookie(res, refreshToken, maxAge = null) {
+    if (!maxAge) {
+      maxAge = this.parseExpiry(this.refreshTokenExpiry);
     }
 
-    res.clearCookie('authToken', cookieOptions);
+    res.cookie('refreshToken', refreshToken, { ...this.getCookieOptions('/auth'), maxAge });
+  }
+
+  /**
+   * Clear authentication cookies
+   * @param {Object} res - Express response object
+   */
+  clearAuthCookie(res) {
+    res.clearCookie('authToken', this.getCookieOptions());
+    res.clearCookie('refreshToken', this.getCookieOptions('/auth'));
   }
 
   /**
@@ -280,24 +577,13 @@ class TokenManager {
     return value * units[unit];
   }
 
-  /**
-   * Clean up expired blacklisted tokens
-   */
-  cleanupBlacklist() {
-    // In production, implement proper cleanup logic
-    // For now, we'll keep it simple
-    if (this.tokenBlacklist.size > 10000) {
-      this.tokenBlacklist.clear();
-    }
-  }
-
   /**
    * Get token statistics
-   * @returns {Object} - Token statistics
+   * @returns {Promise<Object>} - Token statistics
    */
-  getStats() {
+  async getStats() {
     return {
-      blacklistedTokens: this.tokenBlacklist.size,
+      revokedTokens: await RevokedToken.estimatedDocumentCount(),
       tokenExpiry: this.tokenExpiry
     };
   }
@@ -0,0 +1,244 @@
+/**
+ * Two-factor authentication helpers
+ * TOTP (RFC 6238, SHA-1, 6 digits, 30 second steps) so any authenticator app works, plus
+ * single-use recovery codes. Email codes reuse the account's otp / otpExpiry fields.
+ */
+
+const crypto = require('crypto');
+const SystemSetting = require('../models/SystemSetting.js');
+const User = require('../models/User.js');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // Accept the previous and next step to allow for clock drift
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = 'Tourprism';
+
+// SystemSetting key: when true, admins must use 2FA to log in with email and password
+const REQUIRE_ADMIN_TWO_FACTOR = 'security.requireAdminTwoFactor';
+
+// Fields to add to a User query when 2FA secrets are needed
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const bits = input
+    .replace(/[\s=-]/g, '')
+    .toUpperCase()
+    .split('')
+    .map(char => {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) throw new Error('Invalid base32 secret');
+      return index.toString(2).padStart(5, '0');
+    })
+    .join('');
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Create a new random TOTP secret
+ * @returns {string} - Base32 secret (160 bits)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute the TOTP code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (Unix seconds / 30)
+ * @returns {string} - Zero-padded code
+ */
+const generateTotp = (secret, step = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS)) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+const safeEqual = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+/**
+ * Check a TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { lastUsedStep } to reject a code that was already used
+ * @returns {number|null} - The matched time step, or null
+ */
+const verifyTotp = (secret, code, options = {}) => {
+  const normalised = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d+$/.test(normalised) || normalised.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    if (options.lastUsedStep != null && step <= options.lastUsedStep) continue;
+    if (safeEqual(generateTotp(secret, step), normalised)) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build the otpauth:// URL shown as a QR code by the frontend
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the user's email
+ * @returns {string}
+ */
+const getOtpauthUrl = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+};
+
+const normaliseRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normaliseRecoveryCode(code)).digest('hex');
+
+/**
+ * Create a fresh set of recovery codes
+ * @returns {Object} - { codes: shown to the user once, hashes: stored on the user }
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Check and use up a second factor for a user loaded with TWO_FACTOR_SECRET_FIELDS
+ * The code is spent with a conditional update, so two requests racing with the same code
+ * can't both pass. The user document is updated to match but has nothing left to save.
+ * @param {Object} user - User document
+ * @param {string} method - 'totp', 'recovery' or 'email'
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<boolean>}
+ */
+const verifySecondFactor = async (user, method, code) => {
+  if (method === 'totp') {
+    const step = verifyTotp(user.twoFactor?.secret, code, { lastUsedStep: user.twoFactor?.lastUsedStep });
+    if (step === null) return false;
+
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    if (result.modifiedCount !== 1) return false;
+
+    user.twoFactor.lastUsedStep = step;
+    user.unmarkModified('twoFactor.lastUsedStep');
+    return true;
+  }
+
+  if (method === 'recovery') {
+    const hash = hashRecoveryCode(code);
+    const codes = user.twoFactor?.recoveryCodes || [];
+    if (!normaliseRecoveryCode(code) || !codes.includes(hash)) return false;
+
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    if (result.modifiedCount !== 1) return false;
+
+    user.twoFactor.recoveryCodes = codes.filter(stored => stored !== hash);
+    user.unmarkModified('twoFactor.recoveryCodes');
+    return true;
+  }
+
+  if (method === 'email') {
+    if (!user.otp || !user.otpExpiry || user.otpExpiry < new Date() || !safeEqual(user.otp, String(code || '').trim())) {
+      return false;
+    }
+
+    const result = await User.updateOne(
+      { _id: user._id, otp: user.otp },
+      { $unset: { otp: 1, otpExpiry: 1 } }
+    );
+    if (result.modifiedCount !== 1) return false;
+
+    user.otp = undefined;
+    user.otpExpiry = undefined;
+    user.unmarkModified('otp');
+    user.unmarkModified('otpExpiry');
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Turn on 2FA by confirming the pending secret with a code from the authenticator app
+ * Updates the user but does not save it.
+ * @param {Object} user - User document loaded with TWO_FACTOR_SECRET_FIELDS
+ * @param {string} code - Current TOTP code for the pending secret
+ * @returns {Array<string>|null} - The new recovery codes, or null if the code is wrong
+ */
+const enableTotp = (user, code) => {
+  const step = verifyTotp(user.twoFactor?.pendingSecret, code);
+  if (step === null) return null;
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = hashes;
+  user.twoFactor.lastUsedStep = step;
+
+  return codes;
+};
+
+/**
+ * Whether admins must use 2FA (SystemSetting, off by default)
+ * @returns {Promise<boolean>}
+ */
+const isAdminTwoFactorRequired = async () => !!(await SystemSetting.getValue(REQUIRE_ADMIN_TWO_FACTOR, false));
+
+/**
+ * Whether this user has to set up 2FA before they can log in
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>}
+ */
+const isSetupRequired = async (user) => user.role === 'admin' && !user.twoFactor?.enabled && isAdminTwoFactorRequired();
+
+module.exports = {
+  REQUIRE_ADMIN_TWO_FACTOR,
+  TWO_FACTOR_SECRET_FIELDS,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  getOtpauthUrl,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  enableTotp,
+  isAdminTwoFactorRequired,
+  isSetupRequired
+};